@@ -22,6 +22,9 @@ async function main() {
       instantPayoutMinAmount: 5,
       maxMatchRadiusMiles: 10,
       matchTimeoutSeconds: 30,
+      cancellationGraceSeconds: 120,
+      cancellationFees: { VELOX: 5, VELOX_XL: 7, VELOX_BLACK: 10, VELOX_GREEN: 5 },
+      noShowFees: { VELOX: 5, VELOX_XL: 7, VELOX_BLACK: 15, VELOX_GREEN: 5 },
       pricingConfig: {
         VELOX: { baseFare: 3, perMile: 1.75, perMinute: 0.25, minFare: 7, bookingFee: 2.5 },
         VELOX_XL: { baseFare: 5, perMile: 2.5, perMinute: 0.35, minFare: 10, bookingFee: 2.5 },
@@ -31,6 +34,42 @@ async function main() {
     }
   });
   
+  // Create markets
+  await prisma.market.upsert({
+    where: { slug: 'austin' },
+    update: {},
+    create: {
+      slug: 'austin',
+      name: 'Austin',
+      timezone: 'America/Chicago',
+      boundary: {
+        type: 'Polygon',
+        coordinates: [[[-97.94, 30.10], [-97.56, 30.10], [-97.56, 30.52], [-97.94, 30.52], [-97.94, 30.10]]]
+      },
+      serviceTypes: ['VELOX', 'VELOX_XL', 'VELOX_BLACK', 'VELOX_GREEN']
+    }
+  });
+  
+  await prisma.market.upsert({
+    where: { slug: 'san-marcos' },
+    update: {},
+    create: {
+      slug: 'san-marcos',
+      name: 'San Marcos',
+      timezone: 'America/Chicago',
+      boundary: {
+        type: 'Polygon',
+        coordinates: [[[-98.02, 29.83], [-97.88, 29.83], [-97.88, 29.93], [-98.02, 29.93], [-98.02, 29.83]]]
+      },
+      serviceTypes: ['VELOX', 'VELOX_XL', 'VELOX_GREEN'],
+      pricingOverrides: {
+        VELOX: { baseFare: 2.5, minFare: 6, bookingFee: 2 },
+        VELOX_XL: { baseFare: 4, minFare: 9 }
+      }
+    }
+  });
+  console.log('✅ Created markets');
+  
   // Create test riders
   const rider1 = await prisma.user.upsert({
     where: { phone: '+15551234567' },
@@ -4,6 +4,7 @@
  */
 
 const Redis = require('ioredis');
+const { getSurgeZoneId } = require('../utils/pricing');
 
 let redis;
 
@@ -11,9 +12,15 @@ let redis;
 const KEYS = {
   DRIVER_LOCATION: 'driver:location:', // driver:location:{driverId}
   DRIVER_ONLINE: 'drivers:online',      // Sorted set of online drivers
+  DRIVER_PRESENCE: 'drivers:presence',  // Sorted set of drivers by last heartbeat
   RIDE_STATE: 'ride:state:',            // ride:state:{rideId}
-  SURGE_ZONE: 'surge:zone:',            // surge:zone:{zoneId}
+  RIDE_TRAIL: 'ride:trail:',            // ride:trail:{rideId} - GPS points while IN_PROGRESS
+  SURGE_ZONE: 'surge:zone:',            // surge:zone:{zoneId}:requests / surge:zone:{zoneId}:drivers
+  SURGE_QUOTE: 'surge:quote:',          // surge:quote:{token}
   RATE_LIMIT: 'ratelimit:',             // ratelimit:{key}
+  CACHE: 'cache:',                      // cache:{name}
+  LOCK: 'lock:',                        // lock:{name}
+  DISPATCH_DUE: 'dispatch:due',         // Sorted set of rides by next dispatch step time
 };
 
 function getRedisClient() {
@@ -53,10 +60,19 @@ function getRedisClient() {
 async function updateDriverLocation(driverId, lat, lng) {
   const client = getRedisClient();
   const key = KEYS.DRIVER_LOCATION + driverId;
+  const zoneId = getSurgeZoneId(lat, lng);
+  
+  // Move the driver out of their previous surge zone if they crossed a boundary
+  const previous = await client.get(key);
+  const previousZoneId = previous ? JSON.parse(previous).zoneId : null;
+  if (previousZoneId && previousZoneId !== zoneId) {
+    await client.zrem(zoneDriversKey(previousZoneId), driverId);
+  }
   
   const data = JSON.stringify({
     lat,
     lng,
+    zoneId,
     updatedAt: Date.now()
   });
   
@@ -66,6 +82,13 @@ async function updateDriverLocation(driverId, lat, lng) {
   // Add to geo index for proximity searches
   // Redis GEO uses (longitude, latitude) order
   await client.geoadd(KEYS.DRIVER_ONLINE, lng, lat, driverId);
+  
+  // Track supply per surge zone, scored by last ping time
+  await client.zadd(zoneDriversKey(zoneId), Date.now(), driverId);
+  await client.expire(zoneDriversKey(zoneId), 300);
+  
+  // A location ping counts as a heartbeat
+  await client.zadd(KEYS.DRIVER_PRESENCE, Date.now(), driverId);
 }
 
 /**
@@ -109,8 +132,15 @@ async function findNearbyDrivers(lat, lng, radiusMiles = 10, limit = 20) {
 async function removeDriverFromPool(driverId) {
   const client = getRedisClient();
   
+  const location = await client.get(KEYS.DRIVER_LOCATION + driverId);
+  if (location) {
+    const { zoneId } = JSON.parse(location);
+    if (zoneId) await client.zrem(zoneDriversKey(zoneId), driverId);
+  }
+  
   await client.del(KEYS.DRIVER_LOCATION + driverId);
   await client.zrem(KEYS.DRIVER_ONLINE, driverId);
+  await client.zrem(KEYS.DRIVER_PRESENCE, driverId);
 }
 
 /**
@@ -130,6 +160,33 @@ async function getAllOnlineDrivers() {
   })).filter(d => d.lat && d.lng);
 }
 
+// ===========================================
+// DRIVER PRESENCE FUNCTIONS
+// ===========================================
+
+/**
+ * Record a heartbeat for drivers connected to this instance
+ */
+async function touchDriverPresence(driverIds) {
+  if (driverIds.length === 0) return;
+  const client = getRedisClient();
+  const now = Date.now();
+  
+  await client.zadd(KEYS.DRIVER_PRESENCE, ...driverIds.flatMap(id => [now, id]));
+}
+
+/**
+ * Drivers with a heartbeat in the last maxAgeSeconds
+ */
+async function getPresentDrivers(maxAgeSeconds) {
+  const client = getRedisClient();
+  const cutoff = Date.now() - maxAgeSeconds * 1000;
+  
+  // Drop long-gone drivers so the set doesn't grow forever
+  await client.zremrangebyscore(KEYS.DRIVER_PRESENCE, '-inf', cutoff - 24 * 3600 * 1000);
+  return client.zrangebyscore(KEYS.DRIVER_PRESENCE, cutoff, '+inf');
+}
+
 // ===========================================
 // RIDE STATE FUNCTIONS
 // ===========================================
@@ -155,6 +212,18 @@ async function getRideState(rideId) {
   return data ? JSON.parse(data) : null;
 }
 
+/**
+ * Merge fields into active ride state
+ */
+async function updateRideState(rideId, updates) {
+  const state = await getRideState(rideId);
+  if (!state) return null;
+  
+  const next = { ...state, ...updates };
+  await setRideState(rideId, next);
+  return next;
+}
+
 /**
  * Clear ride state
  */
@@ -163,6 +232,279 @@ async function clearRideState(rideId) {
   await client.del(KEYS.RIDE_STATE + rideId);
 }
 
+/**
+ * Append a GPS point to the ride's trail
+ */
+async function appendRideTrail(rideId, lat, lng) {
+  const client = getRedisClient();
+  const key = KEYS.RIDE_TRAIL + rideId;
+  
+  await client.rpush(key, JSON.stringify({ lat, lng, t: Date.now() }));
+  await client.expire(key, 6 * 3600); // 6 hour expiry
+}
+
+/**
+ * Get the ride's GPS trail in order
+ */
+async function getRideTrail(rideId) {
+  const client = getRedisClient();
+  const points = await client.lrange(KEYS.RIDE_TRAIL + rideId, 0, -1);
+  return points.map(p => JSON.parse(p));
+}
+
+/**
+ * Clear the ride's GPS trail
+ */
+async function clearRideTrail(rideId) {
+  const client = getRedisClient();
+  await client.del(KEYS.RIDE_TRAIL + rideId);
+}
+
+// ===========================================
+// SURGE ZONE FUNCTIONS
+// ===========================================
+
+function zoneRequestsKey(zoneId) {
+  return `${KEYS.SURGE_ZONE}${zoneId}:requests`;
+}
+
+function zoneDriversKey(zoneId) {
+  return `${KEYS.SURGE_ZONE}${zoneId}:drivers`;
+}
+
+/**
+ * Record a ride request against a surge zone
+ */
+async function recordZoneRequest(zoneId, rideId, windowSeconds) {
+  const client = getRedisClient();
+  const key = zoneRequestsKey(zoneId);
+  const now = Date.now();
+  
+  await client.zadd(key, now, rideId);
+  await client.zremrangebyscore(key, 0, now - windowSeconds * 1000);
+  await client.expire(key, windowSeconds);
+}
+
+/**
+ * Count ride requests in a zone over the rolling window
+ */
+async function getZoneRequestCount(zoneId, windowSeconds) {
+  const client = getRedisClient();
+  return client.zcount(zoneRequestsKey(zoneId), Date.now() - windowSeconds * 1000, '+inf');
+}
+
+/**
+ * Count online drivers that pinged from a zone in the last 5 minutes
+ */
+async function getZoneDriverCount(zoneId) {
+  const client = getRedisClient();
+  return client.zcount(zoneDriversKey(zoneId), Date.now() - 300 * 1000, '+inf');
+}
+
+/**
+ * Store a surge quote so the rider can book at the quoted multiplier
+ */
+async function setSurgeQuote(token, quote, ttlSeconds) {
+  const client = getRedisClient();
+  await client.setex(KEYS.SURGE_QUOTE + token, ttlSeconds, JSON.stringify(quote));
+}
+
+// Take a quote only if it belongs to this rider (ARGV[1]) and zone (ARGV[2]); returns it with the ms it had left
+const CLAIM_SURGE_QUOTE_SCRIPT = `
+local data = redis.call('get', KEYS[1])
+if not data then return nil end
+local quote = cjson.decode(data)
+if quote.userId ~= ARGV[1] or quote.zoneId ~= ARGV[2] then return nil end
+local ttl = redis.call('pttl', KEYS[1])
+redis.call('del', KEYS[1])
+return { data, ttl }
+`;
+
+/**
+ * Claim a rider's surge quote for a zone: read and deleted in one step, so two requests can't both use it
+ * Returns { quote, ttlMs } or null
+ */
+async function claimSurgeQuote(token, userId, zoneId) {
+  const client = getRedisClient();
+  const result = await client.eval(CLAIM_SURGE_QUOTE_SCRIPT, 1, KEYS.SURGE_QUOTE + token, userId, zoneId);
+  return result ? { quote: JSON.parse(result[0]), ttlMs: result[1] } : null;
+}
+
+/**
+ * Put a claimed surge quote back for the time it had left
+ */
+async function restoreSurgeQuote(token, { quote, ttlMs }) {
+  if (ttlMs <= 0) return;
+  const client = getRedisClient();
+  await client.set(KEYS.SURGE_QUOTE + token, JSON.stringify(quote), 'PX', ttlMs, 'NX');
+}
+
+// ===========================================
+// CACHE FUNCTIONS
+// ===========================================
+
+/**
+ * Read a cached JSON value
+ */
+async function getCache(name) {
+  const client = getRedisClient();
+  const data = await client.get(KEYS.CACHE + name);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Cache a JSON value with expiry (seconds)
+ */
+async function setCache(name, value, ttlSeconds) {
+  const client = getRedisClient();
+  await client.setex(KEYS.CACHE + name, ttlSeconds, JSON.stringify(value));
+}
+
+/**
+ * Invalidate a cached value
+ */
+async function clearCache(name) {
+  const client = getRedisClient();
+  await client.del(KEYS.CACHE + name);
+}
+
+// ===========================================
+// LOCKS
+// ===========================================
+
+/**
+ * Take a named lock if nobody holds it
+ * Returns a token to release it with, or null if already held
+ */
+async function acquireLock(name, ttlSeconds) {
+  const client = getRedisClient();
+  const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+  const result = await client.set(KEYS.LOCK + name, token, 'EX', ttlSeconds, 'NX');
+  return result === 'OK' ? token : null;
+}
+
+/**
+ * Release a lock, but only if we still hold it
+ */
+async function releaseLock(name, token) {
+  const client = getRedisClient();
+  await client.eval(
+    "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+    1,
+    KEYS.LOCK + name,
+    token
+  );
+}
+
+// ===========================================
+// DISPATCH QUEUE
+// ===========================================
+
+// Take a lease on up to ARGV[2] due rides nobody else is working on, paging past ones already leased
+const CLAIM_DUE_SCRIPT = `
+local limit = tonumber(ARGV[2])
+local claimed = {}
+local offset = 0
+while #claimed < limit * 2 do
+  local due = redis.call('zrangebyscore', KEYS[1], '-inf', ARGV[1], 'WITHSCORES', 'LIMIT', offset, limit)
+  for i = 1, #due, 2 do
+    if #claimed < limit * 2 and redis.call('set', ARGV[3] .. due[i], ARGV[4], 'EX', ARGV[5], 'NX') then
+      table.insert(claimed, due[i])
+      table.insert(claimed, due[i + 1])
+    end
+  end
+  if #due < limit * 2 then break end
+  offset = offset + limit
+end
+return claimed
+`;
+
+// Drop the lease and set the next run, unless the ride was re-queued or removed meanwhile
+const COMPLETE_SCRIPT = `
+if redis.call('get', KEYS[2]) == ARGV[1] then
+  redis.call('del', KEYS[2])
+end
+if redis.call('zscore', KEYS[1], ARGV[2]) == ARGV[3] then
+  if ARGV[4] == '' then
+    redis.call('zrem', KEYS[1], ARGV[2])
+  else
+    redis.call('zadd', KEYS[1], ARGV[4], ARGV[2])
+  end
+end
+return 1
+`;
+
+function dispatchLeaseKey(rideId) {
+  return `${KEYS.LOCK}dispatch:${rideId}`;
+}
+
+/**
+ * Queue a ride's next dispatch step for dueAt (ms), replacing any earlier time
+ */
+async function scheduleDispatch(rideId, dueAt) {
+  const client = getRedisClient();
+  await client.zadd(KEYS.DISPATCH_DUE, Math.round(dueAt), rideId);
+}
+
+/**
+ * Take the queue entry out (ride accepted or cancelled)
+ */
+async function unscheduleDispatch(rideId) {
+  const client = getRedisClient();
+  await client.zrem(KEYS.DISPATCH_DUE, rideId);
+}
+
+/**
+ * Claim up to limit rides whose step is due, skipping ones another instance holds, each leased for leaseSeconds
+ * A lease that isn't completed (the instance died) lapses and the ride is claimed again.
+ * Returns [{ rideId, score, token }]
+ */
+async function claimDueDispatches(limit, leaseSeconds) {
+  const client = getRedisClient();
+  const token = `${process.pid}:${Date.now()}:${Math.random().toString(36).slice(2)}`;
+  const result = await client.eval(
+    CLAIM_DUE_SCRIPT,
+    1,
+    KEYS.DISPATCH_DUE,
+    Date.now(),
+    limit,
+    `${KEYS.LOCK}dispatch:`,
+    token,
+    leaseSeconds
+  );
+  
+  const claimed = [];
+  for (let i = 0; i < result.length; i += 2) {
+    claimed.push({ rideId: result[i], score: result[i + 1], token });
+  }
+  return claimed;
+}
+
+/**
+ * Finish a claimed step: queue the next one at nextDueAt (ms), or drop the ride when null
+ */
+async function completeDispatch({ rideId, score, token }, nextDueAt) {
+  const client = getRedisClient();
+  await client.eval(
+    COMPLETE_SCRIPT,
+    2,
+    KEYS.DISPATCH_DUE,
+    dispatchLeaseKey(rideId),
+    token,
+    rideId,
+    score,
+    nextDueAt == null ? '' : Math.round(nextDueAt)
+  );
+}
+
+/**
+ * Rides in the dispatch queue
+ */
+async function getScheduledDispatches() {
+  const client = getRedisClient();
+  return client.zrange(KEYS.DISPATCH_DUE, 0, -1);
+}
+
 module.exports = {
   getRedisClient,
   KEYS,
@@ -172,8 +514,35 @@ module.exports = {
   findNearbyDrivers,
   removeDriverFromPool,
   getAllOnlineDrivers,
+  // Driver presence
+  touchDriverPresence,
+  getPresentDrivers,
   // Ride state
   setRideState,
   getRideState,
+  updateRideState,
   clearRideState,
+  appendRideTrail,
+  getRideTrail,
+  clearRideTrail,
+  // Surge zones
+  recordZoneRequest,
+  getZoneRequestCount,
+  getZoneDriverCount,
+  setSurgeQuote,
+  claimSurgeQuote,
+  restoreSurgeQuote,
+  // Cache
+  getCache,
+  setCache,
+  clearCache,
+  // Locks
+  acquireLock,
+  releaseLock,
+  // Dispatch queue
+  scheduleDispatch,
+  unscheduleDispatch,
+  claimDueDispatches,
+  completeDispatch,
+  getScheduledDispatches,
 };
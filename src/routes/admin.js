@@ -5,10 +5,32 @@
 
 const express = require('express');
 const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
 const prisma = require('../config/prisma');
 const redis = require('../config/redis');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateAdmin } = require('../middleware/auth');
+const pricingService = require('../services/pricingService');
+const marketService = require('../services/marketService');
+const refundService = require('../services/refundService');
+const schedulerService = require('../services/schedulerService');
+const ledgerService = require('../services/ledgerService');
+const configService = require('../services/configService');
+const webhookService = require('../services/webhookService');
+const disputeService = require('../services/disputeService');
+const organizationService = require('../services/organizationService');
+const walletService = require('../services/walletService');
+const promoService = require('../services/promoService');
+const referralService = require('../services/referralService');
+const dispatchService = require('../services/dispatchService');
+const rideStateService = require('../services/rideStateService');
+const { validateBoundary } = require('../utils/geo');
+
+// Market timezones must be IANA names Intl accepts, since ride policies read local hours in them
+const isTimeZone = (timeZone) => {
+  new Intl.DateTimeFormat('en-US', { timeZone });
+  return true;
+};
 
 // Simple admin auth for demo (in production, use proper admin system)
 router.post('/login', asyncHandler(async (req, res) => {
@@ -45,10 +67,7 @@ router.get('/stats', authenticateAdmin, asyncHandler(async (req, res) => {
     prisma.driver.count({ where: { status: 'APPROVED' } }),
     prisma.driver.count({ where: { isOnline: true, status: 'APPROVED' } }),
     prisma.ride.count({ where: { createdAt: { gte: today } } }),
-    prisma.ride.aggregate({
-      where: { status: 'COMPLETED', completedAt: { gte: today } },
-      _sum: { platformFee: true }
-    }),
+    ledgerService.getPlatformRevenue({ from: today }),
     prisma.driver.count({ where: { status: 'PENDING_APPROVAL' } })
   ]);
   
@@ -57,7 +76,8 @@ router.get('/stats', authenticateAdmin, asyncHandler(async (req, res) => {
     totalDrivers,
     activeDrivers,
     todayRides,
-    todayRevenue: parseFloat(todayRevenue._sum.platformFee || 0),
+    todayRevenue: todayRevenue.net,
+    todayPromoSpend: todayRevenue.promoSpend,
     pendingDrivers
   });
 }));
@@ -138,6 +158,419 @@ router.get('/rides', authenticateAdmin, asyncHandler(async (req, res) => {
   });
 }));
 
+// Dispatch history: every driver a ride was offered to and how they answered
+router.get('/rides/:id/offers', authenticateAdmin, asyncHandler(async (req, res) => {
+  const offers = await dispatchService.listOffers(req.params.id);
+  res.json({ offers });
+}));
+
+// Status history: every status change, who made it and why
+router.get('/rides/:id/events', authenticateAdmin, asyncHandler(async (req, res) => {
+  const events = await rideStateService.listEvents(req.params.id);
+  res.json({ events });
+}));
+
+// Refunds
+router.get('/rides/:id/refunds', authenticateAdmin, asyncHandler(async (req, res) => {
+  const refunds = await refundService.listRefunds(req.params.id);
+  res.json({ refunds });
+}));
+
+router.post('/rides/:id/refund', authenticateAdmin,
+  body('amount').optional().isFloat({ gt: 0 }),
+  body('reason').isIn(refundService.REFUND_REASONS),
+  body('note').optional().isString().isLength({ max: 1000 }),
+  body('supportTicketId').optional().isUUID(),
+  body('clawbackEarning').optional().isBoolean(),
+  body('toWallet').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { amount, reason, note, supportTicketId, clawbackEarning, toWallet } = req.body;
+    
+    const result = await refundService.refundRide({
+      rideId: req.params.id,
+      amount: amount !== undefined ? parseFloat(amount) : null,
+      reason,
+      note,
+      supportTicketId,
+      clawbackEarning: clawbackEarning !== false,
+      toWallet: toWallet === true,
+      createdBy: req.admin.id
+    });
+    
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, CONFLICT: 409, REFUND_FAILED: 502 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+    
+    res.status(201).json({ success: true, refund: result.refund });
+  })
+);
+
+// Rider wallets
+router.get('/users/:id/wallet', authenticateAdmin,
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { limit = 50, offset = 0 } = req.query;
+    const [balance, history] = await Promise.all([
+      walletService.getBalance(req.params.id),
+      walletService.listTransactions(req.params.id, { limit: parseInt(limit), offset: parseInt(offset) })
+    ]);
+
+    res.json({ balance, ...history });
+  })
+);
+
+// Grant credit (goodwill by default)
+router.post('/users/:id/wallet/credit', authenticateAdmin,
+  body('amount').isFloat({ gt: 0, max: 1000 }),
+  body('type').optional().isIn(['GOODWILL', 'REFERRAL_REWARD']),
+  body('description').isString().trim().notEmpty().isLength({ max: 500 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { amount, type = 'GOODWILL', description } = req.body;
+    const result = await walletService.credit(user.id, parseFloat(amount), {
+      type,
+      description,
+      createdBy: req.admin.id
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json(result);
+  })
+);
+
+// Revoke credit the rider hasn't spent yet
+router.post('/users/:id/wallet/revoke', authenticateAdmin,
+  body('amount').isFloat({ gt: 0 }),
+  body('description').isString().trim().notEmpty().isLength({ max: 500 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { amount, description } = req.body;
+    const result = await walletService.revoke(req.params.id, parseFloat(amount), {
+      description,
+      createdBy: req.admin.id
+    });
+
+    if (!result.success) {
+      const status = result.code === 'INSUFFICIENT_BALANCE' ? 409 : 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json(result);
+  })
+);
+
+// Issue gift card codes
+router.post('/gift-cards', authenticateAdmin,
+  body('amount').isFloat({ gt: 0, max: 500 }),
+  body('count').optional().isInt({ min: 1, max: 500 }),
+  body('expiresAt').optional().isISO8601(),
+  body('note').optional().isString().isLength({ max: 500 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { amount, count = 1, expiresAt, note } = req.body;
+    const giftCards = await walletService.createGiftCards({
+      amount: parseFloat(amount),
+      count: parseInt(count),
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      note,
+      createdBy: req.admin.id
+    });
+
+    res.status(201).json({ success: true, giftCards });
+  })
+);
+
+// Referrals (REJECTED ones failed a fraud check)
+router.get('/referrals', authenticateAdmin,
+  query('type').optional().isIn(['RIDER', 'DRIVER']),
+  query('status').optional().isIn(['PENDING', 'REWARDED', 'EXPIRED', 'REJECTED']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, status, limit = 50, offset = 0 } = req.query;
+    const result = await referralService.listReferrals({ type, status, limit: parseInt(limit), offset: parseInt(offset) });
+    res.json(result);
+  })
+);
+
+// Overturn a fraud rejection and pay the referrer
+router.post('/referrals/:id/approve', authenticateAdmin, asyncHandler(async (req, res) => {
+  const result = await referralService.approveRejected(req.params.id, req.admin.id);
+
+  if (!result.success) {
+    const status = result.code === 'NOT_FOUND' ? 404 : 409;
+    return res.status(status).json({ error: result.error, code: result.code });
+  }
+
+  res.json(result);
+}));
+
+// Disputes (chargebacks)
+router.get('/disputes', authenticateAdmin,
+  query('status').optional().isIn(['OPEN', 'EVIDENCE_SUBMITTED', 'WON', 'LOST', 'WARNING_CLOSED']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, limit = 50, offset = 0 } = req.query;
+    const result = await disputeService.listDisputes({ status, limit: parseInt(limit), offset: parseInt(offset) });
+    res.json(result);
+  })
+);
+
+// Submit the ride's timeline, route, messages and receipt to Stripe
+router.post('/disputes/:id/evidence', authenticateAdmin,
+  body('note').optional().isString().isLength({ max: 5000 }),
+  body('submit').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await disputeService.submitEvidence(req.params.id, {
+      note: req.body.note,
+      submit: req.body.submit !== false,
+      adminId: req.admin.id
+    });
+
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, NOT_OPEN: 409, STRIPE_ERROR: 502 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result);
+  })
+);
+
+// Payouts
+router.get('/payouts', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { status, type, limit = 50, offset = 0 } = req.query;
+  
+  const where = {};
+  if (status) where.status = status;
+  if (type) where.type = type;
+  
+  const [payouts, total] = await Promise.all([
+    prisma.payout.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: parseInt(limit),
+      skip: parseInt(offset),
+      include: { driver: { select: { firstName: true, lastName: true } } }
+    }),
+    prisma.payout.count({ where })
+  ]);
+  
+  res.json({ payouts, total });
+}));
+
+// Run the weekly payout sweep now (no-op for drivers already paid this period)
+router.post('/payouts/weekly/run', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { ran, result } = await schedulerService.runJob('weekly-payouts');
+  
+  if (!ran) {
+    return res.status(409).json({ error: 'Weekly payouts are already running' });
+  }
+  
+  res.json({ success: true, summary: result });
+}));
+
+// Ledger
+router.get('/ledger/entries', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { type, rideId, payoutId, limit = 50, offset = 0 } = req.query;
+  
+  const where = {};
+  if (type) where.type = type;
+  if (rideId) where.rideId = rideId;
+  if (payoutId) where.payoutId = payoutId;
+  
+  const entries = await prisma.journalEntry.findMany({
+    where,
+    orderBy: { createdAt: 'desc' },
+    take: parseInt(limit),
+    skip: parseInt(offset),
+    include: { lines: true }
+  });
+  
+  res.json({ entries });
+}));
+
+// Compare the ledger with rides, earnings, payouts and driver totals (default: last 30 days)
+router.get('/ledger/reconciliation', authenticateAdmin,
+  query('since').optional().isISO8601(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const report = await ledgerService.reconcile({ since });
+    res.json(report);
+  })
+);
+
+// Manual driver balance adjustment (positive credits the driver, negative debits)
+router.post('/ledger/adjustments', authenticateAdmin,
+  body('driverId').isUUID(),
+  body('amount').isFloat().custom(value => parseFloat(value) !== 0),
+  body('description').notEmpty().isLength({ max: 500 }),
+  body('rideId').optional().isUUID(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { driverId, description, rideId } = req.body;
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
+    
+    const driver = await prisma.driver.findUnique({ where: { id: driverId } });
+    if (!driver) {
+      return res.status(404).json({ error: 'Driver not found' });
+    }
+    
+    const entry = await ledgerService.driverAdjustmentEntry({
+      driverId,
+      amount,
+      description,
+      rideId,
+      createdBy: req.admin.id
+    });
+    
+    res.status(201).json({ success: true, entry });
+  })
+);
+
+// Webhook events
+router.get('/webhooks/events', authenticateAdmin,
+  query('source').optional().isIn(['STRIPE', 'CHECKR']),
+  query('status').optional().isIn(['PENDING', 'PROCESSING', 'PROCESSED', 'FAILED', 'DEAD']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { source, status, type, limit = 50, offset = 0 } = req.query;
+    const result = await webhookService.listEvents({
+      source,
+      status,
+      type,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(result);
+  })
+);
+
+// Reset a FAILED or DEAD event and process it again
+router.post('/webhooks/events/:id/replay', authenticateAdmin, asyncHandler(async (req, res) => {
+  const result = await webhookService.replayEvent(req.params.id);
+
+  if (!result.success) {
+    const status = result.code === 'NOT_FOUND' ? 404 : 409;
+    return res.status(status).json({ error: result.error, code: result.code });
+  }
+
+  res.json(result);
+}));
+
+// Business organizations
+router.get('/organizations', authenticateAdmin,
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, limit = 50, offset = 0 } = req.query;
+    const result = await organizationService.listOrganizations({
+      search,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json(result);
+  })
+);
+
+// Approve monthly invoicing or deactivate an organization
+router.patch('/organizations/:id', authenticateAdmin,
+  body('invoiceBillingApproved').optional().isBoolean(),
+  body('isActive').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { invoiceBillingApproved, isActive } = req.body;
+
+    const existing = await prisma.organization.findUnique({ where: { id: req.params.id } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    let organization = existing;
+    if (invoiceBillingApproved !== undefined) {
+      organization = await organizationService.setInvoiceBillingApproved(existing.id, invoiceBillingApproved);
+    }
+    if (isActive !== undefined) {
+      organization = await prisma.organization.update({ where: { id: existing.id }, data: { isActive } });
+    }
+
+    res.json({ success: true, organization });
+  })
+);
+
 // Get live driver locations
 router.get('/drivers/live', authenticateAdmin, asyncHandler(async (req, res) => {
   const onlineDrivers = await redis.getAllOnlineDrivers();
@@ -166,21 +599,324 @@ router.get('/promos', authenticateAdmin, asyncHandler(async (req, res) => {
   res.json({ promos });
 }));
 
-router.post('/promos', authenticateAdmin, asyncHandler(async (req, res) => {
-  const { code, type, value, maxDiscount, usageLimit, validUntil } = req.body;
-  
-  const promo = await prisma.promoCode.create({
-    data: {
-      code: code.toUpperCase(),
-      type,
-      value,
-      maxDiscount,
-      usageLimit,
-      validUntil: validUntil ? new Date(validUntil) : null
+const promoValidators = [
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ gt: 0 }),
+  body('minRideFare').optional({ nullable: true }).isFloat({ gt: 0 }),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+  body('perUserLimit').optional().isInt({ min: 1 }).toInt(),
+  body('validFrom').optional().isISO8601(),
+  body('validUntil').optional({ nullable: true }).isISO8601(),
+  body('serviceTypes').optional().isArray(),
+  body('serviceTypes.*').isIn(pricingService.SERVICE_TYPES),
+  body('marketIds').optional().isArray(),
+  body('marketIds.*').isUUID(),
+  body('firstRideOnly').optional().isBoolean(),
+  body('segment').optional().isIn(['ALL', 'LAPSED_RIDERS', 'FREQUENT_RIDERS']),
+  body('isActive').optional().isBoolean()
+];
+
+router.post('/promos', authenticateAdmin,
+  body('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,32}$/),
+  body('type').isIn(['FIXED', 'PERCENTAGE']),
+  body('value').isFloat({ gt: 0 }),
+  ...promoValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-  });
+
+    const result = await promoService.createPromo(req.body, req.admin.id);
+
+    if (!result.success) {
+      return res.status(result.code === 'DUPLICATE_CODE' ? 409 : 400).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json(result);
+  })
+);
+
+// Redemptions, reserved uses and cost per promo
+router.get('/promos/report', authenticateAdmin,
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    const promos = await promoService.getPromoReport({ from, to });
+
+    res.json({
+      from,
+      to,
+      promos,
+      totals: {
+        redemptions: promos.reduce((sum, p) => sum + p.redemptions, 0),
+        cost: Math.round(promos.reduce((sum, p) => sum + p.cost, 0) * 100) / 100
+      }
+    });
+  })
+);
+
+router.patch('/promos/:id', authenticateAdmin,
+  body('type').optional().isIn(['FIXED', 'PERCENTAGE']),
+  body('value').optional().isFloat({ gt: 0 }),
+  ...promoValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await promoService.updatePromo(req.params.id, req.body);
+
+    if (!result.success) {
+      return res.status(result.code === 'NOT_FOUND' ? 404 : 400).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result);
+  })
+);
+
+router.get('/promos/:id/redemptions', authenticateAdmin,
+  query('status').optional().isIn(['RESERVED', 'REDEEMED', 'RELEASED']),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, limit = 50, offset = 0 } = req.query;
+    const result = await promoService.listRedemptions(req.params.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    res.json(result);
+  })
+);
+
+// Pricing management
+router.get('/pricing', authenticateAdmin, asyncHandler(async (req, res) => {
+  const [active, scheduled] = await Promise.all([
+    pricingService.getActivePricing(),
+    prisma.pricingVersion.findMany({
+      where: { effectiveFrom: { gt: new Date() } },
+      orderBy: { effectiveFrom: 'asc' }
+    })
+  ]);
   
-  res.json({ success: true, promo });
+  res.json({ active, scheduled });
+}));
+
+router.get('/pricing/versions', authenticateAdmin, asyncHandler(async (req, res) => {
+  const { limit = 50 } = req.query;
+  const versions = await pricingService.listPricingVersions(parseInt(limit));
+  res.json({ versions });
 }));
 
+router.post('/pricing', authenticateAdmin,
+  body('pricingConfig').isObject(),
+  body('effectiveFrom').optional().isISO8601(),
+  body('note').optional().isString().isLength({ max: 500 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { pricingConfig, note } = req.body;
+    
+    const configErrors = pricingService.validatePricingConfig(pricingConfig);
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid pricing config', details: configErrors });
+    }
+    
+    // Versions can be scheduled for later but never backdated
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+    if (effectiveFrom.getTime() < Date.now() - 60000) {
+      return res.status(400).json({ error: 'effectiveFrom cannot be in the past' });
+    }
+    
+    const version = await pricingService.publishPricingVersion({
+      pricingConfig,
+      effectiveFrom,
+      createdBy: req.admin.id,
+      note
+    });
+    
+    res.status(201).json({ success: true, version });
+  })
+);
+
+// Platform config
+router.get('/config', authenticateAdmin, asyncHandler(async (req, res) => {
+  const config = await configService.getConfig();
+  res.json({ config });
+}));
+
+router.patch('/config', authenticateAdmin,
+  body('platformCommissionPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('serviceCommissionPercents').optional({ nullable: true }).isObject(),
+  body('driverCommissionTiers').optional({ nullable: true }).isArray(),
+  body('instantPayoutFeePercent').optional().isFloat({ min: 0, max: 100 }),
+  body('instantPayoutMinAmount').optional().isFloat({ min: 0 }),
+  body('surgeEnabled').optional().isBoolean(),
+  body('maxSurgeMultiplier').optional().isFloat({ min: 1, max: 10 }),
+  body('farePolicy').optional().isIn(['UPFRONT_LOCKED', 'UPFRONT_WITH_TOLERANCE', 'METERED']),
+  body('fareTolerancePercent').optional().isFloat({ min: 0, max: 100 }),
+  body('cancellationGraceSeconds').optional().isInt({ min: 0 }),
+  body('cancellationFees').optional({ nullable: true }).isObject(),
+  body('noShowFees').optional({ nullable: true }).isObject(),
+  body('riderNoShowWaitMinutes').optional().isInt({ min: 0 }),
+  body('driverNoShowMinutes').optional().isInt({ min: 0 }),
+  body('cancellationDriverSharePercent').optional().isFloat({ min: 0, max: 100 }),
+  body('tipWindowHours').optional().isInt({ min: 0 }),
+  body('earningsHoldHours').optional().isInt({ min: 0 }),
+  body('driverTransferMode').optional().isIn(['BALANCE', 'TRANSFER_ON_CAPTURE']),
+  body('riderReferralReward').optional().isFloat({ min: 0, max: 100 }),
+  body('driverReferralBonus').optional().isFloat({ min: 0, max: 2000 }),
+  body('driverReferralTrips').optional().isInt({ min: 1 }),
+  body('driverReferralDays').optional().isInt({ min: 1 }),
+  body('maxMatchRadiusMiles').optional().isFloat({ gt: 0, max: 50 }),
+  body('dispatchStartRadiusMiles').optional().isFloat({ gt: 0, max: 50 }),
+  body('dispatchWaveSize').optional().isInt({ min: 1, max: 10 }),
+  body('offerTimeoutSeconds').optional().isInt({ min: 5, max: 120 }),
+  body('matchTimeoutSeconds').optional().isInt({ min: 5, max: 600 }),
+  body('maxActiveRidesPerDriver').optional().isInt({ min: 1, max: 3 }),
+  body('note').optional().isString().isLength({ max: 500 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const changes = {};
+    for (const field of configService.EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No config fields to update' });
+    }
+
+    const configErrors = configService.validateCommissionSettings(changes);
+    for (const field of ['cancellationFees', 'noShowFees']) {
+      if (!changes[field]) continue;
+      for (const [serviceType, fee] of Object.entries(changes[field])) {
+        if (!pricingService.SERVICE_TYPES.includes(serviceType)) configErrors.push(`${field}.${serviceType} is not a service type`);
+        if (typeof fee !== 'number' || fee < 0) configErrors.push(`${field}.${serviceType} must be a non-negative number`);
+      }
+    }
+    for (const serviceType of Object.keys(changes.serviceCommissionPercents || {})) {
+      if (!pricingService.SERVICE_TYPES.includes(serviceType)) configErrors.push(`serviceCommissionPercents.${serviceType} is not a service type`);
+    }
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid platform config', details: configErrors });
+    }
+
+    const { config, changed } = await configService.updateConfig(changes, {
+      changedBy: req.admin.id,
+      note: req.body.note
+    });
+
+    res.json({ success: true, config, changed });
+  })
+);
+
+router.get('/config/audit', authenticateAdmin,
+  query('field').optional().isIn(configService.EDITABLE_FIELDS),
+  query('limit').optional().isInt({ min: 1, max: 200 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const audit = await configService.listConfigAudit({
+      field: req.query.field,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+    res.json({ audit });
+  })
+);
+
+// Market management
+router.get('/markets', authenticateAdmin, asyncHandler(async (req, res) => {
+  const markets = await prisma.market.findMany({ orderBy: { name: 'asc' } });
+  res.json({ markets });
+}));
+
+router.post('/markets', authenticateAdmin,
+  body('slug').matches(/^[a-z0-9-]+$/),
+  body('name').notEmpty(),
+  body('timezone').optional().isString().custom(isTimeZone),
+  body('boundary').isObject(),
+  body('serviceTypes').isArray({ min: 1 }),
+  body('serviceTypes.*').isIn(pricingService.SERVICE_TYPES),
+  body('pricingOverrides').optional({ nullable: true }).isObject(),
+  body('commissionPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { slug, name, timezone, boundary, serviceTypes, pricingOverrides, commissionPercent } = req.body;
+    
+    const configErrors = [...validateBoundary(boundary), ...pricingService.validatePricingOverrides(pricingOverrides)];
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid market config', details: configErrors });
+    }
+    
+    const market = await prisma.market.create({
+      data: { slug, name, timezone, boundary, serviceTypes, pricingOverrides, commissionPercent }
+    });
+    await marketService.invalidateMarkets();
+    
+    res.status(201).json({ success: true, market });
+  })
+);
+
+router.patch('/markets/:id', authenticateAdmin,
+  body('name').optional().notEmpty(),
+  body('timezone').optional().isString().custom(isTimeZone),
+  body('boundary').optional().isObject(),
+  body('serviceTypes').optional().isArray({ min: 1 }),
+  body('serviceTypes.*').isIn(pricingService.SERVICE_TYPES),
+  body('pricingOverrides').optional({ nullable: true }).isObject(),
+  body('commissionPercent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+  body('isActive').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { name, timezone, boundary, serviceTypes, pricingOverrides, commissionPercent, isActive } = req.body;
+    
+    const configErrors = [
+      ...(boundary ? validateBoundary(boundary) : []),
+      ...pricingService.validatePricingOverrides(pricingOverrides)
+    ];
+    if (configErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid market config', details: configErrors });
+    }
+    
+    const market = await prisma.market.update({
+      where: { id: req.params.id },
+      data: { name, timezone, boundary, serviceTypes, pricingOverrides, commissionPercent, isActive }
+    });
+    await marketService.invalidateMarkets();
+    
+    res.json({ success: true, market });
+  })
+);
+
 module.exports = router;
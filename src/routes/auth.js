@@ -10,6 +10,8 @@ const { body, validationResult } = require('express-validator');
 const prisma = require('../config/prisma');
 const { generateTokens, verifyRefreshToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { formatPhone } = require('../utils/phone');
+const referralService = require('../services/referralService');
 
 // Twilio client (optional - for phone verification)
 let twilioClient = null;
@@ -69,15 +71,25 @@ router.post('/rider/send-code',
 router.post('/rider/verify-code',
   body('phone').isMobilePhone('en-US'),
   body('code').isLength({ min: 4, max: 6 }),
+  body('referralCode').optional().isString().trim().notEmpty(),
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { phone, code, firstName, lastName } = req.body;
+    const { phone, code, firstName, lastName, referralCode } = req.body;
     const formattedPhone = formatPhone(phone);
 
+    // Check the referral code before the verification code is used up
+    let referrer = null;
+    if (referralCode) {
+      referrer = await referralService.findReferrer('RIDER', referralCode);
+      if (!referrer) {
+        return res.status(400).json({ error: 'Invalid referral code', code: 'INVALID_REFERRAL_CODE' });
+      }
+    }
+
     // Verify code
     let verified = false;
     
@@ -116,6 +128,10 @@ router.post('/rider/verify-code',
           lastName: lastName || '',
         }
       });
+
+      if (referrer) {
+        await referralService.attribute('RIDER', referrer, user);
+      }
     } else {
       // Update existing user
       user = await prisma.user.update({
@@ -240,6 +256,7 @@ router.post('/driver/register',
   body('vehicleYear').isInt({ min: 1990, max: new Date().getFullYear() + 1 }),
   body('vehicleColor').notEmpty(),
   body('licensePlate').notEmpty(),
+  body('referralCode').optional().isString().trim().notEmpty(),
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -248,7 +265,7 @@ router.post('/driver/register',
 
     const {
       email, phone, password, firstName, lastName,
-      vehicleMake, vehicleModel, vehicleYear, vehicleColor, licensePlate
+      vehicleMake, vehicleModel, vehicleYear, vehicleColor, licensePlate, referralCode
     } = req.body;
 
     const formattedPhone = formatPhone(phone);
@@ -267,6 +284,14 @@ router.post('/driver/register',
       return res.status(409).json({ error: 'Driver with this email or phone already exists' });
     }
 
+    let referrer = null;
+    if (referralCode) {
+      referrer = await referralService.findReferrer('DRIVER', referralCode);
+      if (!referrer) {
+        return res.status(400).json({ error: 'Invalid referral code', code: 'INVALID_REFERRAL_CODE' });
+      }
+    }
+
     // Hash password
     const passwordHash = await bcrypt.hash(password, 12);
 
@@ -288,6 +313,10 @@ router.post('/driver/register',
       }
     });
 
+    if (referrer) {
+      await referralService.attribute('DRIVER', referrer, driver);
+    }
+
     res.status(201).json({
       success: true,
       message: 'Registration submitted. You will be notified once approved.',
@@ -407,20 +436,4 @@ router.post('/refresh',
   })
 );
 
-// ===========================================
-// HELPERS
-// ===========================================
-
-function formatPhone(phone) {
-  // Remove all non-digits
-  const digits = phone.replace(/\D/g, '');
-  // Ensure it starts with +1 for US
-  if (digits.length === 10) {
-    return `+1${digits}`;
-  } else if (digits.length === 11 && digits.startsWith('1')) {
-    return `+${digits}`;
-  }
-  return `+${digits}`;
-}
-
 module.exports = router;
@@ -10,6 +10,8 @@ const prisma = require('../config/prisma');
 const redis = require('../config/redis');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { authenticateToken, requireUserType } = require('../middleware/auth');
+const referralService = require('../services/referralService');
+const dispatchService = require('../services/dispatchService');
 
 // Get driver profile (authenticated)
 router.get('/me', authenticateToken, requireUserType('driver'), asyncHandler(async (req, res) => {
@@ -90,6 +92,11 @@ router.post('/status', authenticateToken, requireUserType('driver'),
       await redis.removeDriverFromPool(req.user.id);
     }
     
+    // Going offline turns down any ride offers still waiting on this driver
+    if (!online) {
+      await dispatchService.declineAllForDriver(req.user.id, 'OFFLINE', req.app.get('io'));
+    }
+    
     res.json({ success: true, online });
   })
 );
@@ -135,36 +142,28 @@ router.get('/earnings', authenticateToken, requireUserType('driver'), asyncHandl
   });
 }));
 
-// Get available ride requests (for polling if not using sockets)
+// Referral code, bonus terms and each referred driver's trips towards it
+router.get('/me/referrals', authenticateToken, requireUserType('driver'), asyncHandler(async (req, res) => {
+  const progress = await referralService.getProgress('DRIVER', req.user.id);
+  res.json(progress);
+}));
+
+// Get the ride offers waiting on this driver (for polling if not using sockets)
 router.get('/requests', authenticateToken, requireUserType('driver'), asyncHandler(async (req, res) => {
-  const driver = await prisma.driver.findUnique({ where: { id: req.user.id } });
-  
-  if (!driver.isOnline) {
-    return res.json({ requests: [] });
-  }
-  
-  // Find rides near driver
-  const nearbyRequests = await redis.findNearbyDrivers(driver.currentLat, driver.currentLng, 10);
-  
-  const rides = await prisma.ride.findMany({
-    where: {
-      status: 'REQUESTED',
-      serviceType: { in: driver.serviceTypes },
-      requestedAt: { gte: new Date(Date.now() - 60000) } // Last 60 seconds
-    },
-    orderBy: { requestedAt: 'desc' },
-    take: 5
-  });
+  const offers = await dispatchService.listLiveOffers(req.user.id);
   
   res.json({
-    requests: rides.map(r => ({
-      id: r.id,
-      pickup: { address: r.pickupAddress, lat: r.pickupLat, lng: r.pickupLng },
-      dropoff: { address: r.dropoffAddress, lat: r.dropoffLat, lng: r.dropoffLng },
-      serviceType: r.serviceType,
-      fare: parseFloat(r.driverEarnings),
-      distance: r.distanceMiles,
-      requestedAt: r.requestedAt
+    requests: offers.map(({ ride, ...offer }) => ({
+      id: ride.id,
+      offerId: offer.id,
+      pickup: { address: ride.pickupAddress, lat: ride.pickupLat, lng: ride.pickupLng },
+      dropoff: { address: ride.dropoffAddress, lat: ride.dropoffLat, lng: ride.dropoffLng },
+      serviceType: ride.serviceType,
+      fare: parseFloat(ride.driverEarnings),
+      distance: ride.distanceMiles,
+      pickupDistanceMiles: offer.pickupDistanceMiles,
+      requestedAt: ride.requestedAt,
+      expiresAt: offer.expiresAt
     }))
   });
 }));
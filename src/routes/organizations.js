@@ -0,0 +1,287 @@
+/**
+ * Organization Routes
+ * Business profiles: members, spend policy, company billing and expense exports
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireUserType } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const pricingService = require('../services/pricingService');
+
+router.use(requireUserType('user'));
+
+/**
+ * Load the caller's membership of :id; admin-only routes pass adminOnly
+ */
+function requireMembership({ adminOnly = false } = {}) {
+  return asyncHandler(async (req, res, next) => {
+    const membership = await organizationService.getMembership(req.params.id, req.user.id);
+
+    if (!membership || !membership.organization.isActive) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    if (adminOnly && membership.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Organization admin access required' });
+    }
+
+    req.membership = membership;
+    next();
+  });
+}
+
+// ===========================================
+// ORGANIZATIONS
+// ===========================================
+
+/**
+ * POST /api/organizations
+ * Create an organization; the creator becomes its admin
+ */
+router.post('/',
+  body('name').trim().notEmpty().isLength({ max: 200 }),
+  body('billingEmail').isEmail(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, billingEmail } = req.body;
+    const organization = await organizationService.createOrganization(req.user.id, { name, billingEmail });
+
+    res.status(201).json({ success: true, organization });
+  })
+);
+
+/**
+ * GET /api/organizations
+ * Organizations the rider can ride for
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const organizations = await organizationService.listForUser(req.user.id);
+  res.json({ organizations });
+}));
+
+/**
+ * GET /api/organizations/:id
+ * Organization details and policy; admins also see the member list
+ */
+router.get('/:id',
+  param('id').isUUID(),
+  requireMembership(),
+  asyncHandler(async (req, res) => {
+    const { members, stripeCustomerId, stripePaymentMethodId, ...organization } =
+      await organizationService.getOrganization(req.params.id);
+
+    const response = { ...organization, role: req.membership.role };
+    if (req.membership.role === 'ADMIN') {
+      response.members = members;
+    } else {
+      response.monthlySpend = await organizationService.getMonthlySpend(req.params.id, req.user.id);
+    }
+
+    res.json({ organization: response });
+  })
+);
+
+/**
+ * PATCH /api/organizations/:id/policy
+ * Spend policy: allowed service types, time window, per-ride and monthly caps, expense memo
+ */
+router.patch('/:id/policy',
+  param('id').isUUID(),
+  requireMembership({ adminOnly: true }),
+  body('allowedServiceTypes').optional().isArray(),
+  body('allowedServiceTypes.*').isIn(pricingService.SERVICE_TYPES),
+  body('allowedDays').optional().isArray({ max: 7 }),
+  body('allowedDays.*').isInt({ min: 0, max: 6 }).toInt(),
+  body('allowedStartHour').optional({ nullable: true }).isInt({ min: 0, max: 23 }).toInt(),
+  body('allowedEndHour').optional({ nullable: true }).isInt({ min: 0, max: 24 }).toInt(),
+  body('perRideCap').optional({ nullable: true }).isFloat({ min: 1 }),
+  body('monthlyCap').optional({ nullable: true }).isFloat({ min: 1 }),
+  body('requireExpenseMemo').optional().isBoolean(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const start = req.body.allowedStartHour !== undefined ? req.body.allowedStartHour : req.membership.organization.allowedStartHour;
+    const end = req.body.allowedEndHour !== undefined ? req.body.allowedEndHour : req.membership.organization.allowedEndHour;
+    if ((start === null) !== (end === null) || (start !== null && start === end)) {
+      return res.status(400).json({ error: 'Set both allowedStartHour and allowedEndHour (different hours), or clear both' });
+    }
+
+    const organization = await organizationService.updatePolicy(req.params.id, {
+      ...req.body,
+      allowedDays: req.body.allowedDays && [...new Set(req.body.allowedDays)].sort()
+    });
+
+    res.json({ success: true, organization });
+  })
+);
+
+// ===========================================
+// MEMBERS
+// ===========================================
+
+/**
+ * POST /api/organizations/:id/members
+ * Add a rider by phone, or change an existing member's role
+ */
+router.post('/:id/members',
+  param('id').isUUID(),
+  requireMembership({ adminOnly: true }),
+  body('phone').isMobilePhone('en-US'),
+  body('role').optional().isIn(['ADMIN', 'MEMBER']),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await organizationService.addMember(req.params.id, req.body);
+
+    if (!result.success) {
+      const status = { USER_NOT_FOUND: 404, LAST_ADMIN: 409 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json(result);
+  })
+);
+
+/**
+ * DELETE /api/organizations/:id/members/:userId
+ * Remove a member (admins only, or a member leaving)
+ */
+router.delete('/:id/members/:userId',
+  param('id').isUUID(),
+  param('userId').isUUID(),
+  requireMembership(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.params.userId !== req.user.id && req.membership.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Organization admin access required' });
+    }
+
+    const result = await organizationService.removeMember(req.params.id, req.params.userId);
+
+    if (!result.success) {
+      const status = result.code === 'NOT_FOUND' ? 404 : 409;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result);
+  })
+);
+
+// ===========================================
+// BILLING
+// ===========================================
+
+/**
+ * PATCH /api/organizations/:id/billing
+ * Choose company card or monthly invoice billing (invoicing needs VeloX approval)
+ */
+router.patch('/:id/billing',
+  param('id').isUUID(),
+  requireMembership({ adminOnly: true }),
+  body('billingMethod').optional().isIn(['CARD', 'INVOICE']),
+  body('billingEmail').optional().isEmail(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { billingMethod, billingEmail } = req.body;
+    const result = await organizationService.updateBilling(req.params.id, { billingMethod, billingEmail });
+
+    if (!result.success) {
+      return res.status(403).json({ error: result.error, code: result.code });
+    }
+
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/organizations/:id/payment-method
+ * Set the company card rides are charged to
+ */
+router.post('/:id/payment-method',
+  param('id').isUUID(),
+  requireMembership({ adminOnly: true }),
+  body('paymentMethodId').notEmpty(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await organizationService.setPaymentMethod(req.params.id, req.body.paymentMethodId);
+
+    res.json({
+      success: true,
+      card: { brand: organization.cardBrand, last4: organization.cardLast4 }
+    });
+  })
+);
+
+/**
+ * GET /api/organizations/:id/invoices
+ * Monthly invoices
+ */
+router.get('/:id/invoices',
+  param('id').isUUID(),
+  requireMembership({ adminOnly: true }),
+  asyncHandler(async (req, res) => {
+    const invoices = await organizationService.listInvoices(req.params.id);
+    res.json({ invoices });
+  })
+);
+
+// ===========================================
+// EXPENSE EXPORT
+// ===========================================
+
+/**
+ * GET /api/organizations/:id/rides/export?from=&to=&format=csv|json
+ * Business rides for expense systems (defaults to the last 30 days)
+ */
+router.get('/:id/rides/export',
+  param('id').isUUID(),
+  requireMembership({ adminOnly: true }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('format').optional().isIn(['csv', 'json']),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+    const rows = await organizationService.exportRides(req.params.id, { from, to });
+
+    if (req.query.format === 'json') {
+      return res.json({ from, to, rides: rows });
+    }
+
+    const filename = `velox-rides-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(organizationService.toCsv(rows));
+  })
+);
+
+module.exports = router;
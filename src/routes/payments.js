@@ -9,6 +9,8 @@ const { body, validationResult } = require('express-validator');
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { requireUserType } = require('../middleware/auth');
+const earningsService = require('../services/earningsService');
+const payoutService = require('../services/payoutService');
 
 // Initialize Stripe
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
@@ -69,6 +71,7 @@ router.post('/methods', requireUserType('user'),
         expMonth: pm.card?.exp_month,
         expYear: pm.card?.exp_year,
         stripePaymentMethodId: paymentMethodId,
+        fingerprint: pm.card?.fingerprint,
         isDefault
       }
     });
@@ -163,16 +166,11 @@ router.get('/driver/connect/status', requireUserType('driver'), asyncHandler(asy
 // DRIVER PAYOUTS
 // ===========================================
 
-// Get available balance
+// Get balance (pending earnings are still clearing; only available can be paid out)
 router.get('/driver/balance', requireUserType('driver'), asyncHandler(async (req, res) => {
-  const earnings = await prisma.earning.aggregate({
-    where: { driverId: req.user.id, status: 'PENDING' },
-    _sum: { netAmount: true, tip: true }
-  });
-  
-  const available = parseFloat(earnings._sum.netAmount || 0) + parseFloat(earnings._sum.tip || 0);
+  const { pending, held, available } = await earningsService.getDriverBalance(req.user.id);
   
-  res.json({ available, currency: 'usd' });
+  res.json({ available, pending, held, currency: 'usd' });
 }));
 
 // Request instant payout
@@ -183,53 +181,17 @@ router.post('/driver/payout/instant', requireUserType('driver'), asyncHandler(as
     return res.status(400).json({ error: 'Complete Stripe onboarding first' });
   }
   
-  // Get pending earnings
-  const earnings = await prisma.earning.findMany({
-    where: { driverId: req.user.id, status: 'PENDING' }
-  });
-  
-  if (earnings.length === 0) {
-    return res.status(400).json({ error: 'No available balance' });
-  }
-  
-  const totalAmount = earnings.reduce((sum, e) => sum + parseFloat(e.netAmount) + parseFloat(e.tip), 0);
-  
-  // Instant payout fee (1.5%)
-  const fee = totalAmount * 0.015;
-  const netAmount = totalAmount - fee;
-  
-  if (netAmount < 5) {
-    return res.status(400).json({ error: 'Minimum payout is $5' });
+  const result = await payoutService.sendInstantPayout(driver);
+  if (!result.success) {
+    const status = { PAYOUT_IN_PROGRESS: 409, TRANSFER_FAILED: 502 }[result.code] || 400;
+    return res.status(status).json({ error: result.error, code: result.code, pending: result.pending });
   }
   
-  // Create transfer to connected account
-  const transfer = await stripe.transfers.create({
-    amount: Math.round(netAmount * 100), // cents
-    currency: 'usd',
-    destination: driver.stripeAccountId,
-    metadata: { driverId: driver.id, type: 'instant' }
-  });
-  
-  // Create payout record
-  const payout = await prisma.payout.create({
-    data: {
-      driverId: req.user.id,
-      amount: totalAmount,
-      fee,
-      netAmount,
-      type: 'INSTANT',
-      status: 'PROCESSING',
-      stripeTransferId: transfer.id
-    }
-  });
-  
-  // Mark earnings as paid
-  await prisma.earning.updateMany({
-    where: { id: { in: earnings.map(e => e.id) } },
-    data: { status: 'PAID_OUT', payoutId: payout.id, paidOutAt: new Date() }
+  const { payout } = result;
+  res.json({
+    success: true,
+    payout: { id: payout.id, amount: parseFloat(payout.netAmount), fee: parseFloat(payout.fee), status: payout.status }
   });
-  
-  res.json({ success: true, payout: { id: payout.id, amount: netAmount, fee, status: 'PROCESSING' } });
 }));
 
 // Get payout history
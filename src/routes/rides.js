@@ -10,7 +10,19 @@ const prisma = require('../config/prisma');
 const redis = require('../config/redis');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { requireUserType } = require('../middleware/auth');
-const { calculateFare, calculateDistance } = require('../utils/pricing');
+const { calculateFare } = require('../utils/pricing');
+const surgeService = require('../services/surgeService');
+const pricingService = require('../services/pricingService');
+const marketService = require('../services/marketService');
+const routingService = require('../services/routingService');
+const paymentService = require('../services/paymentService');
+const tipService = require('../services/tipService');
+const configService = require('../services/configService');
+const splitFareService = require('../services/splitFareService');
+const organizationService = require('../services/organizationService');
+const promoService = require('../services/promoService');
+const dispatchService = require('../services/dispatchService');
+const rideStateService = require('../services/rideStateService');
 
 // ===========================================
 // GET FARE ESTIMATE
@@ -33,35 +45,47 @@ router.post('/estimate',
 
     const { pickupLat, pickupLng, dropoffLat, dropoffLng, stops = [] } = req.body;
 
-    // Calculate distance (including stops)
-    let totalDistance = calculateDistance(pickupLat, pickupLng, dropoffLat, dropoffLng);
-    let totalDuration = Math.ceil(totalDistance * 2.5 + 5); // Rough estimate: 2.5 min/mile + 5 min buffer
-
-    // Add stop distances
-    if (stops.length > 0) {
-      let prevLat = pickupLat, prevLng = pickupLng;
-      for (const stop of stops) {
-        totalDistance += calculateDistance(prevLat, prevLng, stop.lat, stop.lng);
-        prevLat = stop.lat;
-        prevLng = stop.lng;
-      }
-      totalDistance += calculateDistance(prevLat, prevLng, dropoffLat, dropoffLng);
-      totalDuration += stops.length * 3; // 3 min per stop
+    const market = await marketService.findMarketForPoint(pickupLat, pickupLng);
+    if (!market) {
+      return res.status(400).json({ error: 'VeloX is not available in this area yet', code: 'OUTSIDE_SERVICE_AREA' });
     }
 
-    // Get surge multiplier (placeholder - would check demand in production)
-    const surgeMultiplier = 1.0; // TODO: Implement dynamic surge pricing
-
-    // Calculate fares for each service type
+    // Road distance and duration (including stops)
+    const route = await getTripRoute(
+      { lat: pickupLat, lng: pickupLng },
+      stops,
+      { lat: dropoffLat, lng: dropoffLng }
+    );
+    const totalDistance = route.distanceMiles;
+    const totalDuration = route.durationMinutes;
+
+    // Get surge multiplier for the pickup zone and lock it for this rider
+    const { zoneId, multiplier: surgeMultiplier } = await surgeService.getSurgeMultiplier(pickupLat, pickupLng);
+    const surgeQuote = await surgeService.createSurgeQuote(req.user.id, zoneId, surgeMultiplier);
+
+    // Calculate fares for each service type offered in this market
+    const pricing = await pricingService.getActivePricing();
+    const marketPricing = marketService.getMarketPricing(market, pricing);
     const estimates = {};
-    const serviceTypes = ['VELOX', 'VELOX_XL', 'VELOX_BLACK', 'VELOX_GREEN'];
 
-    for (const serviceType of serviceTypes) {
-      const fare = calculateFare(totalDistance, totalDuration, serviceType, surgeMultiplier);
-      
-      // Check driver availability
-      const nearbyDrivers = await redis.findNearbyDrivers(pickupLat, pickupLng, 10);
-      const availableDrivers = await getAvailableDriversForService(nearbyDrivers, serviceType);
+    // Check driver availability
+    const { maxMatchRadiusMiles } = await configService.getConfig();
+    const nearbyDrivers = await redis.findNearbyDrivers(pickupLat, pickupLng, maxMatchRadiusMiles);
+    const driverEtas = new Map();
+
+    for (const serviceType of Object.keys(marketPricing)) {
+      const fare = calculateFare(totalDistance, totalDuration, serviceType, surgeMultiplier, marketPricing);
+      const availableDrivers = await dispatchService.getAvailableDrivers(nearbyDrivers, serviceType);
+
+      // ETA of the closest available driver (memoized across service types)
+      let eta = null;
+      if (availableDrivers.length > 0) {
+        const closest = availableDrivers[0];
+        if (!driverEtas.has(closest.driverId)) {
+          driverEtas.set(closest.driverId, await getDriverEta(closest, { lat: pickupLat, lng: pickupLng }));
+        }
+        eta = driverEtas.get(closest.driverId);
+      }
       
       estimates[serviceType] = {
         ...fare,
@@ -69,17 +93,93 @@ router.post('/estimate',
         durationMinutes: totalDuration,
         surgeMultiplier,
         driversAvailable: availableDrivers.length,
-        eta: availableDrivers.length > 0 
-          ? Math.ceil(availableDrivers[0].distanceMiles * 3) // ~3 min per mile
-          : null
+        eta
       };
     }
 
     res.json({
       estimates,
+      surgeMultiplier,
+      surgeQuoteToken: surgeQuote.token,
+      surgeQuoteExpiresAt: surgeQuote.expiresAt,
+      pricingVersion: pricing.version,
+      market: { id: market.id, slug: market.slug, name: market.name },
       pickup: { lat: pickupLat, lng: pickupLng },
       dropoff: { lat: dropoffLat, lng: dropoffLng },
-      stops
+      stops,
+      polyline: route.polyline
+    });
+  })
+);
+
+// ===========================================
+// PROMO CODES
+// ===========================================
+
+/**
+ * POST /api/rides/promo/validate
+ * Check a promo code against a trip and preview the discount (nothing is reserved)
+ */
+router.post('/promo/validate',
+  requireUserType('user'),
+  body('code').isString().trim().notEmpty(),
+  body('serviceType').isIn(pricingService.SERVICE_TYPES),
+  body('pickupLat').isFloat(),
+  body('pickupLng').isFloat(),
+  body('dropoffLat').isFloat(),
+  body('dropoffLng').isFloat(),
+  body('organizationId').optional().isUUID(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { code, serviceType, pickupLat, pickupLng, dropoffLat, dropoffLng, stops = [], organizationId } = req.body;
+
+    const market = await marketService.findMarketForPoint(pickupLat, pickupLng);
+    if (!market) {
+      return res.status(400).json({ error: 'VeloX is not available in this area yet', code: 'OUTSIDE_SERVICE_AREA' });
+    }
+    if (!market.serviceTypes.includes(serviceType)) {
+      return res.status(400).json({ error: `${serviceType} is not available in ${market.name}`, code: 'SERVICE_UNAVAILABLE' });
+    }
+
+    // Same fare the estimate shows
+    const route = await getTripRoute(
+      { lat: pickupLat, lng: pickupLng },
+      stops,
+      { lat: dropoffLat, lng: dropoffLng }
+    );
+    const { multiplier: surgeMultiplier } = await surgeService.getSurgeMultiplier(pickupLat, pickupLng);
+    const pricing = await pricingService.getActivePricing();
+    const marketPricing = marketService.getMarketPricing(market, pricing);
+    const fare = calculateFare(route.distanceMiles, route.durationMinutes, serviceType, surgeMultiplier, marketPricing);
+
+    const evaluation = await promoService.evaluatePromo(code, {
+      userId: req.user.id,
+      serviceType,
+      marketId: market.id,
+      fare: fare.totalFare,
+      organizationId
+    });
+
+    if (!evaluation.valid) {
+      return res.json({ valid: false, error: evaluation.error, code: evaluation.code });
+    }
+
+    res.json({
+      valid: true,
+      promo: {
+        code: evaluation.promo.code,
+        description: evaluation.promo.description,
+        type: evaluation.promo.type,
+        value: parseFloat(evaluation.promo.value),
+        validUntil: evaluation.promo.validUntil
+      },
+      fare: parseFloat(fare.totalFare),
+      discount: evaluation.discount,
+      total: Math.round((fare.totalFare - evaluation.discount) * 100) / 100
     });
   })
 );
@@ -101,6 +201,11 @@ router.post('/request',
   body('dropoffLat').isFloat(),
   body('dropoffLng').isFloat(),
   body('serviceType').isIn(['VELOX', 'VELOX_XL', 'VELOX_BLACK', 'VELOX_GREEN']),
+  body('promoCode').optional().isString().trim().notEmpty(),
+  body('surgeQuoteToken').optional().isUUID(),
+  body('profile').optional().isIn(['PERSONAL', 'BUSINESS']),
+  body('organizationId').if(body('profile').equals('BUSINESS')).isUUID(),
+  body('expenseMemo').optional().isString().isLength({ max: 500 }),
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -112,7 +217,8 @@ router.post('/request',
       pickupAddress, pickupLat, pickupLng,
       dropoffAddress, dropoffLat, dropoffLng,
       serviceType, stops = [], paymentMethodId,
-      scheduledFor, promoCode
+      scheduledFor, promoCode, surgeQuoteToken,
+      profile = 'PERSONAL', organizationId, expenseMemo
     } = req.body;
 
     // Check for active ride
@@ -127,108 +233,221 @@ router.post('/request',
       return res.status(400).json({ error: 'You already have an active ride' });
     }
 
-    // Calculate fare
-    const distance = calculateDistance(pickupLat, pickupLng, dropoffLat, dropoffLng);
-    const duration = Math.ceil(distance * 2.5 + 5);
-    const surgeMultiplier = 1.0; // TODO: Dynamic surge
-    const fareDetails = calculateFare(distance, duration, serviceType, surgeMultiplier);
-
-    // Apply promo code if provided
-    let promoDiscount = 0;
-    if (promoCode) {
-      const promo = await validatePromoCode(promoCode, userId, fareDetails.totalFare);
-      if (promo.valid) {
-        promoDiscount = promo.discount;
+    // Business rides are billed to the organization; personal rides to the rider's card
+    let organization = null;
+    let paymentMethod = null;
+    if (profile === 'BUSINESS') {
+      const business = await organizationService.resolveBusinessProfile(userId, organizationId);
+      if (!business.success) {
+        return res.status(business.code === 'NOT_A_MEMBER' ? 403 : 400).json({ error: business.error, code: business.code });
+      }
+      organization = business.organization;
+    } else {
+      paymentMethod = await paymentService.resolvePaymentMethod(userId, paymentMethodId);
+      if (!paymentMethod) {
+        return res.status(400).json({ error: 'Add a payment method before requesting a ride', code: 'PAYMENT_METHOD_REQUIRED' });
       }
     }
 
-    // Calculate platform fee and driver earnings
-    const platformFeePercent = 20; // 20% platform fee
-    const totalFare = fareDetails.totalFare - promoDiscount;
-    const platformFee = totalFare * (platformFeePercent / 100);
-    const driverEarnings = totalFare - platformFee;
+    // Check the pickup is served and the service is offered there
+    const market = await marketService.findMarketForPoint(pickupLat, pickupLng);
+    if (!market) {
+      return res.status(400).json({ error: 'VeloX is not available in this area yet', code: 'OUTSIDE_SERVICE_AREA' });
+    }
+    if (!market.serviceTypes.includes(serviceType)) {
+      return res.status(400).json({ error: `${serviceType} is not available in ${market.name}`, code: 'SERVICE_UNAVAILABLE' });
+    }
 
-    // Create ride
-    const ride = await prisma.ride.create({
-      data: {
-        userId,
-        pickupAddress,
-        pickupLat,
-        pickupLng,
-        dropoffAddress,
-        dropoffLat,
-        dropoffLng,
-        distanceMiles: distance,
-        durationMinutes: duration,
-        serviceType,
-        baseFare: fareDetails.baseFare,
-        distanceFare: fareDetails.distanceFare,
-        timeFare: fareDetails.timeFare,
-        surgeMult: surgeMultiplier,
-        promoDiscount,
-        totalFare,
-        platformFee,
-        driverEarnings,
-        paymentMethodId,
-        isScheduled: !!scheduledFor,
-        scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
-        status: scheduledFor ? 'REQUESTED' : 'REQUESTED',
-        stops: {
-          create: stops.map((stop, index) => ({
-            address: stop.address,
-            latitude: stop.lat,
-            longitude: stop.lng,
-            order: index + 1
-          }))
+    // Calculate fare
+    const route = await getTripRoute(
+      { lat: pickupLat, lng: pickupLng },
+      stops,
+      { lat: dropoffLat, lng: dropoffLng },
+      scheduledFor ? new Date(scheduledFor) : new Date()
+    );
+    const distance = route.distanceMiles;
+    const duration = route.durationMinutes;
+    const surge = await surgeService.resolveSurgeForRequest(userId, pickupLat, pickupLng, surgeQuoteToken);
+    // The quote is claimed now; a request that doesn't end in a booked ride gives it back
+    let booked = false;
+    try {
+      const surgeMultiplier = surge.multiplier;
+      const pricing = await pricingService.getActivePricing();
+      const marketPricing = marketService.getMarketPricing(market, pricing);
+      const fareDetails = calculateFare(distance, duration, serviceType, surgeMultiplier, marketPricing);
+
+      // Apply promo code if provided; one promo per ride, personal rides only
+      let promo = null;
+      let promoDiscount = 0;
+      if (promoCode) {
+        const evaluation = await promoService.evaluatePromo(promoCode, {
+          userId,
+          serviceType,
+          marketId: market.id,
+          fare: fareDetails.totalFare,
+          organizationId: organization?.id
+        });
+        if (!evaluation.valid) {
+          return res.status(400).json({ error: evaluation.error, code: evaluation.code });
         }
-      },
-      include: {
-        stops: true
+        promo = evaluation.promo;
+        promoDiscount = evaluation.discount;
       }
-    });
 
-    // Store ride state in Redis for real-time access
-    await redis.setRideState(ride.id, {
-      id: ride.id,
-      userId,
-      status: ride.status,
-      pickup: { address: pickupAddress, lat: pickupLat, lng: pickupLng },
-      dropoff: { address: dropoffAddress, lat: dropoffLat, lng: dropoffLng },
-      serviceType,
-      totalFare: parseFloat(totalFare),
-      createdAt: ride.createdAt
-    });
+      // Calculate platform fee and driver earnings
+      // Driver tier discounts are applied when the driver is known, at completion
+      const config = await configService.getConfig();
+      const platformFeePercent = configService.resolveCommissionPercent(config, { serviceType, market });
+      const totalFare = fareDetails.totalFare - promoDiscount;
+      const platformFee = Math.round(totalFare * platformFeePercent) / 100;
+      const driverEarnings = totalFare - platformFee;
+
+      // Enforce the organization's spend policy before anything is booked
+      if (organization) {
+        const policy = await organizationService.checkRidePolicy(organization, {
+          userId,
+          serviceType,
+          fare: totalFare,
+          market,
+          at: scheduledFor ? new Date(scheduledFor) : new Date(),
+          expenseMemo
+        });
+        if (!policy.allowed) {
+          return res.status(403).json({ error: policy.error, code: policy.code });
+        }
+      }
 
-    // If not scheduled, start driver matching
-    if (!scheduledFor) {
-      // Emit to socket for real-time updates
-      const io = req.app.get('io');
-      startDriverMatching(ride.id, io);
-    }
+      // Create ride
+      const ride = await prisma.ride.create({
+        data: {
+          userId,
+          marketId: market.id,
+          pickupAddress,
+          pickupLat,
+          pickupLng,
+          dropoffAddress,
+          dropoffLat,
+          dropoffLng,
+          distanceMiles: distance,
+          durationMinutes: duration,
+          routePolyline: route.polyline,
+          serviceType,
+          baseFare: fareDetails.baseFare,
+          distanceFare: fareDetails.distanceFare,
+          timeFare: fareDetails.timeFare,
+          surgeMult: surgeMultiplier,
+          pricingVersion: pricing.version,
+          promoDiscount,
+          promoCodeId: promo?.id,
+          totalFare,
+          platformFee,
+          driverEarnings,
+          paymentMethodId: paymentMethod?.id,
+          organizationId: organization?.id,
+          organizationBilling: organization?.billingMethod,
+          expenseMemo: organization ? expenseMemo?.trim() || null : null,
+          isScheduled: !!scheduledFor,
+          scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
+          status: scheduledFor ? 'REQUESTED' : 'REQUESTED',
+          stops: {
+            create: stops.map((stop, index) => ({
+              address: stop.address,
+              latitude: stop.lat,
+              longitude: stop.lng,
+              order: index + 1
+            }))
+          },
+          events: {
+            create: { toStatus: 'REQUESTED', actorType: 'RIDER', actorId: userId }
+          }
+        },
+        include: {
+          stops: true
+        }
+      });
 
-    res.status(201).json({
-      success: true,
-      ride: {
+      // Hold a use of the promo against its limits (given back if the ride doesn't happen)
+      if (promo) {
+        const reservation = await promoService.reserveForRide(promo, { rideId: ride.id, userId, discount: promoDiscount });
+        if (!reservation.success) {
+          await rideStateService.transition(ride.id, 'CANCELLED', rideStateService.SYSTEM, {
+            io: req.app.get('io'),
+            reason: 'Promo code no longer available'
+          });
+          return res.status(409).json({ error: reservation.error, code: reservation.code });
+        }
+      }
+
+      // Hold the upfront fare on the rider's or company card (invoice-billed rides need no hold)
+      const authorization = await paymentService.authorizeRide(ride.id);
+      if (!authorization.success) {
+        await rideStateService.transition(ride.id, 'CANCELLED', rideStateService.SYSTEM, {
+          io: req.app.get('io'),
+          reason: 'Payment authorization failed'
+        });
+        paymentService.emitPaymentFailed(req.app.get('io'), userId, ride.id, 'authorization', authorization.error);
+        return res.status(402).json({ error: 'Payment authorization failed', details: authorization.error, code: 'PAYMENT_FAILED' });
+      }
+
+      // The ride is booked, so its quote stays used up
+      booked = true;
+
+      // Count towards zone demand for future surge calculations
+      await surgeService.recordRideRequest(surge.zoneId, ride.id);
+
+      // Store ride state in Redis for real-time access
+      await redis.setRideState(ride.id, {
         id: ride.id,
+        userId,
         status: ride.status,
         pickup: { address: pickupAddress, lat: pickupLat, lng: pickupLng },
         dropoff: { address: dropoffAddress, lat: dropoffLat, lng: dropoffLng },
-        stops: ride.stops,
         serviceType,
-        fare: {
-          base: parseFloat(fareDetails.baseFare),
-          distance: parseFloat(fareDetails.distanceFare),
-          time: parseFloat(fareDetails.timeFare),
-          surge: surgeMultiplier,
-          promoDiscount: parseFloat(promoDiscount),
-          total: parseFloat(totalFare)
-        },
-        distanceMiles: distance,
-        durationMinutes: duration,
-        isScheduled: ride.isScheduled,
-        scheduledFor: ride.scheduledFor
+        totalFare: parseFloat(totalFare),
+        createdAt: ride.createdAt
+      });
+
+      // If not scheduled, start offering the ride to drivers
+      if (!scheduledFor) {
+        await dispatchService.startDispatch(ride.id, req.app.get('io'));
       }
-    });
+
+      res.status(201).json({
+        success: true,
+        ride: {
+          id: ride.id,
+          status: ride.status,
+          pickup: { address: pickupAddress, lat: pickupLat, lng: pickupLng },
+          dropoff: { address: dropoffAddress, lat: dropoffLat, lng: dropoffLng },
+          stops: ride.stops,
+          serviceType,
+          market: { id: market.id, slug: market.slug, name: market.name },
+          profile: organization
+            ? { type: 'BUSINESS', organizationId: organization.id, name: organization.name, billingMethod: organization.billingMethod }
+            : { type: 'PERSONAL' },
+          paymentStatus: authorization.invoiced ? 'PENDING' : 'AUTHORIZED',
+          fare: {
+            base: parseFloat(fareDetails.baseFare),
+            distance: parseFloat(fareDetails.distanceFare),
+            time: parseFloat(fareDetails.timeFare),
+            surge: surgeMultiplier,
+            surgeLocked: surge.locked,
+            promoDiscount: parseFloat(promoDiscount),
+            total: parseFloat(totalFare),
+            pricingVersion: pricing.version
+          },
+          distanceMiles: distance,
+          durationMinutes: duration,
+          polyline: route.polyline,
+          isScheduled: ride.isScheduled,
+          scheduledFor: ride.scheduledFor
+        }
+      });
+    } finally {
+      if (!booked) {
+        await surgeService.releaseSurgeQuote(surge);
+      }
+    }
   })
 );
 
@@ -318,10 +537,19 @@ router.get('/:id',
           surge: ride.surgeMult,
           tip: parseFloat(ride.tip),
           promoDiscount: parseFloat(ride.promoDiscount),
-          total: parseFloat(ride.totalFare)
+          total: parseFloat(ride.totalFare),
+          upfront: ride.upfrontFare !== null ? parseFloat(ride.upfrontFare) : null,
+          adjustment: parseFloat(ride.fareAdjustment),
+          adjustmentReason: ride.fareAdjustmentReason
         },
         distanceMiles: ride.distanceMiles,
         durationMinutes: ride.durationMinutes,
+        polyline: ride.routePolyline,
+        actual: ride.status === 'COMPLETED' ? {
+          distanceMiles: ride.actualDistanceMiles,
+          durationMinutes: ride.actualDurationMinutes,
+          polyline: ride.tripPolyline
+        } : null,
         driver: ride.driver ? {
           id: ride.driver.id,
           name: `${ride.driver.firstName} ${ride.driver.lastName.charAt(0)}.`,
@@ -367,68 +595,271 @@ router.post('/:id/cancel',
   param('id').isUUID(),
   body('reason').optional().isString(),
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
     const { reason } = req.body;
-    const userId = req.user.id;
-    const userType = req.user.type;
+    const actor = { type: req.user.type === 'user' ? 'RIDER' : 'DRIVER', id: req.user.id };
 
-    const ride = await prisma.ride.findUnique({
-      where: { id }
+    // Applies the cancellation policy, releases or charges the hold and notifies the ride room
+    const result = await rideStateService.transition(id, 'CANCELLED', actor, { io: req.app.get('io'), reason });
+    if (!result.success) {
+      return sendTransitionError(res, result);
+    }
+
+    const { fee: cancellationFee, rule, settlement } = result;
+
+    let message = 'Ride cancelled successfully';
+    if (cancellationFee > 0) {
+      message = settlement.success
+        ? `Ride cancelled. A $${cancellationFee.toFixed(2)} ${rule === 'RIDER_NO_SHOW' ? 'no-show' : 'cancellation'} fee has been charged.`
+        : `Ride cancelled. The $${cancellationFee.toFixed(2)} cancellation fee could not be charged.`;
+    }
+
+    res.json({
+      success: true,
+      cancellationFee,
+      rule,
+      paymentStatus: settlement.success ? undefined : 'FAILED',
+      message
     });
+  })
+);
 
-    if (!ride) {
-      return res.status(404).json({ error: 'Ride not found' });
+// ===========================================
+// DRIVER ACTIONS
+// ===========================================
+
+// REST equivalents of the driver socket events, for clients without a live socket
+
+function sendTransitionError(res, result) {
+  const status = {
+    RIDE_NOT_FOUND: 404,
+    NOT_YOUR_RIDE: 403,
+    NOT_ALLOWED: 403,
+    INVALID_TRANSITION: 409,
+    RIDE_CHANGED: 409
+  }[result.code] || 400;
+  return res.status(status).json({ error: result.error, code: result.code });
+}
+
+/**
+ * POST /api/rides/:id/accept
+ * Accept a ride offer
+ */
+router.post('/:id/accept',
+  requireUserType('driver'),
+  param('id').isUUID(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Verify ownership
-    if (userType === 'user' && ride.userId !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+    const result = await dispatchService.acceptOffer(req.params.id, req.user.id, req.app.get('io'));
+    if (!result.success) {
+      const status = { NOT_OFFERED: 403, DRIVER_BUSY: 409, ACCEPT_IN_PROGRESS: 409 }[result.code] || 410;
+      return res.status(status).json({ error: result.error, code: result.code });
     }
-    if (userType === 'driver' && ride.driverId !== userId) {
-      return res.status(403).json({ error: 'Access denied' });
+
+    const { ride, eta } = result;
+    res.json({
+      success: true,
+      ride: {
+        id: ride.id,
+        status: ride.status,
+        pickup: { address: ride.pickupAddress, lat: ride.pickupLat, lng: ride.pickupLng },
+        dropoff: { address: ride.dropoffAddress, lat: ride.dropoffLat, lng: ride.dropoffLng },
+        polyline: ride.routePolyline,
+        eta,
+        fare: parseFloat(ride.driverEarnings)
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/rides/:id/decline
+ * Turn down a ride offer
+ */
+router.post('/:id/decline',
+  requireUserType('driver'),
+  param('id').isUUID(),
+  body('reason').optional().isString().isLength({ max: 200 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if can be cancelled
-    if (['COMPLETED', 'CANCELLED'].includes(ride.status)) {
-      return res.status(400).json({ error: 'Ride cannot be cancelled' });
+    const declined = await dispatchService.declineOffer(req.params.id, req.user.id, req.body.reason || null, req.app.get('io'));
+    if (!declined) {
+      return res.status(404).json({ error: 'No open offer for this ride', code: 'NOT_OFFERED' });
     }
 
-    // Determine cancellation fee (if driver already accepted)
-    let cancellationFee = 0;
-    if (ride.driverId && userType === 'user') {
-      cancellationFee = 5.00; // $5 cancellation fee
+    res.json({ success: true });
+  })
+);
+
+// Driver moves an assigned ride on to the next status
+const driverTransition = (status) => [
+  requireUserType('driver'),
+  param('id').isUUID(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Update ride
-    const updatedRide = await prisma.ride.update({
-      where: { id },
-      data: {
-        status: 'CANCELLED',
-        cancelledAt: new Date(),
-        cancelReason: reason,
-        cancelledBy: userType === 'user' ? 'RIDER' : 'DRIVER'
-      }
+    const result = await rideStateService.transition(req.params.id, status, { type: 'DRIVER', id: req.user.id }, {
+      io: req.app.get('io')
     });
+    if (!result.success) {
+      return sendTransitionError(res, result);
+    }
 
-    // Clear Redis state
-    await redis.clearRideState(id);
+    const response = { success: true, status: result.ride.status };
+    if (status === 'COMPLETED') {
+      response.fare = parseFloat(result.ride.totalFare);
+      response.earnings = parseFloat(result.ride.driverEarnings);
+      response.paymentStatus = result.payment.success ? 'CAPTURED' : 'FAILED';
+    }
+    res.json(response);
+  })
+];
 
-    // Notify via socket
-    const io = req.app.get('io');
-    io.to(`ride:${id}`).emit('ride:cancelled', {
-      rideId: id,
-      cancelledBy: userType,
-      reason,
-      cancellationFee
+/**
+ * POST /api/rides/:id/en-route    Driver heading to pickup (ARRIVING)
+ * POST /api/rides/:id/arrived     Driver at pickup (ARRIVED)
+ * POST /api/rides/:id/start       Trip started (IN_PROGRESS)
+ * POST /api/rides/:id/complete    Trip finished (COMPLETED)
+ */
+router.post('/:id/en-route', ...driverTransition('ARRIVING'));
+router.post('/:id/arrived', ...driverTransition('ARRIVED'));
+router.post('/:id/start', ...driverTransition('IN_PROGRESS'));
+router.post('/:id/complete', ...driverTransition('COMPLETED'));
+
+/**
+ * GET /api/rides/:id/events
+ * Status history of a ride
+ */
+router.get('/:id/events',
+  param('id').isUUID(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ride = await prisma.ride.findUnique({
+      where: { id: req.params.id },
+      select: { userId: true, driverId: true }
     });
+    const owner = req.user.type === 'user' ? ride?.userId : ride?.driverId;
+    if (!ride || owner !== req.user.id) {
+      return res.status(404).json({ error: 'Ride not found' });
+    }
 
-    res.json({
-      success: true,
-      cancellationFee,
-      message: cancellationFee > 0 
-        ? `Ride cancelled. A $${cancellationFee.toFixed(2)} fee will be charged.`
-        : 'Ride cancelled successfully'
+    const events = await rideStateService.listEvents(req.params.id);
+    res.json({ events });
+  })
+);
+
+// ===========================================
+// SPLIT FARE
+// ===========================================
+
+/**
+ * GET /api/rides/splits/invites
+ * Split fare invites waiting on the current rider
+ */
+router.get('/splits/invites',
+  requireUserType('user'),
+  asyncHandler(async (req, res) => {
+    const invites = await splitFareService.listInvites(req.user.id);
+    res.json({ invites });
+  })
+);
+
+/**
+ * POST /api/rides/:id/split
+ * Invite other riders by phone to split the fare evenly or by custom shares
+ */
+router.post('/:id/split',
+  requireUserType('user'),
+  param('id').isUUID(),
+  body('phones').isArray({ min: 1 }),
+  body('phones.*').isMobilePhone('en-US'),
+  body('mode').isIn(['EVEN', 'CUSTOM']),
+  body('shares').if(body('mode').equals('CUSTOM')).isObject(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phones, mode, shares } = req.body;
+    const result = await splitFareService.inviteRiders(req.params.id, req.user.id, { phones, mode, shares });
+
+    if (!result.success) {
+      const status = { NOT_FOUND: 404, ALREADY_SPLIT: 409, BUSINESS_RIDE: 409, USER_NOT_FOUND: 404 }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json({ success: true, splits: result.splits });
+  })
+);
+
+/**
+ * GET /api/rides/:id/split
+ * Everyone on a split fare and their share (organizer and invitees only)
+ */
+router.get('/:id/split',
+  requireUserType('user'),
+  param('id').isUUID(),
+  asyncHandler(async (req, res) => {
+    const splits = await splitFareService.getSplit(req.params.id, req.user.id);
+    if (!splits) {
+      return res.status(404).json({ error: 'Split fare not found' });
+    }
+
+    res.json({ splits });
+  })
+);
+
+/**
+ * POST /api/rides/:id/split/respond
+ * Accept (placing a hold for your share) or decline a split invite
+ */
+router.post('/:id/split/respond',
+  requireUserType('user'),
+  param('id').isUUID(),
+  body('accept').isBoolean(),
+  body('paymentMethodId').optional().isUUID(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await splitFareService.respondToInvite(req.params.id, req.user.id, {
+      accept: req.body.accept,
+      paymentMethodId: req.body.paymentMethodId
     });
+
+    if (!result.success) {
+      const status = {
+        NOT_FOUND: 404,
+        ALREADY_RESPONDED: 409,
+        PAYMENT_FAILED: 402
+      }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ success: true, split: result.split, estimatedShare: result.estimatedShare });
   })
 );
 
@@ -443,40 +874,34 @@ router.post('/:id/cancel',
 router.post('/:id/tip',
   requireUserType('user'),
   param('id').isUUID(),
-  body('amount').isFloat({ min: 0, max: 100 }),
+  body('amount').isFloat({ gt: 0, max: 100 }),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const { amount } = req.body;
-    const userId = req.user.id;
-
-    const ride = await prisma.ride.findUnique({
-      where: { id }
-    });
-
-    if (!ride || ride.userId !== userId) {
-      return res.status(404).json({ error: 'Ride not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (ride.status !== 'COMPLETED') {
-      return res.status(400).json({ error: 'Can only tip completed rides' });
-    }
+    const { id } = req.params;
+    const amount = Math.round(parseFloat(req.body.amount) * 100) / 100;
 
-    // Update ride with tip
-    await prisma.ride.update({
-      where: { id },
-      data: { tip: amount }
-    });
+    const result = await tipService.addTip(id, req.user.id, amount);
 
-    // Update driver earnings
-    if (ride.driverId) {
-      await prisma.earning.updateMany({
-        where: { rideId: id },
-        data: { tip: amount }
-      });
+    if (!result.success) {
+      const status = {
+        NOT_FOUND: 404,
+        ALREADY_TIPPED: 409,
+        PAYMENT_FAILED: 402
+      }[result.code] || 400;
+      return res.status(status).json({ error: result.error, code: result.code });
     }
 
     res.json({
       success: true,
+      tip: {
+        id: result.tip.id,
+        amount,
+        status: result.tip.status
+      },
       message: `$${amount.toFixed(2)} tip added`
     });
   })
@@ -638,144 +1063,28 @@ router.get('/',
 // ===========================================
 
 /**
- * Get available drivers for a service type
+ * Route pickup -> stops -> dropoff
+ * Adds dwell time for each intermediate stop
  */
-async function getAvailableDriversForService(nearbyDrivers, serviceType) {
-  if (nearbyDrivers.length === 0) return [];
-
-  const driverIds = nearbyDrivers.map(d => d.driverId);
-  
-  const drivers = await prisma.driver.findMany({
-    where: {
-      id: { in: driverIds },
-      status: 'APPROVED',
-      isOnline: true,
-      serviceTypes: { has: serviceType }
-    },
-    select: { id: true }
-  });
-
-  const availableIds = new Set(drivers.map(d => d.id));
-  return nearbyDrivers.filter(d => availableIds.has(d.driverId));
+async function getTripRoute(pickup, stops, dropoff, departAt = new Date()) {
+  const waypoints = [pickup, ...stops.map(s => ({ lat: s.lat, lng: s.lng })), dropoff];
+  const route = await routingService.getRoute(waypoints, { departAt });
+
+  return {
+    ...route,
+    durationMinutes: route.durationMinutes + stops.length * 3 // 3 min per stop
+  };
 }
 
 /**
- * Validate promo code
+ * Driving ETA for a nearby driver to the pickup
  */
-async function validatePromoCode(code, userId, fareAmount) {
-  const promo = await prisma.promoCode.findUnique({
-    where: { code: code.toUpperCase() }
-  });
-
-  if (!promo || !promo.isActive) {
-    return { valid: false, error: 'Invalid promo code' };
-  }
-
-  // Check expiry
-  if (promo.validUntil && promo.validUntil < new Date()) {
-    return { valid: false, error: 'Promo code expired' };
+async function getDriverEta(nearbyDriver, pickup) {
+  const location = await redis.getDriverLocation(nearbyDriver.driverId);
+  if (!location) {
+    return Math.ceil(nearbyDriver.distanceMiles * 3); // ~3 min per mile
   }
-
-  // Check usage limit
-  if (promo.usageLimit && promo.usageCount >= promo.usageLimit) {
-    return { valid: false, error: 'Promo code usage limit reached' };
-  }
-
-  // Check per-user limit
-  const userUsages = await prisma.promoUsage.count({
-    where: { promoCodeId: promo.id, userId }
-  });
-  if (userUsages >= promo.perUserLimit) {
-    return { valid: false, error: 'You have already used this promo code' };
-  }
-
-  // Check minimum fare
-  if (promo.minRideFare && fareAmount < parseFloat(promo.minRideFare)) {
-    return { valid: false, error: `Minimum fare of $${promo.minRideFare} required` };
-  }
-
-  // Calculate discount
-  let discount;
-  if (promo.type === 'FIXED') {
-    discount = Math.min(parseFloat(promo.value), fareAmount);
-  } else {
-    discount = fareAmount * (parseFloat(promo.value) / 100);
-    if (promo.maxDiscount) {
-      discount = Math.min(discount, parseFloat(promo.maxDiscount));
-    }
-  }
-
-  return { valid: true, discount };
-}
-
-/**
- * Start driver matching process
- */
-async function startDriverMatching(rideId, io) {
-  const ride = await prisma.ride.findUnique({
-    where: { id: rideId }
-  });
-
-  if (!ride) return;
-
-  // Find nearby drivers
-  const nearbyDrivers = await redis.findNearbyDrivers(
-    ride.pickupLat, 
-    ride.pickupLng, 
-    10 // 10 mile radius
-  );
-
-  // Filter by service type and availability
-  const availableDrivers = await getAvailableDriversForService(nearbyDrivers, ride.serviceType);
-
-  if (availableDrivers.length === 0) {
-    // No drivers available
-    await prisma.ride.update({
-      where: { id: rideId },
-      data: { status: 'NO_DRIVERS' }
-    });
-    
-    io.to(`user:${ride.userId}`).emit('ride:no_drivers', { rideId });
-    return;
-  }
-
-  // Notify closest drivers (top 5)
-  const driversToNotify = availableDrivers.slice(0, 5);
-  
-  for (const { driverId, distanceMiles } of driversToNotify) {
-    io.to(`driver:${driverId}`).emit('ride:request', {
-      rideId,
-      pickup: {
-        address: ride.pickupAddress,
-        lat: ride.pickupLat,
-        lng: ride.pickupLng
-      },
-      dropoff: {
-        address: ride.dropoffAddress,
-        lat: ride.dropoffLat,
-        lng: ride.dropoffLng
-      },
-      serviceType: ride.serviceType,
-      fare: parseFloat(ride.driverEarnings),
-      distanceMiles: ride.distanceMiles,
-      pickupDistanceMiles: distanceMiles,
-      expiresIn: 30 // seconds
-    });
-  }
-
-  // Set timeout for driver acceptance
-  setTimeout(async () => {
-    const currentRide = await prisma.ride.findUnique({ where: { id: rideId } });
-    if (currentRide && currentRide.status === 'REQUESTED') {
-      // Still no driver accepted, retry or mark as no drivers
-      // In production, would implement retry logic
-      await prisma.ride.update({
-        where: { id: rideId },
-        data: { status: 'NO_DRIVERS' }
-      });
-      io.to(`user:${ride.userId}`).emit('ride:no_drivers', { rideId });
-    }
-  }, 30000); // 30 second timeout
+  return routingService.getEta({ lat: location.lat, lng: location.lng }, pickup);
 }
 
 module.exports = router;
@@ -1,14 +1,16 @@
 /**
  * User Routes
- * Profile, saved places, payment methods
+ * Profile, saved places, payment methods, wallet, referrals
  */
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const prisma = require('../config/prisma');
 const { asyncHandler } = require('../middleware/errorHandler');
 const { requireUserType } = require('../middleware/auth');
+const walletService = require('../services/walletService');
+const referralService = require('../services/referralService');
 
 // Get current user profile
 router.get('/me', requireUserType('user'), asyncHandler(async (req, res) => {
@@ -31,6 +33,7 @@ router.get('/me', requireUserType('user'), asyncHandler(async (req, res) => {
     avatarUrl: user.avatarUrl,
     savedPlaces: user.savedPlaces,
     paymentMethods: user.paymentMethods,
+    walletBalance: parseFloat(user.walletBalance),
     settings: { notifyPush: user.notifyPush, notifySms: user.notifySms, notifyEmail: user.notifyEmail }
   });
 }));
@@ -86,4 +89,54 @@ router.delete('/me/places/:name', requireUserType('user'), asyncHandler(async (r
   res.json({ success: true });
 }));
 
+// Wallet balance and transaction history
+router.get('/me/wallet', requireUserType('user'),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('offset').optional().isInt({ min: 0 }),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { limit = 50, offset = 0 } = req.query;
+    const [balance, history] = await Promise.all([
+      walletService.getBalance(req.user.id),
+      walletService.listTransactions(req.user.id, { limit: parseInt(limit), offset: parseInt(offset) })
+    ]);
+
+    res.json({ balance, ...history });
+  })
+);
+
+// Redeem a gift card into the wallet
+router.post('/me/wallet/gift-cards', requireUserType('user'),
+  body('code').isString().trim().notEmpty(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await walletService.redeemGiftCard(req.user.id, req.body.code);
+
+    if (!result.success) {
+      const status = result.code === 'NOT_FOUND' ? 404 : 409;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      success: true,
+      transaction: result.transaction,
+      balance: await walletService.getBalance(req.user.id)
+    });
+  })
+);
+
+// Referral code, reward terms and how each referred rider is doing
+router.get('/me/referrals', requireUserType('user'), asyncHandler(async (req, res) => {
+  const progress = await referralService.getProgress('RIDER', req.user.id);
+  res.json(progress);
+}));
+
 module.exports = router;
@@ -1,121 +1,89 @@
 /**
- * Stripe Webhooks
- * Handle payment events, transfers, etc.
+ * Webhooks
+ * Verify Stripe and Checkr events and store them for processing
+ * Handling happens in webhookService so failures are retried rather than lost.
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
-const prisma = require('../config/prisma');
+const webhookService = require('../services/webhookService');
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+const checkrApiKey = process.env.CHECKR_API_KEY;
+
+/**
+ * Store a verified event and start processing it
+ * 200 as soon as the event is stored (or was already stored) so the provider stops resending
+ */
+async function acceptEvent(res, source, { eventId, type, payload }) {
+  if (!eventId) {
+    return res.status(400).json({ error: 'Missing event ID' });
+  }
+
+  const { event, duplicate } = await webhookService.recordEvent(source, { eventId, type, payload });
+  if (!duplicate) {
+    webhookService.processInBackground(event.id);
+  }
+
+  res.json({ received: true, duplicate });
+}
+
+router.post('/stripe', async (req, res) => {
+  if (!webhookSecret) {
+    console.error('STRIPE_WEBHOOK_SECRET is not set; rejecting Stripe webhook');
+    return res.status(503).json({ error: 'Webhook not configured' });
+  }
 
-router.post('/', async (req, res) => {
   let event;
-  
   try {
-    if (webhookSecret) {
-      const sig = req.headers['stripe-signature'];
-      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-    } else {
-      event = req.body;
-    }
+    event = stripe.webhooks.constructEvent(req.body, req.headers['stripe-signature'], webhookSecret);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
-  
-  console.log('Stripe webhook:', event.type);
-  
+
   try {
-    switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSuccess(event.data.object);
-        break;
-        
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object);
-        break;
-        
-      case 'transfer.created':
-        await handleTransferCreated(event.data.object);
-        break;
-        
-      case 'payout.paid':
-        await handlePayoutPaid(event.data.object);
-        break;
-        
-      case 'payout.failed':
-        await handlePayoutFailed(event.data.object);
-        break;
-        
-      case 'account.updated':
-        await handleAccountUpdated(event.data.object);
-        break;
-        
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
-    }
+    await acceptEvent(res, 'STRIPE', { eventId: event.id, type: event.type, payload: event });
   } catch (err) {
-    console.error('Webhook handler error:', err);
+    // Not stored - a 500 makes Stripe retry delivery
+    console.error('Failed to store Stripe webhook:', err);
+    res.status(500).json({ error: 'Webhook failed' });
   }
-  
-  res.json({ received: true });
 });
 
-async function handlePaymentSuccess(paymentIntent) {
-  const rideId = paymentIntent.metadata?.rideId;
-  if (!rideId) return;
-  
-  await prisma.ride.update({
-    where: { id: rideId },
-    data: { paymentStatus: 'CAPTURED', stripePaymentIntentId: paymentIntent.id }
-  });
-}
-
-async function handlePaymentFailed(paymentIntent) {
-  const rideId = paymentIntent.metadata?.rideId;
-  if (!rideId) return;
-  
-  await prisma.ride.update({
-    where: { id: rideId },
-    data: { paymentStatus: 'FAILED' }
-  });
-}
+// Checkr signs the raw body with the API key (HMAC-SHA256, hex)
+router.post('/checkr', async (req, res) => {
+  if (!checkrApiKey) {
+    console.error('CHECKR_API_KEY is not set; rejecting Checkr webhook');
+    return res.status(503).json({ error: 'Webhook not configured' });
+  }
 
-async function handleTransferCreated(transfer) {
-  const driverId = transfer.metadata?.driverId;
-  if (!driverId) return;
-  
-  await prisma.payout.updateMany({
-    where: { stripeTransferId: transfer.id },
-    data: { status: 'PROCESSING' }
-  });
-}
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Expected a JSON body' });
+  }
 
-async function handlePayoutPaid(payout) {
-  // Update payout status when Stripe processes it
-  await prisma.payout.updateMany({
-    where: { stripePayoutId: payout.id },
-    data: { status: 'COMPLETED', processedAt: new Date() }
-  });
-}
+  const signature = req.headers['x-checkr-signature'] || '';
+  const expected = crypto.createHmac('sha256', checkrApiKey).update(req.body).digest('hex');
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
 
-async function handlePayoutFailed(payout) {
-  await prisma.payout.updateMany({
-    where: { stripePayoutId: payout.id },
-    data: { status: 'FAILED', failReason: payout.failure_message }
-  });
-}
+  let event;
+  try {
+    event = JSON.parse(req.body.toString('utf8'));
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid JSON' });
+  }
 
-async function handleAccountUpdated(account) {
-  // Update driver Stripe status
-  if (account.charges_enabled && account.payouts_enabled) {
-    await prisma.driver.updateMany({
-      where: { stripeAccountId: account.id },
-      data: { stripeOnboarded: true }
-    });
+  try {
+    await acceptEvent(res, 'CHECKR', { eventId: event.id, type: event.type, payload: event });
+  } catch (err) {
+    console.error('Failed to store Checkr webhook:', err);
+    res.status(500).json({ error: 'Webhook failed' });
   }
-}
+});
 
 module.exports = router;
@@ -7,6 +7,7 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
@@ -22,8 +23,10 @@ const adminRoutes = require('./routes/admin');
 const documentRoutes = require('./routes/documents');
 const messageRoutes = require('./routes/messages');
 const supportRoutes = require('./routes/support');
+const organizationRoutes = require('./routes/organizations');
 
 // Services
+const redis = require('./config/redis');
 const { initializeSocketHandlers } = require('./services/socketService');
 const { initErrorTracking, getErrorHandler, requestLogger } = require('./services/errorTrackingService');
 const { initFirebase } = require('./services/pushService');
@@ -42,12 +45,20 @@ const io = new Server(server, {
   cors: { origin: process.env.FRONTEND_URL || '*', methods: ['GET', 'POST'], credentials: true },
   pingTimeout: 60000, pingInterval: 25000
 });
+// Room emits reach sockets connected to any instance
+const pubClient = redis.getRedisClient().duplicate();
+const subClient = pubClient.duplicate();
+io.adapter(createAdapter(pubClient, subClient));
 app.set('io', io);
 
 // Middleware
 app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
 app.use(cors({ origin: process.env.FRONTEND_URL || '*', credentials: true, methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'], allowedHeaders: ['Content-Type', 'Authorization'] }));
 app.use(rateLimit({ windowMs: 15 * 60 * 1000, max: 100, message: { error: 'Too many requests' }, standardHeaders: true, legacyHeaders: false }));
+
+// Webhooks (before the JSON parser: signatures are checked against the raw body)
+app.use('/webhooks', express.raw({ type: 'application/json' }), require('./routes/webhooks'));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(requestLogger());
@@ -65,18 +76,9 @@ app.use('/api/payments', authenticateToken, paymentRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/messages', authenticateToken, messageRoutes);
 app.use('/api/support', authenticateToken, supportRoutes);
+app.use('/api/organizations', authenticateToken, organizationRoutes);
 app.use('/api/admin', adminRoutes);
 
-// Webhooks
-app.use('/webhooks/stripe', express.raw({ type: 'application/json' }), require('./routes/webhooks'));
-app.post('/webhooks/checkr', express.json(), async (req, res) => {
-  try {
-    const bgService = require('./services/backgroundCheckService');
-    await bgService.handleCheckrWebhook(req.body);
-    res.json({ received: true });
-  } catch (err) { res.status(500).json({ error: 'Webhook failed' }); }
-});
-
 // Error handling
 app.use(getErrorHandler());
 app.use(notFound);
@@ -87,9 +89,38 @@ initializeSocketHandlers(io);
 const messagingService = require('./services/messagingService');
 io.on('connection', (socket) => { if (socket.user) messagingService.setupMessageSocketHandlers(io, socket); });
 
+// Scheduled jobs
+const schedulerService = require('./services/schedulerService');
+const payoutService = require('./services/payoutService');
+const earningsService = require('./services/earningsService');
+const webhookService = require('./services/webhookService');
+const organizationService = require('./services/organizationService');
+const referralService = require('./services/referralService');
+const dispatchService = require('./services/dispatchService');
+const presenceService = require('./services/presenceService');
+schedulerService.registerJob('clear-earnings', 15 * 60 * 1000, () => earningsService.clearEarnings());
+schedulerService.registerJob('weekly-payouts', 60 * 60 * 1000, () => payoutService.runWeeklyPayouts());
+schedulerService.registerJob('webhook-events', 30 * 1000, () => webhookService.processDueEvents(), { lockSeconds: 120 });
+schedulerService.registerJob('organization-invoices', 60 * 60 * 1000, () => organizationService.runMonthlyInvoices());
+schedulerService.registerJob('referral-expiry', 60 * 60 * 1000, () => referralService.expireReferrals());
+schedulerService.registerJob('dispatch-recovery', 60 * 1000, () => dispatchService.recoverDispatch(io), { lockSeconds: 60 });
+schedulerService.registerJob('presence-sweep', 15 * 1000, () => presenceService.sweepStaleDrivers(io), { lockSeconds: 60 });
+schedulerService.startScheduler();
+dispatchService.startDispatchWorker(io);
+
+// Repair rides and drivers left behind by the previous process
+for (const job of ['dispatch-recovery', 'presence-sweep']) {
+  schedulerService.runJob(job).catch(err => console.error(`❌ Startup ${job} failed:`, err.message));
+}
+
 // Start server
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => console.log(`🚗 VeloX Backend running on port ${PORT}`));
 
-process.on('SIGTERM', () => { server.close(() => process.exit(0)); });
+process.on('SIGTERM', () => {
+  schedulerService.stopScheduler();
+  dispatchService.stopDispatchWorker();
+  presenceService.stopHeartbeat();
+  server.close(() => process.exit(0));
+});
 module.exports = { app, server, io };
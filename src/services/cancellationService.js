@@ -0,0 +1,117 @@
+/**
+ * Cancellation Service
+ * Cancellation policy: grace periods, fee tiers, no-show rules and driver fee split
+ */
+
+const prisma = require('../config/prisma');
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const configService = require('./configService');
+
+// Used when PlatformConfig doesn't define fee tiers
+const DEFAULT_CANCELLATION_FEES = { VELOX: 5, VELOX_XL: 7, VELOX_BLACK: 10, VELOX_GREEN: 5 };
+const DEFAULT_NO_SHOW_FEES = { VELOX: 5, VELOX_XL: 7, VELOX_BLACK: 15, VELOX_GREEN: 5 };
+
+/**
+ * Load the cancellation policy from PlatformConfig (defaults if not seeded)
+ */
+async function getCancellationPolicy() {
+  const config = await configService.getConfig();
+
+  return {
+    graceSeconds: config.cancellationGraceSeconds,
+    cancellationFees: config.cancellationFees || DEFAULT_CANCELLATION_FEES,
+    noShowFees: config.noShowFees || DEFAULT_NO_SHOW_FEES,
+    riderNoShowWaitMinutes: config.riderNoShowWaitMinutes,
+    driverNoShowMinutes: config.driverNoShowMinutes,
+    driverSharePercent: config.cancellationDriverSharePercent
+  };
+}
+
+/**
+ * Decide the fee and rule for cancelling a ride
+ * cancelledBy: 'RIDER' or 'DRIVER'
+ * Returns { fee, rule }
+ */
+async function evaluateCancellation(ride, cancelledBy, now = new Date()) {
+  const policy = await getCancellationPolicy();
+  const minutesSince = (date) => (now.getTime() - new Date(date).getTime()) / 60000;
+
+  if (cancelledBy === 'DRIVER') {
+    // Rider no-show: driver waited long enough at the pickup
+    if (ride.status === 'ARRIVED' && ride.arrivedAt &&
+        minutesSince(ride.arrivedAt) >= policy.riderNoShowWaitMinutes) {
+      return { fee: Number(policy.noShowFees[ride.serviceType] || 0), rule: 'RIDER_NO_SHOW' };
+    }
+    return { fee: 0, rule: 'DRIVER_CANCELLED' };
+  }
+
+  if (!ride.driverId || !ride.acceptedAt) {
+    return { fee: 0, rule: 'FREE_BEFORE_ACCEPT' };
+  }
+
+  if (minutesSince(ride.acceptedAt) * 60 <= policy.graceSeconds) {
+    return { fee: 0, rule: 'GRACE_PERIOD' };
+  }
+
+  // Driver no-show: still not at the pickup long after accepting
+  if (!ride.arrivedAt && minutesSince(ride.acceptedAt) >= policy.driverNoShowMinutes) {
+    return { fee: 0, rule: 'DRIVER_NO_SHOW' };
+  }
+
+  return { fee: Number(policy.cancellationFees[ride.serviceType] || 0), rule: 'LATE_CANCEL' };
+}
+
+/**
+ * Charge a cancellation fee from the ride's hold and credit the driver's share.
+ * With no fee, the hold is released.
+ * Returns { success, fee, driverShare, outstanding, remainderError } or { success: false, error }
+ */
+async function settleCancellation(ride, fee) {
+  if (fee <= 0) {
+    await paymentService.releaseRideAuthorization(ride.id);
+    return { success: true, fee: 0, driverShare: 0 };
+  }
+
+  const payment = await paymentService.captureRidePayment(ride.id, fee);
+  if (!payment.success) {
+    return { success: false, error: payment.error };
+  }
+
+  let driverShare = 0;
+  const operations = [];
+
+  if (ride.driverId) {
+    const { driverSharePercent } = await getCancellationPolicy();
+    driverShare = Math.round(fee * driverSharePercent) / 100;
+
+    operations.push(
+      prisma.earning.create({
+        data: {
+          driverId: ride.driverId,
+          rideId: ride.id,
+          type: 'CANCELLATION_FEE',
+          grossAmount: fee,
+          platformFee: Math.round((fee - driverShare) * 100) / 100,
+          netAmount: driverShare,
+          status: 'PENDING'
+        }
+      }),
+      prisma.driver.update({
+        where: { id: ride.driverId },
+        data: { totalEarnings: { increment: driverShare } }
+      })
+    );
+  }
+
+  operations.push(ledgerService.cancellationFeeEntry(ride, fee, driverShare, payment.outstanding));
+  await prisma.$transaction(operations);
+
+  return { success: true, fee, driverShare, outstanding: payment.outstanding, remainderError: payment.remainderError };
+}
+
+module.exports = {
+  getCancellationPolicy,
+  evaluateCancellation,
+  settleCancellation
+};
@@ -0,0 +1,208 @@
+/**
+ * Config Service
+ * Cached PlatformConfig reads, audited admin updates and commission resolution
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+
+const CACHE_NAME = 'platform:config';
+const CACHE_TTL_SECONDS = 60;
+
+// Used for any field not in the database yet (mirrors the schema defaults)
+const DEFAULTS = {
+  platformCommissionPercent: 20,
+  serviceCommissionPercents: null,
+  driverCommissionTiers: null,
+  instantPayoutFeePercent: 1.5,
+  instantPayoutMinAmount: 5,
+  pricingConfig: null,
+  surgeEnabled: true,
+  maxSurgeMultiplier: 3.0,
+  farePolicy: 'UPFRONT_WITH_TOLERANCE',
+  fareTolerancePercent: 20,
+  cancellationGraceSeconds: 120,
+  cancellationFees: null,
+  noShowFees: null,
+  riderNoShowWaitMinutes: 5,
+  driverNoShowMinutes: 15,
+  cancellationDriverSharePercent: 80,
+  tipWindowHours: 72,
+  earningsHoldHours: 48,
+  driverTransferMode: 'BALANCE',
+  riderReferralReward: 10,
+  driverReferralBonus: 200,
+  driverReferralTrips: 20,
+  driverReferralDays: 30,
+  maxMatchRadiusMiles: 10,
+  dispatchStartRadiusMiles: 3,
+  dispatchWaveSize: 1,
+  offerTimeoutSeconds: 15,
+  matchTimeoutSeconds: 120,
+  maxActiveRidesPerDriver: 1
+};
+
+// Nullable Json columns need Prisma.DbNull rather than null to be cleared
+const JSON_FIELDS = ['serviceCommissionPercents', 'driverCommissionTiers', 'cancellationFees', 'noShowFees'];
+
+// Fields admins can change through PATCH /api/admin/config
+const EDITABLE_FIELDS = Object.keys(DEFAULTS).filter(field => field !== 'pricingConfig');
+
+/**
+ * Fill defaults into a PlatformConfig row and make it JSON-friendly
+ */
+function toConfig(row) {
+  const config = { ...DEFAULTS };
+
+  for (const [field, value] of Object.entries(row || {})) {
+    if (value !== null && value !== undefined) config[field] = value;
+  }
+  config.instantPayoutMinAmount = parseFloat(config.instantPayoutMinAmount);
+  config.riderReferralReward = parseFloat(config.riderReferralReward);
+  config.driverReferralBonus = parseFloat(config.driverReferralBonus);
+
+  return config;
+}
+
+/**
+ * Current platform config (cached), with defaults filled in
+ */
+async function getConfig() {
+  const cached = await redis.getCache(CACHE_NAME);
+  if (cached) return cached;
+
+  const row = await prisma.platformConfig.findUnique({ where: { id: 'config' } });
+  const config = toConfig(row);
+
+  await redis.setCache(CACHE_NAME, config, CACHE_TTL_SECONDS);
+  return config;
+}
+
+/**
+ * Apply admin changes and record one audit row per field that actually changed
+ * Returns { config, changed }
+ */
+async function updateConfig(changes, { changedBy, note }) {
+  const row = await prisma.platformConfig.findUnique({ where: { id: 'config' } });
+  if (!row) {
+    throw new Error('Platform config has not been seeded');
+  }
+  const current = toConfig(row);
+
+  const changed = Object.keys(changes).filter(field =>
+    EDITABLE_FIELDS.includes(field) &&
+    JSON.stringify(changes[field]) !== JSON.stringify(current[field] ?? null)
+  );
+
+  if (changed.length === 0) {
+    return { config: await getConfig(), changed };
+  }
+
+  const data = Object.fromEntries(changed.map(field => [
+    field,
+    changes[field] === null && JSON_FIELDS.includes(field) ? Prisma.DbNull : changes[field]
+  ]));
+
+  await prisma.$transaction([
+    prisma.platformConfig.update({ where: { id: 'config' }, data }),
+    prisma.configAudit.createMany({
+      data: changed.map(field => ({
+        field,
+        oldValue: current[field] ?? undefined,
+        newValue: changes[field] ?? undefined,
+        note,
+        changedBy
+      }))
+    })
+  ]);
+
+  await redis.clearCache(CACHE_NAME);
+  return { config: await getConfig(), changed };
+}
+
+/**
+ * Recent config changes, newest first
+ */
+async function listConfigAudit({ field, limit = 50 } = {}) {
+  return prisma.configAudit.findMany({
+    where: field ? { field } : {},
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  });
+}
+
+// ===========================================
+// COMMISSION
+// ===========================================
+
+/**
+ * Commission percent for a driver's volume tier, or null if they don't reach one
+ */
+function getDriverTierPercent(config, driver) {
+  if (!driver || !Array.isArray(config.driverCommissionTiers)) return null;
+
+  const tier = config.driverCommissionTiers
+    .filter(t => driver.totalRides >= t.minRides)
+    .sort((a, b) => b.minRides - a.minRides)[0];
+
+  return tier ? tier.commissionPercent : null;
+}
+
+/**
+ * Commission percent for a ride.
+ * Service type overrides the platform rate, a market override replaces both,
+ * and a driver tier can only lower the result.
+ */
+function resolveCommissionPercent(config, { serviceType, market, driver } = {}) {
+  let percent = config.platformCommissionPercent;
+
+  const serviceOverride = config.serviceCommissionPercents?.[serviceType];
+  if (serviceOverride !== undefined && serviceOverride !== null) percent = serviceOverride;
+
+  if (market?.commissionPercent !== undefined && market?.commissionPercent !== null) {
+    percent = market.commissionPercent;
+  }
+
+  const tierPercent = getDriverTierPercent(config, driver);
+  if (tierPercent !== null) percent = Math.min(percent, tierPercent);
+
+  return percent;
+}
+
+/**
+ * Validate commission overrides, returning a list of errors
+ */
+function validateCommissionSettings({ serviceCommissionPercents, driverCommissionTiers }) {
+  const errors = [];
+  const isPercent = (v) => typeof v === 'number' && v >= 0 && v <= 100;
+
+  if (serviceCommissionPercents) {
+    for (const [serviceType, percent] of Object.entries(serviceCommissionPercents)) {
+      if (!isPercent(percent)) errors.push(`serviceCommissionPercents.${serviceType} must be 0-100`);
+    }
+  }
+
+  if (driverCommissionTiers) {
+    if (!Array.isArray(driverCommissionTiers)) {
+      errors.push('driverCommissionTiers must be an array');
+    } else {
+      driverCommissionTiers.forEach((tier, i) => {
+        if (!Number.isInteger(tier?.minRides) || tier.minRides < 0) errors.push(`driverCommissionTiers[${i}].minRides must be a whole number`);
+        if (!isPercent(tier?.commissionPercent)) errors.push(`driverCommissionTiers[${i}].commissionPercent must be 0-100`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getConfig,
+  updateConfig,
+  listConfigAudit,
+  getDriverTierPercent,
+  resolveCommissionPercent,
+  validateCommissionSettings,
+  EDITABLE_FIELDS
+};
@@ -0,0 +1,484 @@
+/**
+ * Dispatch Service
+ * Offers a requested ride to drivers a wave at a time, closest first, widening the search
+ * radius when nobody nearby is free, until a driver accepts or matchTimeoutSeconds runs out.
+ * Every offer is stored as a RideOffer. Each ride's next step sits in a Redis queue and any
+ * instance can run it, under a lease, so a deploy or crash never strands a search.
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const configService = require('./configService');
+const rideStateService = require('./rideStateService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Dispatch');
+
+// Pause before searching again when no driver is free
+const RETRY_SECONDS = 5;
+const NEARBY_DRIVER_LIMIT = 50;
+const ON_TRIP_STATUSES = ['ACCEPTED', 'ARRIVING', 'ARRIVED', 'IN_PROGRESS'];
+
+// Queue polling; a step that outlives its lease may be picked up by another instance
+const POLL_INTERVAL_MS = 1000;
+const POLL_BATCH_SIZE = 20;
+const LEASE_SECONDS = 30;
+
+// Serializes one driver's accepts, so two at once can't both pass the active ride limit
+const ACCEPT_LOCK_SECONDS = 10;
+
+const ACCEPT_FAILURES = {
+  NOT_OFFERED: 'This ride was not offered to you',
+  OFFER_EXPIRED: 'Your offer for this ride has expired',
+  RIDE_TAKEN: 'Another driver accepted this ride',
+  RIDE_UNAVAILABLE: 'This ride is no longer available',
+  DRIVER_BUSY: 'Finish your current ride before accepting another',
+  ACCEPT_IN_PROGRESS: 'Already accepting another ride'
+};
+
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Queue a ride's next step for delayMs from now
+ */
+function schedule(rideId, delayMs) {
+  return redis.scheduleDispatch(rideId, Date.now() + Math.max(0, delayMs));
+}
+
+/**
+ * Queue a step to run straight away and poll without waiting for the next tick
+ */
+async function runDispatch(rideId, io) {
+  await schedule(rideId, 0);
+  pollDispatches(io);
+}
+
+/**
+ * Run every step that's due and not leased elsewhere
+ */
+async function pollDispatches(io) {
+  if (polling) return;
+  polling = true;
+
+  try {
+    let claimed;
+    do {
+      claimed = await redis.claimDueDispatches(POLL_BATCH_SIZE, LEASE_SECONDS);
+      for (const job of claimed) {
+        let nextDueAt = Date.now() + RETRY_SECONDS * 1000;
+        try {
+          nextDueAt = await dispatchStep(job.rideId, io);
+        } catch (err) {
+          logger.error('Dispatch step failed', { rideId: job.rideId, error: err.message });
+        }
+        await redis.completeDispatch(job, nextDueAt);
+      }
+    } while (claimed.length === POLL_BATCH_SIZE);
+  } catch (err) {
+    logger.error('Dispatch poll failed', { error: err.message });
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start polling the dispatch queue on this instance
+ */
+function startDispatchWorker(io) {
+  if (pollTimer) return;
+  pollTimer = setInterval(() => pollDispatches(io), POLL_INTERVAL_MS);
+  pollTimer.unref();
+}
+
+function stopDispatchWorker() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+// ===========================================
+// DRIVER SEARCH
+// ===========================================
+
+/**
+ * Approved, online drivers offering the service type, from a nearby list (order kept)
+ */
+async function getAvailableDrivers(nearbyDrivers, serviceType) {
+  if (nearbyDrivers.length === 0) return [];
+
+  const drivers = await prisma.driver.findMany({
+    where: {
+      id: { in: nearbyDrivers.map(d => d.driverId) },
+      status: 'APPROVED',
+      isOnline: true,
+      serviceTypes: { has: serviceType }
+    },
+    select: { id: true }
+  });
+
+  const availableIds = new Set(drivers.map(d => d.id));
+  return nearbyDrivers.filter(d => availableIds.has(d.driverId));
+}
+
+/**
+ * Closest free drivers for a ride within radiusMiles, leaving out excludeIds
+ * Drivers at their active ride limit or holding an offer for another ride aren't free.
+ */
+async function findCandidates(ride, radiusMiles, excludeIds, config) {
+  const nearby = await redis.findNearbyDrivers(ride.pickupLat, ride.pickupLng, radiusMiles, NEARBY_DRIVER_LIMIT);
+  const available = await getAvailableDrivers(nearby.filter(d => !excludeIds.has(d.driverId)), ride.serviceType);
+  if (available.length === 0) return [];
+
+  const driverIds = available.map(d => d.driverId);
+  const [onTrip, holdingOffer] = await Promise.all([
+    prisma.ride.findMany({
+      where: { driverId: { in: driverIds }, status: { in: ON_TRIP_STATUSES } },
+      select: { driverId: true }
+    }),
+    prisma.rideOffer.findMany({
+      where: { driverId: { in: driverIds }, status: 'PENDING', expiresAt: { gt: new Date() } },
+      select: { driverId: true }
+    })
+  ]);
+
+  const activeRides = new Map();
+  for (const { driverId } of onTrip) {
+    activeRides.set(driverId, (activeRides.get(driverId) || 0) + 1);
+  }
+
+  const busy = new Set(holdingOffer.map(o => o.driverId));
+  return available.filter(d => !busy.has(d.driverId) && (activeRides.get(d.driverId) || 0) < config.maxActiveRidesPerDriver);
+}
+
+// ===========================================
+// DISPATCH LOOP
+// ===========================================
+
+/**
+ * Start looking for a driver for a newly requested ride
+ */
+function startDispatch(rideId, io) {
+  return runDispatch(rideId, io);
+}
+
+/**
+ * One step: expire lapsed offers, then wait on live ones, send the next wave,
+ * or give up once matchTimeoutSeconds have passed since the request
+ * Returns when the next step is due (ms), or null once the search is over
+ */
+async function dispatchStep(rideId, io) {
+  const ride = await prisma.ride.findUnique({ where: { id: rideId }, include: { offers: true } });
+  if (!ride || ride.status !== 'REQUESTED') return null;
+
+  // A scheduled ride isn't searched for before its pickup time, and its deadline runs from then
+  const now = Date.now();
+  const searchStart = ride.isScheduled && ride.scheduledFor ? ride.scheduledFor.getTime() : ride.requestedAt.getTime();
+  if (searchStart > now) return null;
+
+  const config = await configService.getConfig();
+  const deadline = searchStart + config.matchTimeoutSeconds * 1000;
+
+  const pending = ride.offers.filter(o => o.status === 'PENDING');
+  await expireOffers(pending.filter(o => o.expiresAt.getTime() <= now), io);
+
+  const live = pending.filter(o => o.expiresAt.getTime() > now);
+  if (live.length > 0) {
+    return Math.min(...live.map(o => o.expiresAt.getTime()));
+  }
+
+  if (now >= deadline) {
+    await endSearch(ride, io);
+    return null;
+  }
+
+  // Pick up at the last wave's radius and widen it until someone is free
+  const lastWave = ride.offers.reduce(
+    (latest, offer) => (offer.wave > latest.wave ? offer : latest),
+    { wave: 0, radiusMiles: config.dispatchStartRadiusMiles }
+  );
+  const offered = new Set(ride.offers.map(o => o.driverId));
+  let radiusMiles = Math.min(lastWave.radiusMiles, config.maxMatchRadiusMiles);
+  let candidates = await findCandidates(ride, radiusMiles, offered, config);
+
+  while (candidates.length === 0 && radiusMiles < config.maxMatchRadiusMiles) {
+    radiusMiles = Math.min(radiusMiles * 2, config.maxMatchRadiusMiles);
+    candidates = await findCandidates(ride, radiusMiles, offered, config);
+  }
+
+  if (candidates.length === 0) {
+    return Math.min(now + RETRY_SECONDS * 1000, deadline);
+  }
+
+  const wave = lastWave.wave + 1;
+  const expiresAt = new Date(Math.min(now + config.offerTimeoutSeconds * 1000, deadline));
+  const offers = [];
+
+  for (const candidate of candidates.slice(0, config.dispatchWaveSize)) {
+    const offer = await prisma.rideOffer.create({
+      data: {
+        rideId,
+        driverId: candidate.driverId,
+        wave,
+        radiusMiles,
+        pickupDistanceMiles: candidate.distanceMiles,
+        expiresAt
+      }
+    });
+    offers.push(offer);
+
+    io.to(`driver:${candidate.driverId}`).emit('ride:request', {
+      rideId,
+      offerId: offer.id,
+      pickup: { address: ride.pickupAddress, lat: ride.pickupLat, lng: ride.pickupLng },
+      dropoff: { address: ride.dropoffAddress, lat: ride.dropoffLat, lng: ride.dropoffLng },
+      serviceType: ride.serviceType,
+      fare: parseFloat(ride.driverEarnings),
+      distanceMiles: ride.distanceMiles,
+      pickupDistanceMiles: candidate.distanceMiles,
+      expiresIn: Math.round((expiresAt.getTime() - now) / 1000),
+      expiresAt
+    });
+  }
+
+  logger.info('Ride offered', { rideId, wave, radiusMiles, drivers: offers.map(o => o.driverId) });
+  return expiresAt.getTime();
+}
+
+/**
+ * Mark unanswered offers expired and tell their drivers
+ */
+async function expireOffers(offers, io) {
+  if (offers.length === 0) return;
+
+  await prisma.rideOffer.updateMany({
+    where: { id: { in: offers.map(o => o.id) }, status: 'PENDING' },
+    data: { status: 'EXPIRED' }
+  });
+
+  for (const offer of offers) {
+    io.to(`driver:${offer.driverId}`).emit('ride:offer_expired', { rideId: offer.rideId, offerId: offer.id });
+  }
+}
+
+/**
+ * Withdraw a ride's outstanding offers; reason is TAKEN, CANCELLED or NO_DRIVERS
+ */
+async function withdrawOffers(rideId, io, reason, { exceptDriverId } = {}) {
+  const offers = await prisma.rideOffer.findMany({
+    where: { rideId, status: 'PENDING', ...(exceptDriverId && { driverId: { not: exceptDriverId } }) }
+  });
+  if (offers.length === 0) return;
+
+  await prisma.rideOffer.updateMany({
+    where: { id: { in: offers.map(o => o.id) }, status: 'PENDING' },
+    data: { status: 'CANCELLED' }
+  });
+
+  for (const offer of offers) {
+    io.to(`driver:${offer.driverId}`).emit('ride:request_cancelled', { rideId, offerId: offer.id, reason });
+  }
+}
+
+/**
+ * No driver accepted in time: the ride ends as NO_DRIVERS (releasing the hold and any promo)
+ */
+async function endSearch(ride, io) {
+  const result = await rideStateService.transition(ride.id, 'NO_DRIVERS', rideStateService.SYSTEM, {
+    io,
+    metadata: { offers: ride.offers.length }
+  });
+  if (!result.success) return;
+
+  await withdrawOffers(ride.id, io, 'NO_DRIVERS');
+  logger.info('No driver found', { rideId: ride.id, offers: ride.offers.length });
+}
+
+// ===========================================
+// DRIVER RESPONSES
+// ===========================================
+
+/**
+ * A driver's unexpired offers, for clients polling instead of listening on the socket
+ */
+async function listLiveOffers(driverId) {
+  return prisma.rideOffer.findMany({
+    where: { driverId, status: 'PENDING', expiresAt: { gt: new Date() }, ride: { status: 'REQUESTED' } },
+    orderBy: { offeredAt: 'desc' },
+    include: { ride: true }
+  });
+}
+
+/**
+ * A ride's dispatch history, in the order offers went out
+ */
+async function listOffers(rideId) {
+  return prisma.rideOffer.findMany({
+    where: { rideId },
+    orderBy: [{ wave: 'asc' }, { pickupDistanceMiles: 'asc' }],
+    include: { driver: { select: { id: true, firstName: true, lastName: true } } }
+  });
+}
+
+/**
+ * A driver takes a ride they hold a live offer for
+ * The ride and offer are claimed with conditional updates in one transaction, so of several
+ * drivers accepting at once exactly one wins; everyone else's offer is then withdrawn.
+ * Returns { success, ride, eta } or { success: false, error, code }
+ */
+async function acceptOffer(rideId, driverId, io) {
+  const lockName = `ride-accept:${driverId}`;
+  const token = await redis.acquireLock(lockName, ACCEPT_LOCK_SECONDS);
+  if (!token) {
+    return acceptFailure('ACCEPT_IN_PROGRESS');
+  }
+
+  let result;
+  try {
+    const config = await configService.getConfig();
+    const activeRides = await prisma.ride.count({ where: { driverId, status: { in: ON_TRIP_STATUSES } } });
+    if (activeRides >= config.maxActiveRidesPerDriver) {
+      return acceptFailure('DRIVER_BUSY');
+    }
+
+    result = await rideStateService.transition(rideId, 'ACCEPTED', { type: 'DRIVER', id: driverId }, {
+      io,
+      data: { driverId },
+      within: async (tx) => {
+        const now = new Date();
+        const offer = await tx.rideOffer.updateMany({
+          where: { rideId, driverId, status: 'PENDING', expiresAt: { gt: now } },
+          data: { status: 'ACCEPTED', respondedAt: now }
+        });
+        if (offer.count === 0) {
+          throw rideStateService.transitionError('OFFER_EXPIRED', ACCEPT_FAILURES.OFFER_EXPIRED);
+        }
+      }
+    });
+  } finally {
+    await redis.releaseLock(lockName, token);
+  }
+
+  if (!result.success) {
+    return acceptFailure(await whyNotAccepted(rideId, driverId));
+  }
+
+  await redis.unscheduleDispatch(rideId);
+  await withdrawOffers(rideId, io, 'TAKEN', { exceptDriverId: driverId });
+
+  return { success: true, ride: result.ride, eta: result.eta };
+}
+
+function acceptFailure(code) {
+  return { success: false, error: ACCEPT_FAILURES[code], code };
+}
+
+/**
+ * Why a driver's accept lost: someone else got the ride, it ended, or their offer lapsed
+ */
+async function whyNotAccepted(rideId, driverId) {
+  const offer = await prisma.rideOffer.findUnique({
+    where: { rideId_driverId: { rideId, driverId } },
+    include: { ride: { select: { status: true, driverId: true } } }
+  });
+
+  if (!offer) return 'NOT_OFFERED';
+  if (offer.ride.driverId && offer.ride.driverId !== driverId) return 'RIDE_TAKEN';
+  if (offer.ride.status !== 'REQUESTED') return 'RIDE_UNAVAILABLE';
+  return 'OFFER_EXPIRED';
+}
+
+/**
+ * A driver turned an offer down; move straight on if nobody else is still deciding
+ * Returns false if they had no open offer for the ride
+ */
+async function declineOffer(rideId, driverId, reason, io) {
+  const { count } = await prisma.rideOffer.updateMany({
+    where: { rideId, driverId, status: 'PENDING' },
+    data: { status: 'DECLINED', respondedAt: new Date(), declineReason: reason }
+  });
+  if (count === 0) return false;
+
+  await runDispatch(rideId, io);
+  return true;
+}
+
+/**
+ * Decline everything a driver was offered (they went offline)
+ */
+async function declineAllForDriver(driverId, reason, io) {
+  const offers = await prisma.rideOffer.findMany({ where: { driverId, status: 'PENDING' } });
+  for (const offer of offers) {
+    await declineOffer(offer.rideId, driverId, reason, io);
+  }
+}
+
+/**
+ * The ride was cancelled while searching
+ */
+async function cancelDispatch(rideId, io) {
+  await redis.unscheduleDispatch(rideId);
+  await withdrawOffers(rideId, io, 'CANCELLED');
+}
+
+// ===========================================
+// RECOVERY
+// ===========================================
+
+/**
+ * Repair dispatch state after a crash or deploy: requeue searching rides that dropped out of
+ * the queue (steps past the deadline end them as NO_DRIVERS), leaving scheduled rides alone until
+ * their pickup time, and cancel open offers for rides that have moved on
+ */
+async function recoverDispatch(io) {
+  const [searching, queued] = await Promise.all([
+    prisma.ride.findMany({
+      where: { status: 'REQUESTED', OR: [{ isScheduled: false }, { scheduledFor: { lte: new Date() } }] },
+      select: { id: true }
+    }),
+    redis.getScheduledDispatches()
+  ]);
+
+  const queuedIds = new Set(queued);
+  const orphaned = searching.filter(r => !queuedIds.has(r.id));
+  for (const ride of orphaned) {
+    await schedule(ride.id, 0);
+  }
+
+  const stale = await prisma.rideOffer.findMany({
+    where: { status: 'PENDING', ride: { status: { not: 'REQUESTED' } } },
+    include: { ride: { select: { driverId: true } } }
+  });
+  if (stale.length > 0) {
+    await prisma.rideOffer.updateMany({
+      where: { id: { in: stale.map(o => o.id) }, status: 'PENDING' },
+      data: { status: 'CANCELLED' }
+    });
+    for (const offer of stale) {
+      io.to(`driver:${offer.driverId}`).emit('ride:request_cancelled', {
+        rideId: offer.rideId,
+        offerId: offer.id,
+        reason: offer.ride.driverId ? 'TAKEN' : 'CANCELLED'
+      });
+    }
+  }
+
+  if (orphaned.length > 0 || stale.length > 0) {
+    logger.info('Dispatch recovered', { requeued: orphaned.length, offersCancelled: stale.length });
+    pollDispatches(io);
+  }
+  return { requeued: orphaned.length, offersCancelled: stale.length };
+}
+
+module.exports = {
+  startDispatchWorker,
+  stopDispatchWorker,
+  recoverDispatch,
+  startDispatch,
+  getAvailableDrivers,
+  listLiveOffers,
+  listOffers,
+  acceptOffer,
+  declineOffer,
+  declineAllForDriver,
+  cancelDispatch
+};
@@ -0,0 +1,381 @@
+/**
+ * Dispute Service
+ * Stripe chargebacks: hold the driver's earning, open a support ticket,
+ * submit evidence and book the outcome
+ */
+
+const prisma = require('../config/prisma');
+const emailService = require('./emailService');
+const ledgerService = require('./ledgerService');
+const { calculateClawback, getChargedAmount } = require('./refundService');
+const { createLogger } = require('./errorTrackingService');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const logger = createLogger('Disputes');
+
+const CLOSED_STATUSES = { won: 'WON', lost: 'LOST', warning_closed: 'WARNING_CLOSED' };
+
+// Stripe accepts up to 20,000 characters per evidence text field
+const MAX_EVIDENCE_TEXT = 20000;
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+/**
+ * Find the ride a payment intent belongs to (fare, balance charge, tip or split share)
+ */
+async function findRideForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+
+  const ride = await prisma.ride.findFirst({
+    where: {
+      OR: [
+        { stripePaymentIntentId: paymentIntentId },
+        { stripeRemainderPaymentIntentId: paymentIntentId }
+      ]
+    }
+  });
+  if (ride) return ride;
+
+  const payment = await prisma.tip.findFirst({
+    where: { stripePaymentIntentId: paymentIntentId },
+    include: { ride: true }
+  }) || await prisma.fareSplit.findFirst({
+    where: { stripePaymentIntentId: paymentIntentId },
+    include: { ride: true }
+  });
+  return payment?.ride || null;
+}
+
+/**
+ * Response added to a dispute's support ticket by the system
+ */
+function ticketNote(ticketId, content, client = prisma) {
+  return client.ticketResponse.create({
+    data: { ticketId, responderId: 'system', responderType: 'admin', content }
+  });
+}
+
+// ===========================================
+// STRIPE EVENTS
+// ===========================================
+
+/**
+ * charge.dispute.created: flag the ride, hold the earning and open a PAYMENT ticket
+ */
+async function openDispute(stripeDispute) {
+  const existing = await prisma.dispute.findUnique({ where: { stripeDisputeId: stripeDispute.id } });
+  if (existing) return existing;
+
+  const ride = await findRideForPaymentIntent(stripeDispute.payment_intent);
+  if (!ride) {
+    logger.warn('Dispute for an unknown payment', { disputeId: stripeDispute.id, paymentIntent: stripeDispute.payment_intent });
+    return null;
+  }
+
+  const earning = await prisma.earning.findUnique({ where: { rideId: ride.id } });
+  // Earnings already paid (or in a payout) can't be held
+  const freeze = !!earning && earning.status !== 'PAID_OUT' && !earning.payoutId;
+
+  const amount = stripeDispute.amount / 100;
+  const evidenceDueBy = fromUnix(stripeDispute.evidence_details?.due_by);
+
+  try {
+    const dispute = await prisma.$transaction(async (tx) => {
+      const ticket = await tx.supportTicket.create({
+        data: {
+          userId: ride.userId,
+          rideId: ride.id,
+          subject: `Chargeback: ${stripeDispute.reason}`,
+          description: [
+            `The rider's bank disputed $${amount.toFixed(2)} for this ride (reason: ${stripeDispute.reason}).`,
+            evidenceDueBy ? `Evidence is due by ${evidenceDueBy.toISOString()}.` : 'No evidence deadline was given.',
+            `Stripe dispute: ${stripeDispute.id}`
+          ].join('\n'),
+          category: 'PAYMENT',
+          priority: 'HIGH'
+        }
+      });
+
+      const created = await tx.dispute.create({
+        data: {
+          rideId: ride.id,
+          stripeDisputeId: stripeDispute.id,
+          stripeChargeId: stripeDispute.charge,
+          stripeStatus: stripeDispute.status,
+          amount,
+          reason: stripeDispute.reason,
+          evidenceDueBy,
+          earningFrozen: freeze,
+          supportTicketId: ticket.id
+        }
+      });
+
+      await tx.ride.update({ where: { id: ride.id }, data: { isDisputed: true } });
+
+      // Cleared earnings go back to held; PENDING ones stay put while the ride is disputed
+      if (freeze && earning.status === 'AVAILABLE') {
+        await tx.earning.update({
+          where: { id: earning.id },
+          data: { status: 'PENDING', availableAt: null }
+        });
+      }
+
+      return created;
+    });
+
+    logger.info('Dispute opened', { disputeId: dispute.id, rideId: ride.id, amount });
+    return dispute;
+  } catch (err) {
+    // Redelivered event raced the first one
+    if (err.code === 'P2002') return prisma.dispute.findUnique({ where: { stripeDisputeId: stripeDispute.id } });
+    throw err;
+  }
+}
+
+/**
+ * charge.dispute.updated: keep Stripe's status and deadline in sync
+ */
+async function syncDispute(stripeDispute) {
+  await prisma.dispute.updateMany({
+    where: { stripeDisputeId: stripeDispute.id, closedAt: null },
+    data: {
+      stripeStatus: stripeDispute.status,
+      evidenceDueBy: fromUnix(stripeDispute.evidence_details?.due_by)
+    }
+  });
+}
+
+/**
+ * charge.dispute.closed: record the outcome.
+ * A lost dispute is booked like a refund (driver clawback if the earning was held);
+ * otherwise the earning is released to clear as usual.
+ */
+async function closeDispute(stripeDispute) {
+  const dispute = await prisma.dispute.findUnique({
+    where: { stripeDisputeId: stripeDispute.id },
+    include: { ride: { include: { earning: true } } }
+  });
+
+  if (!dispute) {
+    // Opened before we tracked disputes, or the created event hasn't been processed yet
+    const opened = await openDispute(stripeDispute);
+    if (!opened) return null;
+    return closeDispute(stripeDispute);
+  }
+  if (dispute.closedAt) return dispute;
+
+  const status = CLOSED_STATUSES[stripeDispute.status] || 'LOST';
+  const { ride } = dispute;
+  const amount = parseFloat(dispute.amount);
+
+  let clawback = 0;
+  let earningUpdate = null;
+  if (status === 'LOST' && dispute.earningFrozen) {
+    ({ clawback, data: earningUpdate } = calculateClawback(ride.earning, amount, getChargedAmount(ride)));
+  }
+
+  const otherOpen = await prisma.dispute.count({
+    where: { rideId: ride.id, closedAt: null, id: { not: dispute.id } }
+  });
+
+  const operations = [
+    prisma.dispute.update({
+      where: { id: dispute.id },
+      data: { status, stripeStatus: stripeDispute.status, earningClawback: clawback, closedAt: new Date() }
+    }),
+    prisma.ride.update({
+      where: { id: ride.id },
+      data: { isDisputed: otherOpen > 0 }
+    })
+  ];
+
+  // The charged-back money counts as refunded; incremented so a concurrent refund isn't lost
+  if (status === 'LOST') {
+    operations.push(
+      prisma.ride.update({
+        where: { id: ride.id },
+        data: { refundedAmount: { increment: amount }, paymentStatus: 'PARTIALLY_REFUNDED' }
+      }),
+      prisma.ride.updateMany({
+        where: { id: ride.id, refundedAmount: { gte: getChargedAmount(ride) } },
+        data: { paymentStatus: 'REFUNDED' }
+      }),
+      ledgerService.chargebackEntry(dispute, ride, clawback)
+    );
+  }
+
+  if (earningUpdate && clawback > 0) {
+    operations.push(
+      prisma.earning.update({ where: { id: ride.earning.id }, data: earningUpdate }),
+      prisma.driver.update({
+        where: { id: ride.driverId },
+        data: { totalEarnings: { decrement: clawback } }
+      })
+    );
+  }
+
+  if (dispute.supportTicketId) {
+    operations.push(
+      ticketNote(dispute.supportTicketId, `Dispute closed: ${status}.`),
+      prisma.supportTicket.update({
+        where: { id: dispute.supportTicketId },
+        data: { status: 'RESOLVED', resolvedAt: new Date() }
+      })
+    );
+  }
+
+  const [closed] = await prisma.$transaction(operations);
+
+  logger.info('Dispute closed', { disputeId: dispute.id, rideId: ride.id, status });
+  return closed;
+}
+
+// ===========================================
+// EVIDENCE
+// ===========================================
+
+/**
+ * Build Stripe evidence fields from the ride's timeline, route and in-app messages
+ */
+function buildEvidence(ride, note) {
+  const riderName = `${ride.user.firstName} ${ride.user.lastName}`;
+  const driverName = ride.driver ? `${ride.driver.firstName} ${ride.driver.lastName}` : 'No driver assigned';
+
+  const timeline = [
+    ['Requested', ride.requestedAt],
+    ['Driver accepted', ride.acceptedAt],
+    ['Driver arrived at pickup', ride.arrivedAt],
+    ['Trip started', ride.startedAt],
+    ['Trip completed', ride.completedAt],
+    ['Cancelled', ride.cancelledAt]
+  ]
+    .filter(([, at]) => at)
+    .map(([label, at]) => `${new Date(at).toISOString()}  ${label}`);
+
+  const stops = ride.stops
+    .sort((a, b) => a.order - b.order)
+    .map(stop => `Stop ${stop.order}: ${stop.address}`);
+
+  const route = [
+    `Pickup: ${ride.pickupAddress}`,
+    ...stops,
+    `Dropoff: ${ride.dropoffAddress}`,
+    `Quoted: ${ride.distanceMiles} mi, ${ride.durationMinutes} min`,
+    ride.actualDistanceMiles !== null ? `Driven: ${ride.actualDistanceMiles} mi, ${ride.actualDurationMinutes} min` : null,
+    ride.tripPolyline ? `GPS trail (encoded polyline): ${ride.tripPolyline}` : null
+  ].filter(Boolean);
+
+  const messages = ride.messages.map(m =>
+    `${new Date(m.createdAt).toISOString()}  ${m.senderType === 'driver' ? 'Driver' : 'Rider'}: ${m.content}`
+  );
+
+  const text = [
+    note,
+    messages.length ? `In-app messages between rider and driver:\n${messages.join('\n')}` : 'No in-app messages.'
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    customer_name: riderName,
+    customer_email_address: ride.user.email || undefined,
+    service_date: (ride.completedAt || ride.requestedAt).toISOString().slice(0, 10),
+    product_description: [
+      `${ride.serviceType} ride provided by ${driverName}.`,
+      ...route
+    ].join('\n').slice(0, MAX_EVIDENCE_TEXT),
+    access_activity_log: `Trip timeline (UTC):\n${timeline.join('\n')}`.slice(0, MAX_EVIDENCE_TEXT),
+    uncategorized_text: text.slice(0, MAX_EVIDENCE_TEXT)
+  };
+}
+
+/**
+ * Send the ride's evidence to Stripe
+ * submit: false saves the evidence without submitting, so more can be added in the dashboard
+ * Returns { success, dispute } or { success: false, error, code }
+ */
+async function submitEvidence(disputeId, { note, submit = true, adminId }) {
+  const dispute = await prisma.dispute.findUnique({
+    where: { id: disputeId },
+    include: {
+      ride: {
+        include: {
+          user: true,
+          driver: true,
+          stops: true,
+          refunds: { where: { status: 'SUCCEEDED' }, orderBy: { createdAt: 'asc' } },
+          messages: { orderBy: { createdAt: 'asc' } }
+        }
+      }
+    }
+  });
+
+  if (!dispute) {
+    return { success: false, error: 'Dispute not found', code: 'NOT_FOUND' };
+  }
+  if (dispute.status !== 'OPEN') {
+    return { success: false, error: `Dispute is ${dispute.status}`, code: 'NOT_OPEN' };
+  }
+
+  const evidence = buildEvidence(dispute.ride, note);
+
+  try {
+    const pdf = await emailService.generateReceiptPdf(dispute.ride);
+    if (pdf) {
+      const file = await stripe.files.create({
+        purpose: 'dispute_evidence',
+        file: { data: pdf, name: `velox-receipt-${dispute.ride.id.slice(0, 8)}.pdf`, type: 'application/pdf' }
+      });
+      evidence.receipt = file.id;
+    }
+
+    await stripe.disputes.update(dispute.stripeDisputeId, { evidence, submit });
+  } catch (err) {
+    logger.warn('Dispute evidence submission failed', { disputeId, error: err.message });
+    return { success: false, error: err.message, code: 'STRIPE_ERROR' };
+  }
+
+  const operations = [
+    prisma.dispute.update({
+      where: { id: disputeId },
+      data: submit
+        ? { status: 'EVIDENCE_SUBMITTED', evidenceSubmittedAt: new Date(), evidenceSubmittedBy: adminId }
+        : {}
+    })
+  ];
+  if (dispute.supportTicketId) {
+    operations.push(ticketNote(
+      dispute.supportTicketId,
+      submit ? 'Evidence submitted to Stripe.' : 'Evidence saved in Stripe (not yet submitted).'
+    ));
+  }
+
+  const [updated] = await prisma.$transaction(operations);
+  return { success: true, dispute: updated, evidence };
+}
+
+/**
+ * Disputes, most recent first
+ */
+async function listDisputes({ status, limit = 50, offset = 0 } = {}) {
+  const where = status ? { status } : {};
+
+  const [disputes, total] = await Promise.all([
+    prisma.dispute.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+      include: { ride: { select: { id: true, userId: true, driverId: true, totalFare: true, completedAt: true } } }
+    }),
+    prisma.dispute.count({ where })
+  ]);
+
+  return { disputes, total };
+}
+
+module.exports = {
+  openDispute,
+  syncDispute,
+  closeDispute,
+  submitEvidence,
+  listDisputes
+};
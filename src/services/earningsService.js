@@ -0,0 +1,82 @@
+/**
+ * Earnings Service
+ * Earning lifecycle: PENDING -> AVAILABLE once the fare is captured and the hold period passes
+ */
+
+const prisma = require('../config/prisma');
+const ledgerService = require('./ledgerService');
+const configService = require('./configService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Earnings');
+
+// Ride payment states where the rider's money has actually been collected
+// (invoiced business rides count: the platform fronts the driver's pay until the invoice is paid)
+const CLEARED_PAYMENT_STATUSES = ['CAPTURED', 'PARTIALLY_REFUNDED', 'REFUNDED', 'INVOICED'];
+
+/**
+ * Hours an earning stays PENDING before it can clear
+ */
+async function getEarningsHoldHours() {
+  const config = await configService.getConfig();
+  return config.earningsHoldHours;
+}
+
+/**
+ * Move every clearable PENDING earning to AVAILABLE
+ * Disputed rides and uncaptured payments stay PENDING.
+ */
+async function clearEarnings(now = new Date()) {
+  const holdHours = await getEarningsHoldHours();
+  const cutoff = new Date(now.getTime() - holdHours * 60 * 60 * 1000);
+
+  const { count } = await prisma.earning.updateMany({
+    where: {
+      status: 'PENDING',
+      createdAt: { lte: cutoff },
+      ride: {
+        paymentStatus: { in: CLEARED_PAYMENT_STATUSES },
+        isDisputed: false
+      }
+    },
+    data: { status: 'AVAILABLE', availableAt: now }
+  });
+
+  if (count > 0) {
+    logger.info(`Cleared ${count} earnings`);
+  }
+
+  return { cleared: count };
+}
+
+/**
+ * A driver's unpaid balance split by where it is in the lifecycle
+ * The total comes from the ledger; pending and held are the uncleared earnings within it,
+ * so only earnings whose ride charge has been collected (and posted) are counted.
+ * pending: still clearing; held: pending on a disputed ride; available: can be paid out
+ */
+async function getDriverBalance(driverId) {
+  const sum = async (where) => {
+    const totals = await prisma.earning.aggregate({
+      where: { driverId, ...where },
+      _sum: { netAmount: true, tip: true }
+    });
+    return Math.round((parseFloat(totals._sum.netAmount || 0) + parseFloat(totals._sum.tip || 0)) * 100) / 100;
+  };
+
+  const [total, pending, held] = await Promise.all([
+    ledgerService.getDriverBalance(driverId),
+    sum({ status: 'PENDING', ride: { isDisputed: false, paymentStatus: { in: CLEARED_PAYMENT_STATUSES } } }),
+    sum({ status: 'PENDING', ride: { isDisputed: true, paymentStatus: { in: CLEARED_PAYMENT_STATUSES } } })
+  ]);
+
+  const available = Math.round((total - pending - held) * 100) / 100;
+  return { total, pending, held, available: Math.max(0, available) };
+}
+
+module.exports = {
+  getEarningsHoldHours,
+  clearEarnings,
+  getDriverBalance,
+  CLEARED_PAYMENT_STATUSES
+};
@@ -129,7 +129,13 @@ async function sendRideReceipt(rideId) {
     include: {
       user: true,
       driver: true,
-      stops: true
+      stops: true,
+      refunds: { where: { status: 'SUCCEEDED' }, orderBy: { createdAt: 'asc' } },
+      fareSplits: {
+        where: { status: 'ACCEPTED', amount: { gt: 0 } },
+        orderBy: [{ isOrganizer: 'desc' }, { createdAt: 'asc' }],
+        include: { user: true }
+      }
     }
   });
   
@@ -137,15 +143,29 @@ async function sendRideReceipt(rideId) {
     return { success: false, error: 'Ride not found or user has no email' };
   }
   
+  const isUpdated = ride.refunds.length > 0;
+  
   const receiptHtml = generateRideReceiptHtml(ride);
   const receiptText = generateRideReceiptText(ride);
   
   // Generate PDF receipt
   const pdfBuffer = await generateReceiptPdf(ride);
   
+  // Everyone else on a split fare gets the same receipt with their portion in the subject
+  for (const portion of getSplitPortions(ride).filter(p => !p.isOrganizer && p.email)) {
+    sendEmail({
+      to: portion.email,
+      subject: `Your VeloX Receipt - $${portion.amount.toFixed(2)} (split fare)`,
+      text: receiptText,
+      html: receiptHtml
+    }).catch(err => console.error('Split receipt email failed:', err.message));
+  }
+  
   return sendEmail({
     to: ride.user.email,
-    subject: `Your VeloX Receipt - $${parseFloat(ride.totalFare).toFixed(2)}`,
+    subject: isUpdated
+      ? `Your updated VeloX Receipt - $${getNetCharged(ride).toFixed(2)}`
+      : `Your VeloX Receipt - $${parseFloat(ride.totalFare).toFixed(2)}`,
     text: receiptText,
     html: receiptHtml,
     attachments: pdfBuffer ? [{
@@ -156,6 +176,25 @@ async function sendRideReceipt(rideId) {
   });
 }
 
+/**
+ * Amount charged after refunds
+ */
+function getNetCharged(ride) {
+  return parseFloat(ride.totalFare) + parseFloat(ride.tip) - parseFloat(ride.refundedAmount || 0);
+}
+
+/**
+ * Each rider's portion of a split fare (the organizer's includes the tip)
+ */
+function getSplitPortions(ride) {
+  return (ride.fareSplits || []).map(split => ({
+    name: `${split.user.firstName} ${split.user.lastName.charAt(0)}.`,
+    email: split.user.email,
+    isOrganizer: split.isOrganizer,
+    amount: parseFloat(split.amount) + (split.isOrganizer ? parseFloat(ride.tip) : 0)
+  }));
+}
+
 function generateRideReceiptHtml(ride) {
   const formatDate = (d) => new Date(d).toLocaleDateString('en-US', {
     weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
@@ -220,8 +259,18 @@ function generateRideReceiptHtml(ride) {
       ${parseFloat(ride.promoDiscount) > 0 ? `<div class="breakdown-row"><span>Promo discount</span><span>-$${parseFloat(ride.promoDiscount).toFixed(2)}</span></div>` : ''}
       ${parseFloat(ride.tip) > 0 ? `<div class="breakdown-row"><span>Tip</span><span>$${parseFloat(ride.tip).toFixed(2)}</span></div>` : ''}
       <div class="breakdown-row"><span>Total</span><span>$${(parseFloat(ride.totalFare) + parseFloat(ride.tip)).toFixed(2)}</span></div>
+      ${parseFloat(ride.walletAmount) > 0 ? `<div class="breakdown-row"><span>Paid with VeloX credit</span><span>$${parseFloat(ride.walletAmount).toFixed(2)}</span></div>` : ''}
+      ${(ride.refunds || []).map(r => `<div class="breakdown-row"><span>Refund (${new Date(r.createdAt).toLocaleDateString('en-US')})</span><span>-$${parseFloat(r.amount).toFixed(2)}</span></div>`).join('')}
+      ${ride.refunds?.length ? `<div class="breakdown-row"><span>Net charged</span><span>$${getNetCharged(ride).toFixed(2)}</span></div>` : ''}
     </div>
     
+    ${ride.fareSplits?.length ? `
+    <div class="breakdown">
+      <strong>Split fare</strong>
+      ${getSplitPortions(ride).map(p => `<div class="breakdown-row"><span>${p.name}</span><span>$${p.amount.toFixed(2)}</span></div>`).join('')}
+    </div>
+    ` : ''}
+    
     ${ride.driver ? `
     <div class="driver">
       <div class="driver-avatar">${ride.driver.firstName.charAt(0)}</div>
@@ -261,6 +310,10 @@ Fare Breakdown:
 - Distance: $${parseFloat(ride.distanceFare).toFixed(2)}
 - Time: $${parseFloat(ride.timeFare).toFixed(2)}
 ${parseFloat(ride.tip) > 0 ? `- Tip: $${parseFloat(ride.tip).toFixed(2)}` : ''}
+${parseFloat(ride.walletAmount) > 0 ? `- Paid with VeloX credit: $${parseFloat(ride.walletAmount).toFixed(2)}` : ''}
+${(ride.refunds || []).map(r => `- Refund: -$${parseFloat(r.amount).toFixed(2)}`).join('\n')}
+${ride.refunds?.length ? `Net charged: $${getNetCharged(ride).toFixed(2)}` : ''}
+${ride.fareSplits?.length ? `\nSplit fare:\n${getSplitPortions(ride).map(p => `- ${p.name}: $${p.amount.toFixed(2)}`).join('\n')}` : ''}
 
 ${ride.driver ? `Driver: ${ride.driver.firstName} ${ride.driver.lastName.charAt(0)}.` : ''}
 
@@ -327,6 +380,20 @@ async function generateReceiptPdf(ride) {
       }
       doc.moveDown();
       doc.fontSize(12).text(`Total: $${(parseFloat(ride.totalFare) + parseFloat(ride.tip)).toFixed(2)}`, { bold: true });
+      if (parseFloat(ride.walletAmount) > 0) {
+        doc.fontSize(10).text(`Paid with VeloX credit: $${parseFloat(ride.walletAmount).toFixed(2)}`);
+      }
+      if (ride.refunds?.length) {
+        doc.fontSize(10);
+        ride.refunds.forEach(r => doc.text(`Refund: -$${parseFloat(r.amount).toFixed(2)}`));
+        doc.fontSize(12).text(`Net charged: $${getNetCharged(ride).toFixed(2)}`);
+      }
+      if (ride.fareSplits?.length) {
+        doc.moveDown();
+        doc.fontSize(12).text('Split Fare', { underline: true });
+        doc.fontSize(10);
+        getSplitPortions(ride).forEach(p => doc.text(`${p.name}: $${p.amount.toFixed(2)}`));
+      }
       
       // Footer
       doc.moveDown(3);
@@ -458,6 +525,7 @@ async function sendDriverWelcomeEmail(driverId) {
 module.exports = {
   sendEmail,
   sendRideReceipt,
+  generateReceiptPdf,
   sendDriverEarningsStatement,
   sendWelcomeEmail,
   sendDriverWelcomeEmail
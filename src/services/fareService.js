@@ -0,0 +1,139 @@
+/**
+ * Fare Service
+ * Final fare reconciliation from trip telemetry
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const pricingService = require('./pricingService');
+const marketService = require('./marketService');
+const configService = require('./configService');
+const { calculateFare, calculateDistance } = require('../utils/pricing');
+const { encodePolyline } = require('../utils/geo');
+
+// GPS points implying faster travel than this are treated as glitches
+const MAX_PLAUSIBLE_SPEED_MPH = 100;
+
+/**
+ * Sum the distance along a GPS trail, skipping implausible jumps
+ */
+function calculateTrailDistance(points) {
+  let miles = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const next = points[i];
+    const segment = calculateDistance(prev.lat, prev.lng, next.lat, next.lng);
+    const hours = (next.t - prev.t) / 3600000;
+
+    if (hours > 0 && segment / hours > MAX_PLAUSIBLE_SPEED_MPH) continue;
+    miles += segment;
+  }
+
+  return miles;
+}
+
+/**
+ * Load the fare policy settings from PlatformConfig
+ */
+async function getFarePolicy() {
+  const config = await configService.getConfig();
+
+  return {
+    farePolicy: config.farePolicy,
+    fareTolerancePercent: config.fareTolerancePercent
+  };
+}
+
+/**
+ * Recalculate the fare the ride was quoted under using actual miles/minutes
+ */
+async function calculateMeteredFare(ride, actualMiles, actualMinutes) {
+  const pricing = await pricingService.getPricingVersion(ride.pricingVersion) ||
+    await pricingService.getActivePricing();
+  const pricingTable = ride.market
+    ? marketService.getMarketPricing(ride.market, pricing)
+    : pricing.services;
+
+  return calculateFare(actualMiles, actualMinutes, ride.serviceType, ride.surgeMult, pricingTable);
+}
+
+/**
+ * Work out the final fare for a ride being completed.
+ * Returns the Ride fields to write alongside status COMPLETED.
+ */
+async function calculateFinalFare(rideId, completedAt = new Date()) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { market: true, driver: true }
+  });
+
+  const trail = await redis.getRideTrail(rideId);
+  const upfrontFare = parseFloat(ride.totalFare);
+  const promoDiscount = parseFloat(ride.promoDiscount);
+
+  const actualDistanceMiles = trail.length >= 2 ? calculateTrailDistance(trail) : null;
+  const actualDurationMinutes = ride.startedAt
+    ? Math.max(1, Math.ceil((completedAt.getTime() - ride.startedAt.getTime()) / 60000))
+    : null;
+
+  const { farePolicy, fareTolerancePercent } = await getFarePolicy();
+
+  let finalFare = upfrontFare;
+  let fareAdjustmentReason = null;
+  let fareBreakdown = null;
+
+  if (farePolicy !== 'UPFRONT_LOCKED') {
+    if (actualDistanceMiles === null || actualDurationMinutes === null) {
+      fareAdjustmentReason = 'Insufficient trip telemetry; upfront fare kept';
+    } else {
+      fareBreakdown = await calculateMeteredFare(ride, actualDistanceMiles, actualDurationMinutes);
+      const meteredFare = Math.max(0, fareBreakdown.totalFare - promoDiscount);
+
+      if (farePolicy === 'METERED') {
+        finalFare = meteredFare;
+        fareAdjustmentReason = 'Metered fare';
+      } else {
+        const deviation = upfrontFare > 0 ? Math.abs(meteredFare - upfrontFare) / upfrontFare : 0;
+        if (deviation * 100 > fareTolerancePercent) {
+          finalFare = meteredFare;
+          fareAdjustmentReason = `Trip deviated ${Math.round(deviation * 100)}% from the upfront estimate`;
+        }
+      }
+    }
+  }
+
+  finalFare = Math.round(finalFare * 100) / 100;
+
+  // Keep the commission rate the ride was quoted at, unless the driver's tier is lower
+  const config = await configService.getConfig();
+  const tierPercent = configService.getDriverTierPercent(config, ride.driver);
+  let feeRate = upfrontFare > 0 ? parseFloat(ride.platformFee) / upfrontFare : 0;
+  if (tierPercent !== null) feeRate = Math.min(feeRate, tierPercent / 100);
+  const platformFee = Math.round(finalFare * feeRate * 100) / 100;
+
+  const data = {
+    actualDistanceMiles,
+    actualDurationMinutes,
+    tripPolyline: trail.length >= 2 ? encodePolyline(trail) : null,
+    upfrontFare,
+    totalFare: finalFare,
+    fareAdjustment: Math.round((finalFare - upfrontFare) * 100) / 100,
+    fareAdjustmentReason,
+    platformFee,
+    driverEarnings: Math.round((finalFare - platformFee) * 100) / 100
+  };
+
+  // Show the metered components when the fare was recalculated
+  if (fareBreakdown && finalFare !== upfrontFare) {
+    data.distanceFare = fareBreakdown.distanceFare;
+    data.timeFare = fareBreakdown.timeFare;
+  }
+
+  return data;
+}
+
+module.exports = {
+  calculateTrailDistance,
+  calculateFinalFare
+};
@@ -0,0 +1,451 @@
+/**
+ * Ledger Service
+ * Double-entry journal for every money movement
+ *
+ * Each entry's lines sum to zero. A line's amount is the change in that account's balance:
+ * - RIDER (per user): negative once charged; refunds move it back toward zero
+ * - DRIVER (per driver): what the platform owes the driver; payouts draw it down
+ * - PLATFORM: commission and fees earned
+ * - PROMO: promo spend, negative
+ * - PAYOUT: money sent out to drivers' banks
+ * - WALLET (per user): wallet credit owed to the rider; spending it moves it back to RIDER
+ * - RECEIVABLE (per user): charged but not yet collected (e.g. a failed charge above the hold), negative like RIDER
+ */
+
+const prisma = require('../config/prisma');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Ledger');
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// ===========================================
+// POSTING
+// ===========================================
+
+/**
+ * Build a journal entry create for use inside prisma.$transaction([...])
+ * lines: [{ account, ownerId, amount }] - zero lines are dropped
+ * Pass the transaction client as client when inside an interactive transaction.
+ */
+function buildEntry({ type, lines, description, idempotencyKey, rideId, payoutId, refundId, tipId, walletTransactionId, createdBy }, client = prisma) {
+  const nonZero = lines
+    .map(line => ({ ...line, cents: toCents(line.amount) }))
+    .filter(line => line.cents !== 0);
+
+  const total = nonZero.reduce((sum, line) => sum + line.cents, 0);
+  if (total !== 0) {
+    throw new Error(`Unbalanced ${type} journal entry (off by ${fromCents(total)})`);
+  }
+
+  return client.journalEntry.create({
+    data: {
+      type,
+      description,
+      idempotencyKey,
+      rideId,
+      payoutId,
+      refundId,
+      tipId,
+      walletTransactionId,
+      createdBy,
+      lines: {
+        create: nonZero.map(line => ({
+          account: line.account,
+          ownerId: line.ownerId || null,
+          amount: fromCents(line.cents)
+        }))
+      }
+    }
+  });
+}
+
+/**
+ * Post a journal entry on its own
+ * Entries with an idempotencyKey that was already posted are skipped.
+ */
+async function postEntry(entry) {
+  try {
+    return await buildEntry(entry);
+  } catch (err) {
+    if (err.code === 'P2002' && entry.idempotencyKey) {
+      return prisma.journalEntry.findUnique({ where: { idempotencyKey: entry.idempotencyKey } });
+    }
+    throw err;
+  }
+}
+
+// ===========================================
+// MONEY MOVEMENTS
+// ===========================================
+
+/**
+ * Captured ride fare: rider pays, promo covers its discount, driver and platform take their shares
+ * On a split fare each rider is charged their captured share and the organizer the rest.
+ * An outstandingAmount the organizer's card didn't cover is booked as a receivable instead.
+ */
+async function recordRideCharge(rideId) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { fareSplits: { where: { isOrganizer: false, paymentStatus: 'CAPTURED' } } }
+  });
+  if (!ride || ride.status !== 'COMPLETED') return null;
+
+  const totalFare = parseFloat(ride.totalFare);
+  const promoDiscount = parseFloat(ride.promoDiscount);
+  const driverEarnings = parseFloat(ride.driverEarnings);
+  const splitLines = ride.fareSplits.map(split => ({ account: 'RIDER', ownerId: split.userId, amount: -parseFloat(split.amount) }));
+  const organizerShare = splitLines.reduce((sum, line) => sum + line.amount, totalFare);
+  const outstanding = parseFloat(ride.outstandingAmount);
+
+  // Platform takes the remainder so rounding in the stored fee can't unbalance the entry
+  return postEntry({
+    type: 'RIDE_CHARGE',
+    rideId,
+    idempotencyKey: `ride-charge:${rideId}`,
+    lines: [
+      { account: 'RIDER', ownerId: ride.userId, amount: -(organizerShare - outstanding) },
+      { account: 'RECEIVABLE', ownerId: ride.userId, amount: -outstanding },
+      ...splitLines,
+      { account: 'PROMO', amount: -promoDiscount },
+      { account: 'DRIVER', ownerId: ride.driverId, amount: driverEarnings },
+      { account: 'PLATFORM', amount: totalFare + promoDiscount - driverEarnings }
+    ]
+  });
+}
+
+/**
+ * Tip paid straight through to the driver
+ */
+function tipEntry(tip) {
+  return buildEntry({
+    type: 'TIP',
+    rideId: tip.rideId,
+    tipId: tip.id,
+    idempotencyKey: `tip:${tip.id}`,
+    lines: [
+      { account: 'RIDER', ownerId: tip.userId, amount: -parseFloat(tip.amount) },
+      { account: 'DRIVER', ownerId: tip.driverId, amount: parseFloat(tip.amount) }
+    ]
+  });
+}
+
+/**
+ * Cancellation or no-show fee split between driver and platform
+ * outstanding is the part of the fee that couldn't be collected, booked as a receivable.
+ */
+function cancellationFeeEntry(ride, fee, driverShare, outstanding = 0) {
+  return buildEntry({
+    type: 'CANCELLATION_FEE',
+    rideId: ride.id,
+    idempotencyKey: `cancellation-fee:${ride.id}`,
+    lines: [
+      { account: 'RIDER', ownerId: ride.userId, amount: -(fee - outstanding) },
+      { account: 'RECEIVABLE', ownerId: ride.userId, amount: -outstanding },
+      { account: 'DRIVER', ownerId: ride.driverId, amount: driverShare },
+      { account: 'PLATFORM', amount: fee - driverShare }
+    ]
+  });
+}
+
+/**
+ * Refund back to the rider, funded by the driver clawback and the platform for the rest
+ */
+function refundEntry(refund, ride, clawback) {
+  const amount = parseFloat(refund.amount);
+
+  return buildEntry({
+    type: 'REFUND',
+    rideId: ride.id,
+    refundId: refund.id,
+    idempotencyKey: `refund:${refund.id}`,
+    lines: [
+      { account: 'RIDER', ownerId: ride.userId, amount },
+      { account: 'DRIVER', ownerId: ride.driverId, amount: -clawback },
+      { account: 'PLATFORM', amount: -(amount - clawback) }
+    ]
+  });
+}
+
+/**
+ * Lost chargeback: the rider's bank took the money back
+ * Funded like a refund: driver clawback first, the platform covers the rest.
+ */
+function chargebackEntry(dispute, ride, clawback) {
+  const amount = parseFloat(dispute.amount);
+
+  return buildEntry({
+    type: 'CHARGEBACK',
+    rideId: ride.id,
+    idempotencyKey: `chargeback:${dispute.id}`,
+    lines: [
+      { account: 'RIDER', ownerId: ride.userId, amount },
+      { account: 'DRIVER', ownerId: ride.driverId, amount: -clawback },
+      { account: 'PLATFORM', amount: -(amount - clawback) }
+    ]
+  });
+}
+
+// Where wallet credit comes from (or goes back to): promo spend for grants,
+// the rider's own account for refunds and ride payments
+const WALLET_COUNTER_ACCOUNTS = {
+  REFERRAL_REWARD: 'PROMO',
+  GOODWILL: 'PROMO',
+  GIFT_CARD: 'PROMO',
+  REVOKED: 'PROMO',
+  REFUND: 'RIDER',
+  RIDE_PAYMENT: 'RIDER',
+  RIDE_PAYMENT_REVERSAL: 'RIDER'
+};
+
+/**
+ * Wallet credit or debit, for use inside the transaction that changes the balance
+ */
+function walletEntry(transaction, client) {
+  const amount = parseFloat(transaction.amount);
+  const counter = WALLET_COUNTER_ACCOUNTS[transaction.type];
+
+  return buildEntry({
+    type: 'WALLET',
+    rideId: transaction.rideId,
+    refundId: transaction.refundId,
+    walletTransactionId: transaction.id,
+    idempotencyKey: `wallet:${transaction.id}`,
+    lines: [
+      { account: 'WALLET', ownerId: transaction.userId, amount },
+      { account: counter, ownerId: counter === 'RIDER' ? transaction.userId : null, amount: -amount }
+    ]
+  }, client);
+}
+
+/**
+ * Driver referral bonus, paid from promo spend onto the referrer's balance
+ */
+async function recordReferralBonus(referral) {
+  return postEntry({
+    type: 'REFERRAL_BONUS',
+    description: 'Driver referral bonus',
+    idempotencyKey: `referral:${referral.id}`,
+    lines: [
+      { account: 'DRIVER', ownerId: referral.referrerDriverId, amount: parseFloat(referral.rewardAmount) },
+      { account: 'PROMO', amount: -parseFloat(referral.rewardAmount) }
+    ]
+  });
+}
+
+/**
+ * Payout committed to a driver (instant payout fees go to the platform)
+ */
+function payoutEntry(payout, client) {
+  return buildEntry({
+    type: 'PAYOUT',
+    payoutId: payout.id,
+    idempotencyKey: `payout:${payout.id}`,
+    lines: [
+      { account: 'DRIVER', ownerId: payout.driverId, amount: -parseFloat(payout.amount) },
+      { account: 'PAYOUT', amount: parseFloat(payout.netAmount) },
+      { account: 'PLATFORM', amount: parseFloat(payout.fee || 0) }
+    ]
+  }, client);
+}
+
+/**
+ * Undo a payout that never reached the driver
+ */
+function payoutReversalEntry(payout, client) {
+  return buildEntry({
+    type: 'PAYOUT_REVERSAL',
+    payoutId: payout.id,
+    idempotencyKey: `payout-reversal:${payout.id}`,
+    lines: [
+      { account: 'DRIVER', ownerId: payout.driverId, amount: parseFloat(payout.amount) },
+      { account: 'PAYOUT', amount: -parseFloat(payout.netAmount) },
+      { account: 'PLATFORM', amount: -parseFloat(payout.fee || 0) }
+    ]
+  }, client);
+}
+
+/**
+ * Manual driver balance adjustment funded by (or returned to) the platform
+ */
+function driverAdjustmentEntry({ driverId, amount, description, createdBy, rideId }) {
+  return buildEntry({
+    type: 'ADJUSTMENT',
+    rideId,
+    description,
+    createdBy,
+    lines: [
+      { account: 'DRIVER', ownerId: driverId, amount },
+      { account: 'PLATFORM', amount: -amount }
+    ]
+  });
+}
+
+// ===========================================
+// BALANCES
+// ===========================================
+
+/**
+ * Sum of an account's lines, optionally within [from, to)
+ */
+async function getAccountBalance(account, ownerId = null, { from, to } = {}) {
+  const where = { account };
+  if (ownerId) where.ownerId = ownerId;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lt = to;
+  }
+
+  const totals = await prisma.journalLine.aggregate({ where, _sum: { amount: true } });
+  return parseFloat(totals._sum.amount || 0);
+}
+
+/**
+ * What the platform currently owes a driver
+ */
+async function getDriverBalance(driverId) {
+  return getAccountBalance('DRIVER', driverId);
+}
+
+/**
+ * Platform revenue net of promo spend for a period
+ */
+async function getPlatformRevenue({ from, to } = {}) {
+  const [platform, promo] = await Promise.all([
+    getAccountBalance('PLATFORM', null, { from, to }),
+    getAccountBalance('PROMO', null, { from, to })
+  ]);
+
+  return {
+    gross: platform,
+    promoSpend: -promo,
+    net: Math.round((platform + promo) * 100) / 100
+  };
+}
+
+// ===========================================
+// RECONCILIATION
+// ===========================================
+
+/**
+ * Compare the ledger with the Ride, Earning, Payout and Driver rows it should agree with
+ * since: only check rides and payouts created after this date
+ */
+async function reconcile({ since } = {}) {
+  const createdAt = since ? { gte: since } : undefined;
+  const mismatches = [];
+  const flag = (kind, id, expected, actual) => {
+    if (toCents(expected) !== toCents(actual)) {
+      mismatches.push({ kind, id, expected: Math.round(expected * 100) / 100, actual: Math.round(actual * 100) / 100 });
+    }
+  };
+
+  // Every entry must balance
+  const unbalanced = await prisma.journalLine.groupBy({
+    by: ['entryId'],
+    _sum: { amount: true },
+    having: { amount: { _sum: { not: 0 } } }
+  });
+  unbalanced.forEach(e => flag('UNBALANCED_ENTRY', e.entryId, 0, parseFloat(e._sum.amount)));
+
+  // What each rider was charged (or their company invoiced) for a ride, net of refunds, lost chargebacks and anything uncollected
+  const rides = await prisma.ride.findMany({
+    where: { createdAt, paymentStatus: { in: ['CAPTURED', 'PARTIALLY_REFUNDED', 'REFUNDED', 'INVOICED'] } },
+    select: { id: true, status: true, totalFare: true, tip: true, cancellationFee: true, refundedAmount: true, outstandingAmount: true }
+  });
+  // Wallet entries only move part of the charge between RIDER and WALLET
+  const riderLines = await prisma.journalLine.findMany({
+    where: { account: 'RIDER', entry: { rideId: { in: rides.map(r => r.id) }, type: { not: 'WALLET' } } },
+    select: { amount: true, entry: { select: { rideId: true } } }
+  });
+  const chargedByRide = new Map();
+  riderLines.forEach(line => {
+    const rideId = line.entry.rideId;
+    chargedByRide.set(rideId, (chargedByRide.get(rideId) || 0) - parseFloat(line.amount));
+  });
+  rides.forEach(ride => {
+    const charged = ride.status === 'CANCELLED'
+      ? parseFloat(ride.cancellationFee)
+      : parseFloat(ride.totalFare) + parseFloat(ride.tip);
+    const collected = charged - parseFloat(ride.outstandingAmount);
+    flag('RIDE_CHARGE', ride.id, collected - parseFloat(ride.refundedAmount), chargedByRide.get(ride.id) || 0);
+  });
+
+  // Payouts that went (or are going) out should be posted once at their amount
+  const payouts = await prisma.payout.findMany({
+    where: { createdAt, status: { in: ['PENDING', 'PROCESSING', 'COMPLETED'] } },
+    select: { id: true, amount: true }
+  });
+  const payoutEntries = await prisma.journalEntry.findMany({
+    where: { type: 'PAYOUT', payoutId: { in: payouts.map(p => p.id) } },
+    include: { lines: { where: { account: 'DRIVER' } } }
+  });
+  const postedByPayout = new Map(payoutEntries.map(entry => [
+    entry.payoutId, entry.lines.reduce((sum, line) => sum - parseFloat(line.amount), 0)
+  ]));
+  payouts.forEach(payout => flag('PAYOUT', payout.id, parseFloat(payout.amount), postedByPayout.get(payout.id) || 0));
+
+  // Lifetime driver earnings: Driver.totalEarnings and Earning rows vs the ledger (payouts, adjustments and bonuses excluded)
+  const [drivers, earningTotals, ledgerTotals] = await Promise.all([
+    prisma.driver.findMany({ select: { id: true, totalEarnings: true } }),
+    prisma.earning.groupBy({ by: ['driverId'], _sum: { netAmount: true, tip: true } }),
+    prisma.journalLine.groupBy({
+      by: ['ownerId'],
+      where: { account: 'DRIVER', entry: { type: { notIn: ['PAYOUT', 'PAYOUT_REVERSAL', 'ADJUSTMENT', 'REFERRAL_BONUS'] } } },
+      _sum: { amount: true }
+    })
+  ]);
+  const earnedByDriver = new Map(earningTotals.map(e => [
+    e.driverId, parseFloat(e._sum.netAmount || 0) + parseFloat(e._sum.tip || 0)
+  ]));
+  const ledgerByDriver = new Map(ledgerTotals.map(l => [l.ownerId, parseFloat(l._sum.amount || 0)]));
+  drivers.forEach(driver => {
+    const ledger = ledgerByDriver.get(driver.id) || 0;
+    flag('DRIVER_TOTAL_EARNINGS', driver.id, parseFloat(driver.totalEarnings), ledger);
+    flag('DRIVER_EARNINGS', driver.id, earnedByDriver.get(driver.id) || 0, ledger);
+  });
+
+  // Wallet balances vs the ledger
+  const [wallets, walletTotals] = await Promise.all([
+    prisma.user.findMany({ where: { walletBalance: { not: 0 } }, select: { id: true, walletBalance: true } }),
+    prisma.journalLine.groupBy({ by: ['ownerId'], where: { account: 'WALLET' }, _sum: { amount: true } })
+  ]);
+  const ledgerByWallet = new Map(walletTotals.map(l => [l.ownerId, parseFloat(l._sum.amount || 0)]));
+  wallets.forEach(user => {
+    flag('WALLET_BALANCE', user.id, parseFloat(user.walletBalance), ledgerByWallet.get(user.id) || 0);
+    ledgerByWallet.delete(user.id);
+  });
+  ledgerByWallet.forEach((amount, userId) => flag('WALLET_BALANCE', userId, 0, amount));
+
+  if (mismatches.length > 0) {
+    logger.warn(`Ledger reconciliation found ${mismatches.length} mismatches`);
+  }
+
+  return {
+    checkedAt: new Date(),
+    since: since || null,
+    ok: mismatches.length === 0,
+    mismatches
+  };
+}
+
+module.exports = {
+  buildEntry,
+  postEntry,
+  recordRideCharge,
+  tipEntry,
+  cancellationFeeEntry,
+  refundEntry,
+  chargebackEntry,
+  walletEntry,
+  recordReferralBonus,
+  payoutEntry,
+  payoutReversalEntry,
+  driverAdjustmentEntry,
+  getAccountBalance,
+  getDriverBalance,
+  getPlatformRevenue,
+  reconcile
+};
@@ -0,0 +1,66 @@
+/**
+ * Market Service
+ * City/market lookup by geofence and per-market service availability
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const { isPointInPolygon } = require('../utils/geo');
+
+const CACHE_NAME = 'markets:active';
+const CACHE_TTL_SECONDS = 300;
+
+/**
+ * Get all active markets (cached)
+ */
+async function getActiveMarkets() {
+  const cached = await redis.getCache(CACHE_NAME);
+  if (cached) return cached;
+
+  const markets = await prisma.market.findMany({
+    where: { isActive: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  await redis.setCache(CACHE_NAME, markets, CACHE_TTL_SECONDS);
+  return markets;
+}
+
+/**
+ * Find the market containing a coordinate, or null if outside all markets
+ */
+async function findMarketForPoint(lat, lng) {
+  const markets = await getActiveMarkets();
+  return markets.find(m => isPointInPolygon(lat, lng, m.boundary)) || null;
+}
+
+/**
+ * Build the fare table for a market from the active pricing version.
+ * Only services offered in the market are included.
+ */
+function getMarketPricing(market, pricing) {
+  const overrides = market.pricingOverrides || {};
+  const services = {};
+
+  for (const serviceType of market.serviceTypes) {
+    const base = pricing.services[serviceType];
+    if (!base) continue;
+    services[serviceType] = { ...base, ...(overrides[serviceType] || {}) };
+  }
+
+  return services;
+}
+
+/**
+ * Drop cached markets after an admin change
+ */
+async function invalidateMarkets() {
+  await redis.clearCache(CACHE_NAME);
+}
+
+module.exports = {
+  getActiveMarkets,
+  findMarketForPoint,
+  getMarketPricing,
+  invalidateMarkets
+};
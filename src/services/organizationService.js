@@ -0,0 +1,586 @@
+/**
+ * Organization Service
+ * Business profiles: company membership, spend policies enforced at ride request,
+ * company-card or monthly-invoice billing, and ride exports for expense systems
+ */
+
+const prisma = require('../config/prisma');
+const { createLogger } = require('./errorTrackingService');
+const { formatPhone } = require('../utils/phone');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const logger = createLogger('Organizations');
+
+const INVOICE_DAYS_UNTIL_DUE = 30;
+
+// Statuses whose fare doesn't count towards a member's monthly cap (cancellations count their fee instead)
+const UNCHARGED_STATUSES = ['CANCELLED', 'NO_DRIVERS'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * First instant of the UTC calendar month containing date, shifted by offset months
+ */
+function startOfMonth(date, offset = 0) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+}
+
+/**
+ * Day of week (0 = Sunday) and hour of a moment in a timezone
+ */
+function localTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const weekday = parts.find(p => p.type === 'weekday').value;
+  return {
+    day: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday),
+    hour: parseInt(parts.find(p => p.type === 'hour').value, 10)
+  };
+}
+
+// ===========================================
+// ORGANIZATIONS & MEMBERS
+// ===========================================
+
+/**
+ * Create an organization with the creator as its first admin
+ */
+async function createOrganization(userId, { name, billingEmail }) {
+  return prisma.organization.create({
+    data: {
+      name,
+      billingEmail,
+      members: { create: { userId, role: 'ADMIN' } }
+    }
+  });
+}
+
+/**
+ * A user's membership of an organization, or null
+ */
+async function getMembership(organizationId, userId) {
+  return prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId } },
+    include: { organization: true }
+  });
+}
+
+/**
+ * Organizations a user belongs to, with their role
+ */
+async function listForUser(userId) {
+  const memberships = await prisma.organizationMember.findMany({
+    where: { userId, organization: { isActive: true } },
+    include: { organization: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return memberships.map(m => ({ ...m.organization, role: m.role }));
+}
+
+/**
+ * An organization with its members
+ */
+async function getOrganization(organizationId) {
+  return prisma.organization.findUnique({
+    where: { id: organizationId },
+    include: {
+      members: {
+        orderBy: { createdAt: 'asc' },
+        include: { user: { select: { id: true, firstName: true, lastName: true, email: true, phone: true } } }
+      }
+    }
+  });
+}
+
+/**
+ * Add a VeloX user to an organization by phone, or change their role if they're already in it
+ * Returns { success, member } or { success: false, error, code }
+ */
+async function addMember(organizationId, { phone, role = 'MEMBER' }) {
+  const user = await prisma.user.findUnique({ where: { phone: formatPhone(phone) } });
+  if (!user || user.status !== 'ACTIVE') {
+    return { success: false, error: `No VeloX account for ${formatPhone(phone)}`, code: 'USER_NOT_FOUND' };
+  }
+
+  const existing = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId: user.id } }
+  });
+  if (existing?.role === 'ADMIN' && role !== 'ADMIN' && await isLastAdmin(existing)) {
+    return { success: false, error: 'An organization needs at least one admin', code: 'LAST_ADMIN' };
+  }
+
+  const member = await prisma.organizationMember.upsert({
+    where: { organizationId_userId: { organizationId, userId: user.id } },
+    create: { organizationId, userId: user.id, role },
+    update: { role }
+  });
+
+  return { success: true, member };
+}
+
+/**
+ * Remove a member; the last admin can't be removed
+ * Returns { success } or { success: false, error, code }
+ */
+async function removeMember(organizationId, userId) {
+  const member = await prisma.organizationMember.findUnique({
+    where: { organizationId_userId: { organizationId, userId } }
+  });
+  if (!member) {
+    return { success: false, error: 'Member not found', code: 'NOT_FOUND' };
+  }
+  if (member.role === 'ADMIN' && await isLastAdmin(member)) {
+    return { success: false, error: 'An organization needs at least one admin', code: 'LAST_ADMIN' };
+  }
+
+  await prisma.organizationMember.delete({ where: { id: member.id } });
+  return { success: true };
+}
+
+async function isLastAdmin(member) {
+  const admins = await prisma.organizationMember.count({
+    where: { organizationId: member.organizationId, role: 'ADMIN' }
+  });
+  return admins <= 1;
+}
+
+// ===========================================
+// BILLING
+// ===========================================
+
+/**
+ * The organization's Stripe customer, created on first use
+ */
+async function ensureStripeCustomer(organization) {
+  if (organization.stripeCustomerId) return organization.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    name: organization.name,
+    email: organization.billingEmail,
+    metadata: { veloxOrganizationId: organization.id }
+  }, { idempotencyKey: `org-customer-${organization.id}` });
+
+  await prisma.organization.update({
+    where: { id: organization.id },
+    data: { stripeCustomerId: customer.id }
+  });
+  return customer.id;
+}
+
+/**
+ * Attach a company card (a Stripe payment method ID from the client) and make it the one rides are charged to
+ */
+async function setPaymentMethod(organizationId, stripePaymentMethodId) {
+  const organization = await prisma.organization.findUnique({ where: { id: organizationId } });
+  const customerId = await ensureStripeCustomer(organization);
+
+  await stripe.paymentMethods.attach(stripePaymentMethodId, { customer: customerId });
+  const pm = await stripe.paymentMethods.retrieve(stripePaymentMethodId);
+
+  return prisma.organization.update({
+    where: { id: organizationId },
+    data: {
+      stripePaymentMethodId,
+      cardBrand: pm.card?.brand,
+      cardLast4: pm.card?.last4
+    }
+  });
+}
+
+/**
+ * Change how an organization is billed
+ * Returns { success, organization } or { success: false, error, code }
+ */
+async function updateBilling(organizationId, { billingMethod, billingEmail }) {
+  const organization = await prisma.organization.findUnique({ where: { id: organizationId } });
+
+  if (billingMethod === 'INVOICE' && !organization.invoiceBillingApproved) {
+    return { success: false, error: 'Monthly invoicing has not been enabled for this organization', code: 'INVOICE_NOT_APPROVED' };
+  }
+
+  const updated = await prisma.organization.update({
+    where: { id: organizationId },
+    data: { billingMethod, billingEmail }
+  });
+
+  if (billingEmail && organization.stripeCustomerId && billingEmail !== organization.billingEmail) {
+    await stripe.customers.update(organization.stripeCustomerId, { email: billingEmail });
+  }
+
+  return { success: true, organization: updated };
+}
+
+/**
+ * Staff approval for monthly invoicing; revoking it moves the organization back to card billing
+ */
+async function setInvoiceBillingApproved(organizationId, approved) {
+  return prisma.organization.update({
+    where: { id: organizationId },
+    data: approved
+      ? { invoiceBillingApproved: true }
+      : { invoiceBillingApproved: false, billingMethod: 'CARD' }
+  });
+}
+
+// ===========================================
+// SPEND POLICY
+// ===========================================
+
+const POLICY_FIELDS = [
+  'allowedServiceTypes', 'allowedDays', 'allowedStartHour', 'allowedEndHour',
+  'perRideCap', 'monthlyCap', 'requireExpenseMemo'
+];
+
+/**
+ * Update an organization's spend policy; fields not given are left as they are
+ */
+async function updatePolicy(organizationId, changes) {
+  const data = Object.fromEntries(
+    POLICY_FIELDS.filter(field => changes[field] !== undefined).map(field => [field, changes[field]])
+  );
+
+  return prisma.organization.update({ where: { id: organizationId }, data });
+}
+
+/**
+ * Amount a member has put on the organization this calendar month (UTC)
+ */
+async function getMonthlySpend(organizationId, userId, now = new Date()) {
+  const where = { organizationId, userId, createdAt: { gte: startOfMonth(now) } };
+
+  const [rides, cancellations] = await Promise.all([
+    prisma.ride.aggregate({
+      where: { ...where, status: { notIn: UNCHARGED_STATUSES } },
+      _sum: { totalFare: true }
+    }),
+    prisma.ride.aggregate({
+      where: { ...where, status: 'CANCELLED' },
+      _sum: { cancellationFee: true }
+    })
+  ]);
+
+  return round2(parseFloat(rides._sum.totalFare || 0) + parseFloat(cancellations._sum.cancellationFee || 0));
+}
+
+/**
+ * Resolve a rider's business profile for a ride request
+ * Returns { success, organization } or { success: false, error, code }
+ */
+async function resolveBusinessProfile(userId, organizationId) {
+  const membership = await getMembership(organizationId, userId);
+  if (!membership || !membership.organization.isActive) {
+    return { success: false, error: 'You are not a member of this organization', code: 'NOT_A_MEMBER' };
+  }
+
+  const organization = membership.organization;
+  if (organization.billingMethod === 'CARD' && !organization.stripePaymentMethodId) {
+    return { success: false, error: `${organization.name} has no company card on file`, code: 'ORGANIZATION_PAYMENT_METHOD_REQUIRED' };
+  }
+
+  return { success: true, organization };
+}
+
+/**
+ * Check a business ride against its organization's spend policy
+ * at is the pickup time (now, or the scheduled time) and is judged in the market's timezone.
+ * Returns { allowed: true } or { allowed: false, error, code: 'POLICY_VIOLATION' }
+ */
+async function checkRidePolicy(organization, { userId, serviceType, fare, market, at = new Date(), expenseMemo }) {
+  const deny = (error) => ({ allowed: false, error, code: 'POLICY_VIOLATION' });
+
+  if (organization.requireExpenseMemo && !expenseMemo?.trim()) {
+    return deny(`${organization.name} requires an expense memo for business rides`);
+  }
+
+  if (organization.allowedServiceTypes.length > 0 && !organization.allowedServiceTypes.includes(serviceType)) {
+    return deny(`${serviceType} is not allowed on the ${organization.name} profile`);
+  }
+
+  const { day, hour } = localTime(at, market.timezone);
+  if (organization.allowedDays.length > 0 && !organization.allowedDays.includes(day)) {
+    return deny(`Business rides aren't allowed on this day for ${organization.name}`);
+  }
+
+  const { allowedStartHour: start, allowedEndHour: end } = organization;
+  if (start !== null && end !== null) {
+    const inWindow = start <= end
+      ? hour >= start && hour < end
+      : hour >= start || hour < end;
+    if (!inWindow) {
+      return deny(`Business rides for ${organization.name} are allowed from ${start}:00 to ${end}:00`);
+    }
+  }
+
+  if (organization.perRideCap !== null && fare > parseFloat(organization.perRideCap)) {
+    return deny(`This ride is over ${organization.name}'s $${parseFloat(organization.perRideCap).toFixed(2)} per-ride limit`);
+  }
+
+  if (organization.monthlyCap !== null) {
+    const spent = await getMonthlySpend(organization.id, userId, at);
+    if (spent + fare > parseFloat(organization.monthlyCap)) {
+      return deny(`This ride would take you over ${organization.name}'s $${parseFloat(organization.monthlyCap).toFixed(2)} monthly limit`);
+    }
+  }
+
+  return { allowed: true };
+}
+
+// ===========================================
+// EXPENSE EXPORT
+// ===========================================
+
+/**
+ * Charged business rides created in [from, to), one row per ride for expense systems.
+ * Tips are excluded - they're charged to the rider personally.
+ */
+async function exportRides(organizationId, { from, to }) {
+  const rides = await prisma.ride.findMany({
+    where: {
+      organizationId,
+      createdAt: { gte: from, lt: to },
+      OR: [
+        { status: 'COMPLETED' },
+        { status: 'CANCELLED', cancellationFee: { gt: 0 } }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      user: { select: { firstName: true, lastName: true, email: true } },
+      market: { select: { name: true } }
+    }
+  });
+
+  return rides.map(ride => ({
+    rideId: ride.id,
+    date: (ride.completedAt || ride.cancelledAt || ride.createdAt).toISOString(),
+    rider: `${ride.user.firstName} ${ride.user.lastName}`,
+    riderEmail: ride.user.email || '',
+    market: ride.market?.name || '',
+    serviceType: ride.serviceType,
+    pickup: ride.pickupAddress,
+    dropoff: ride.dropoffAddress,
+    distanceMiles: ride.actualDistanceMiles ?? ride.distanceMiles,
+    status: ride.status,
+    amount: parseFloat(ride.status === 'CANCELLED' ? ride.cancellationFee : ride.totalFare),
+    refunded: parseFloat(ride.refundedAmount),
+    expenseMemo: ride.expenseMemo || '',
+    invoiceId: ride.organizationInvoiceId || ''
+  }));
+}
+
+/**
+ * Render export rows as CSV
+ */
+function toCsv(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+// ===========================================
+// MONTHLY INVOICES
+// ===========================================
+
+/**
+ * Amount billed for an invoiced ride, net of refunds
+ */
+function getInvoicedAmount(ride) {
+  const charged = ride.status === 'CANCELLED' ? ride.cancellationFee : ride.totalFare;
+  return parseFloat(charged) - parseFloat(ride.refundedAmount);
+}
+
+/**
+ * Bill last month's invoiced rides, once per organization per month.
+ * Rides settled after their month was invoiced roll into the next invoice;
+ * invoices that didn't reach Stripe are retried.
+ */
+async function runMonthlyInvoices(now = new Date()) {
+  const periodStart = startOfMonth(now, -1);
+  const periodEnd = startOfMonth(now);
+  const summary = { created: 0, sent: 0, failed: 0 };
+
+  const organizations = await prisma.organization.findMany({
+    where: {
+      rides: { some: { paymentStatus: 'INVOICED', organizationInvoiceId: null, createdAt: { lt: periodEnd } } },
+      invoices: { none: { periodStart } }
+    }
+  });
+
+  for (const organization of organizations) {
+    const rides = await prisma.ride.findMany({
+      where: { organizationId: organization.id, paymentStatus: 'INVOICED', organizationInvoiceId: null, createdAt: { lt: periodEnd } }
+    });
+    const amount = round2(rides.reduce((sum, ride) => sum + getInvoicedAmount(ride), 0));
+
+    await prisma.$transaction(async (tx) => {
+      const invoice = await tx.organizationInvoice.create({
+        data: {
+          organizationId: organization.id,
+          periodStart,
+          periodEnd,
+          amount,
+          rideCount: rides.length,
+          ...(amount <= 0 && { status: 'PAID', paidAt: now })
+        }
+      });
+      await tx.ride.updateMany({
+        where: { id: { in: rides.map(r => r.id) } },
+        data: { organizationInvoiceId: invoice.id }
+      });
+    });
+    summary.created++;
+  }
+
+  const drafts = await prisma.organizationInvoice.findMany({
+    where: { status: 'DRAFT' },
+    include: { organization: true }
+  });
+
+  for (const invoice of drafts) {
+    if (await sendInvoice(invoice)) {
+      summary.sent++;
+    } else {
+      summary.failed++;
+    }
+  }
+
+  if (summary.created || summary.failed) {
+    logger.info('Monthly invoice run', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Create, finalize and email a Stripe invoice for a DRAFT invoice
+ * Returns true once Stripe has sent it
+ */
+async function sendInvoice(invoice) {
+  const { organization } = invoice;
+  const month = invoice.periodStart.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+  try {
+    const customer = await ensureStripeCustomer(organization);
+
+    let stripeInvoice = invoice.stripeInvoiceId
+      ? await stripe.invoices.retrieve(invoice.stripeInvoiceId)
+      : await stripe.invoices.create({
+        customer,
+        collection_method: 'send_invoice',
+        days_until_due: INVOICE_DAYS_UNTIL_DUE,
+        auto_advance: false,
+        description: `VeloX business rides, ${month}`,
+        metadata: { organizationId: organization.id, organizationInvoiceId: invoice.id }
+      }, { idempotencyKey: `org-invoice-${invoice.id}` });
+
+    await prisma.organizationInvoice.update({
+      where: { id: invoice.id },
+      data: { stripeInvoiceId: stripeInvoice.id }
+    });
+
+    if (stripeInvoice.status === 'draft') {
+      if (stripeInvoice.total === 0) {
+        await stripe.invoiceItems.create({
+          customer,
+          invoice: stripeInvoice.id,
+          amount: Math.round(parseFloat(invoice.amount) * 100),
+          currency: 'usd',
+          description: `${invoice.rideCount} business ride${invoice.rideCount === 1 ? '' : 's'} (see your ride export for details)`
+        }, { idempotencyKey: `org-invoice-item-${invoice.id}` });
+      }
+      stripeInvoice = await stripe.invoices.finalizeInvoice(stripeInvoice.id);
+      stripeInvoice = await stripe.invoices.sendInvoice(stripeInvoice.id);
+    }
+
+    await prisma.organizationInvoice.update({
+      where: { id: invoice.id },
+      data: { status: 'OPEN', hostedInvoiceUrl: stripeInvoice.hosted_invoice_url }
+    });
+    return true;
+  } catch (err) {
+    logger.warn('Sending organization invoice failed', { invoiceId: invoice.id, organizationId: organization.id, error: err.message });
+    return false;
+  }
+}
+
+/**
+ * Apply a Stripe invoice.paid / invoice.voided event
+ */
+async function syncStripeInvoice(stripeInvoice, status) {
+  await prisma.organizationInvoice.updateMany({
+    where: { stripeInvoiceId: stripeInvoice.id, status: { not: status } },
+    data: { status, ...(status === 'PAID' && { paidAt: new Date() }) }
+  });
+}
+
+/**
+ * An organization's invoices, newest first
+ */
+async function listInvoices(organizationId) {
+  return prisma.organizationInvoice.findMany({
+    where: { organizationId },
+    orderBy: { periodStart: 'desc' }
+  });
+}
+
+// ===========================================
+// ADMIN
+// ===========================================
+
+/**
+ * All organizations, for VeloX staff
+ */
+async function listOrganizations({ search, limit = 50, offset = 0 } = {}) {
+  const where = search ? { name: { contains: search, mode: 'insensitive' } } : {};
+
+  const [organizations, total] = await Promise.all([
+    prisma.organization.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+      include: { _count: { select: { members: true, rides: true } } }
+    }),
+    prisma.organization.count({ where })
+  ]);
+
+  return { organizations, total };
+}
+
+module.exports = {
+  createOrganization,
+  getMembership,
+  listForUser,
+  getOrganization,
+  addMember,
+  removeMember,
+  ensureStripeCustomer,
+  setPaymentMethod,
+  updateBilling,
+  setInvoiceBillingApproved,
+  updatePolicy,
+  getMonthlySpend,
+  resolveBusinessProfile,
+  checkRidePolicy,
+  exportRides,
+  toCsv,
+  runMonthlyInvoices,
+  syncStripeInvoice,
+  listInvoices,
+  listOrganizations
+};
@@ -0,0 +1,443 @@
+/**
+ * Payment Service
+ * Stripe authorization holds, captures and releases for rides
+ */
+
+const prisma = require('../config/prisma');
+const walletService = require('./walletService');
+const { createLogger } = require('./errorTrackingService');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const logger = createLogger('Payments');
+
+// Hold slightly more than the upfront fare so metered adjustments fit in one capture
+const AUTH_BUFFER_PERCENT = 25;
+
+function toCents(amount) {
+  return Math.round(parseFloat(amount) * 100);
+}
+
+/**
+ * Resolve the payment method for a ride: the one requested, else the rider's default
+ */
+async function resolvePaymentMethod(userId, paymentMethodId) {
+  if (paymentMethodId) {
+    return prisma.paymentMethod.findFirst({ where: { id: paymentMethodId, userId } });
+  }
+
+  return prisma.paymentMethod.findFirst({
+    where: { userId },
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'desc' }]
+  });
+}
+
+/**
+ * Stripe customer and card a ride's fare is charged to: the company card for
+ * business rides, otherwise the rider's own (ride must include user, paymentMethod and organization)
+ */
+function getFareCard(ride) {
+  if (ride.organization) {
+    return { customer: ride.organization.stripeCustomerId, paymentMethod: ride.organization.stripePaymentMethodId };
+  }
+  return { customer: ride.user.stripeCustomerId, paymentMethod: ride.paymentMethod?.stripePaymentMethodId };
+}
+
+/**
+ * Place a manual-capture hold for a ride's upfront fare.
+ * Rides billed to an organization's monthly invoice need no hold.
+ * Returns { success, paymentIntentId } or { success: false, error }
+ */
+async function authorizeRide(rideId) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { user: true, paymentMethod: true, organization: true }
+  });
+
+  if (ride.organizationBilling === 'INVOICE') {
+    return { success: true, invoiced: true };
+  }
+
+  const card = getFareCard(ride);
+  if (!card.paymentMethod || !card.customer) {
+    await prisma.ride.update({ where: { id: rideId }, data: { paymentStatus: 'FAILED' } });
+    return { success: false, error: 'No valid payment method on file' };
+  }
+
+  const amount = Math.ceil(toCents(ride.totalFare) * (1 + AUTH_BUFFER_PERCENT / 100));
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount,
+      currency: 'usd',
+      customer: card.customer,
+      payment_method: card.paymentMethod,
+      capture_method: 'manual',
+      confirm: true,
+      off_session: true,
+      description: `VeloX ride ${rideId}`,
+      metadata: { rideId, type: 'ride_fare' }
+    }, { idempotencyKey: `ride-auth-${rideId}` });
+
+    await prisma.ride.update({
+      where: { id: rideId },
+      data: { paymentStatus: 'AUTHORIZED', stripePaymentIntentId: paymentIntent.id }
+    });
+
+    return { success: true, paymentIntentId: paymentIntent.id };
+  } catch (err) {
+    logger.warn('Ride authorization failed', { rideId, error: err.message });
+
+    await prisma.ride.update({
+      where: { id: rideId },
+      data: { paymentStatus: 'FAILED', stripePaymentIntentId: err.payment_intent?.id }
+    });
+
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Capture a ride's hold.
+ * amount defaults to the final fare plus tip, less any split shares already captured.
+ * Wallet credit is spent first, and anything above the hold is charged separately.
+ * An explicit amount (e.g. a cancellation fee) is the organizer's alone, so split holds
+ * are released. Invoice-billed rides are marked INVOICED for the organization's
+ * monthly invoice instead.
+ * If the hold is captured but the charge for the rest fails, the capture still succeeds and the
+ * rest is recorded as the ride's outstandingAmount.
+ * Returns { success, amount, tip, walletAmount, outstanding, remainderError } or { success: false, error }
+ */
+async function captureRidePayment(rideId, amount = null) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { user: true, paymentMethod: true, organization: true }
+  });
+
+  if (ride.organizationBilling === 'INVOICE') {
+    if (ride.paymentStatus !== 'PENDING') {
+      return { success: false, error: `Ride payment is already ${ride.paymentStatus}` };
+    }
+    await prisma.ride.update({ where: { id: rideId }, data: { paymentStatus: 'INVOICED' } });
+    return { success: true, amount: amount !== null ? amount : parseFloat(ride.totalFare), tip: 0 };
+  }
+
+  if (!ride.stripePaymentIntentId || ride.paymentStatus !== 'AUTHORIZED') {
+    return { success: false, error: `Ride payment is ${ride.paymentStatus}, not AUTHORIZED` };
+  }
+
+  let splitShares = 0;
+  if (amount !== null) {
+    await releaseFareSplits(rideId);
+  } else if (ride.fareSplitMode) {
+    const captured = await prisma.fareSplit.aggregate({
+      where: { rideId, isOrganizer: false, paymentStatus: 'CAPTURED' },
+      _sum: { amount: true }
+    });
+    splitShares = parseFloat(captured._sum.amount || 0);
+  }
+
+  // Tips on business rides are the rider's own and charged to their card separately
+  const tip = amount !== null || ride.organizationId ? 0 : parseFloat(ride.tip);
+  const total = amount !== null ? amount : parseFloat(ride.totalFare) + tip - splitShares;
+  const totalCents = toCents(total);
+
+  // Wallet credit is spent first (never on business rides); the card covers the rest
+  const walletAmount = totalCents > 0 && !ride.organizationId
+    ? await walletService.payForRide(ride.userId, rideId, total)
+    : 0;
+  const cardCents = totalCents - toCents(walletAmount);
+  let captureCents;
+
+  try {
+    // Nothing to charge - void the hold instead
+    if (totalCents <= 0) {
+      await releaseRideAuthorization(rideId);
+      return { success: true, amount: 0, tip: 0, walletAmount: 0 };
+    }
+
+    // Paid entirely from the wallet - the hold isn't needed
+    if (cardCents <= 0) {
+      await prisma.ride.update({
+        where: { id: rideId },
+        data: { paymentStatus: 'CAPTURED', walletAmount }
+      });
+      await stripe.paymentIntents.cancel(ride.stripePaymentIntentId).catch(err => {
+        logger.warn('Voiding hold for wallet-paid ride failed', { rideId, error: err.message });
+      });
+      return { success: true, amount: totalCents / 100, tip, walletAmount };
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+    captureCents = Math.min(cardCents, paymentIntent.amount_capturable);
+
+    await stripe.paymentIntents.capture(ride.stripePaymentIntentId, {
+      amount_to_capture: captureCents
+    }, { idempotencyKey: `ride-capture-${rideId}-${captureCents}` });
+
+    await prisma.ride.update({
+      where: { id: rideId },
+      data: { paymentStatus: 'CAPTURED', walletAmount }
+    });
+  } catch (err) {
+    logger.warn('Ride capture failed', { rideId, error: err.message });
+    await prisma.ride.update({ where: { id: rideId }, data: { paymentStatus: 'FAILED' } });
+    await walletService.reverseRidePayment(ride.userId, rideId, walletAmount);
+    return { success: false, error: err.message };
+  }
+
+  // Charge whatever didn't fit in the hold as a separate payment
+  const remainder = await chargeRemainder(ride, cardCents - captureCents);
+  return { success: true, amount: totalCents / 100, tip, walletAmount, ...remainder };
+}
+
+/**
+ * Charge the part of a ride's fare above its hold to the fare card
+ * A failure leaves the amount on the ride as outstandingAmount; the captured hold stands.
+ * Returns { outstanding, remainderError }
+ */
+async function chargeRemainder(ride, remainderCents) {
+  if (remainderCents <= 0) return { outstanding: 0 };
+
+  try {
+    const card = getFareCard(ride);
+    const remainderIntent = await stripe.paymentIntents.create({
+      amount: remainderCents,
+      currency: 'usd',
+      customer: card.customer,
+      payment_method: card.paymentMethod,
+      confirm: true,
+      off_session: true,
+      description: `VeloX ride ${ride.id} (balance)`,
+      metadata: { rideId: ride.id, type: 'ride_fare_remainder' }
+    }, { idempotencyKey: `ride-remainder-${ride.id}-${remainderCents}` });
+
+    await prisma.ride.update({
+      where: { id: ride.id },
+      data: { stripeRemainderPaymentIntentId: remainderIntent.id }
+    });
+    return { outstanding: 0 };
+  } catch (err) {
+    logger.warn('Ride remainder charge failed', { rideId: ride.id, amount: remainderCents / 100, error: err.message });
+    await prisma.ride.update({
+      where: { id: ride.id },
+      data: { outstandingAmount: remainderCents / 100 }
+    });
+    return { outstanding: remainderCents / 100, remainderError: err.message };
+  }
+}
+
+/**
+ * Void a ride's hold without charging
+ */
+async function releaseRideAuthorization(rideId) {
+  await releaseFareSplits(rideId);
+
+  const ride = await prisma.ride.findUnique({ where: { id: rideId } });
+
+  if (!ride?.stripePaymentIntentId || ride.paymentStatus !== 'AUTHORIZED') {
+    return { success: true, released: false };
+  }
+
+  try {
+    await stripe.paymentIntents.cancel(ride.stripePaymentIntentId);
+    await prisma.ride.update({ where: { id: rideId }, data: { paymentStatus: 'RELEASED' } });
+    return { success: true, released: true };
+  } catch (err) {
+    logger.warn('Releasing ride authorization failed', { rideId, error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+// ===========================================
+// SPLIT FARES
+// ===========================================
+
+/**
+ * Place a hold for one rider's share of a split fare
+ * split must include user and paymentMethod.
+ * Returns { success, paymentIntentId } or { success: false, error }
+ */
+async function authorizeFareSplit(split, amount) {
+  if (!split.paymentMethod?.stripePaymentMethodId || !split.user.stripeCustomerId) {
+    return { success: false, error: 'No valid payment method on file' };
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: Math.ceil(toCents(amount) * (1 + AUTH_BUFFER_PERCENT / 100)),
+      currency: 'usd',
+      customer: split.user.stripeCustomerId,
+      payment_method: split.paymentMethod.stripePaymentMethodId,
+      capture_method: 'manual',
+      confirm: true,
+      off_session: true,
+      description: `VeloX ride ${split.rideId} (split fare)`,
+      metadata: { rideId: split.rideId, fareSplitId: split.id, type: 'fare_split' }
+    }, { idempotencyKey: `fare-split-auth-${split.id}-${split.paymentMethod.id}` });
+
+    return { success: true, paymentIntentId: paymentIntent.id };
+  } catch (err) {
+    logger.warn('Split fare authorization failed', { rideId: split.rideId, fareSplitId: split.id, error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Capture a split share from its hold
+ * Returns { success, amount } with the amount actually captured; whatever the hold
+ * can't cover is left for the organizer.
+ */
+async function captureFareSplit(split, amount) {
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(split.stripePaymentIntentId);
+    const captureCents = Math.min(toCents(amount), paymentIntent.amount_capturable);
+
+    if (captureCents <= 0) {
+      await stripe.paymentIntents.cancel(split.stripePaymentIntentId);
+      return { success: true, amount: 0 };
+    }
+
+    await stripe.paymentIntents.capture(split.stripePaymentIntentId, {
+      amount_to_capture: captureCents
+    }, { idempotencyKey: `fare-split-capture-${split.id}-${captureCents}` });
+
+    return { success: true, amount: captureCents / 100 };
+  } catch (err) {
+    logger.warn('Split fare capture failed', { rideId: split.rideId, fareSplitId: split.id, error: err.message });
+    return { success: false, error: err.message };
+  }
+}
+
+/**
+ * Void a split hold that was placed but never recorded (the invite was answered or expired meanwhile)
+ */
+async function cancelFareSplitHold(paymentIntentId) {
+  try {
+    await stripe.paymentIntents.cancel(paymentIntentId);
+  } catch (err) {
+    logger.warn('Cancelling split fare hold failed', { paymentIntentId, error: err.message });
+  }
+}
+
+/**
+ * Void every outstanding split hold on a ride
+ */
+async function releaseFareSplits(rideId) {
+  const splits = await prisma.fareSplit.findMany({
+    where: { rideId, paymentStatus: 'AUTHORIZED' }
+  });
+
+  for (const split of splits) {
+    try {
+      await stripe.paymentIntents.cancel(split.stripePaymentIntentId);
+      await prisma.fareSplit.update({ where: { id: split.id }, data: { paymentStatus: 'RELEASED' } });
+    } catch (err) {
+      logger.warn('Releasing split fare hold failed', { rideId, fareSplitId: split.id, error: err.message });
+    }
+  }
+}
+
+/**
+ * Charge a tip on its own after the fare was captured
+ * Business rides have no rider card on them, so their tips go on the rider's default card.
+ * Returns { success, paymentIntentId } or { success: false, error }
+ */
+async function chargeTip(rideId, amount, tipId) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { user: true, paymentMethod: true }
+  });
+  const paymentMethod = ride.paymentMethod || await resolvePaymentMethod(ride.userId);
+
+  if (!paymentMethod?.stripePaymentMethodId || !ride.user.stripeCustomerId) {
+    return { success: false, error: 'No valid payment method on file' };
+  }
+
+  try {
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: toCents(amount),
+      currency: 'usd',
+      customer: ride.user.stripeCustomerId,
+      payment_method: paymentMethod.stripePaymentMethodId,
+      confirm: true,
+      off_session: true,
+      description: `VeloX ride ${rideId} (tip)`,
+      metadata: { rideId, tipId, type: 'tip' }
+    }, { idempotencyKey: `ride-tip-${tipId}` });
+
+    return { success: true, paymentIntentId: paymentIntent.id };
+  } catch (err) {
+    logger.warn('Tip charge failed', { rideId, error: err.message });
+    return { success: false, error: err.message, paymentIntentId: err.payment_intent?.id };
+  }
+}
+
+/**
+ * Refund part or all of what was charged for a ride.
+ * Draws from the main payment first, then the remainder charge, then separately charged tips
+ * and split shares (pass ride.tips and ride.fareSplits to include them). Stripe refunds are tagged with our Refund id so the
+ * charge.refunded webhook can tell them apart from refunds made in the Stripe dashboard.
+ * Returns { success, refundIds } or { success: false, error, refundIds }
+ */
+async function refundRidePayment(ride, amount, refundId) {
+  const intentIds = [
+    ride.stripePaymentIntentId,
+    ride.stripeRemainderPaymentIntentId,
+    ...(ride.tips || []).map(t => t.stripePaymentIntentId),
+    ...(ride.fareSplits || []).map(s => s.stripePaymentIntentId)
+  ].filter(Boolean);
+  let remainingCents = toCents(amount);
+  const refundIds = [];
+
+  try {
+    for (const intentId of intentIds) {
+      if (remainingCents <= 0) break;
+
+      const paymentIntent = await stripe.paymentIntents.retrieve(intentId, { expand: ['latest_charge'] });
+      const charge = paymentIntent.latest_charge;
+      const refundableCents = charge ? charge.amount_captured - charge.amount_refunded : 0;
+      const refundCents = Math.min(remainingCents, refundableCents);
+      if (refundCents <= 0) continue;
+
+      const refund = await stripe.refunds.create({
+        payment_intent: intentId,
+        amount: refundCents,
+        metadata: { rideId: ride.id, refundId }
+      }, { idempotencyKey: `ride-refund-${refundId}-${intentId}` });
+
+      refundIds.push(refund.id);
+      remainingCents -= refundCents;
+    }
+  } catch (err) {
+    logger.warn('Ride refund failed', { rideId: ride.id, error: err.message });
+    return { success: false, error: err.message, refundIds };
+  }
+
+  if (remainingCents > 0) {
+    return { success: false, error: 'Refund exceeds the amount charged in Stripe', refundIds };
+  }
+
+  return { success: true, refundIds };
+}
+
+/**
+ * Tell the rider a payment step failed
+ */
+function emitPaymentFailed(io, userId, rideId, stage, error) {
+  io.to(`user:${userId}`).emit('payment:failed', { rideId, stage, error });
+}
+
+module.exports = {
+  resolvePaymentMethod,
+  authorizeRide,
+  captureRidePayment,
+  releaseRideAuthorization,
+  refundRidePayment,
+  authorizeFareSplit,
+  captureFareSplit,
+  cancelFareSplitHold,
+  releaseFareSplits,
+  chargeTip,
+  emitPaymentFailed,
+  toCents
+};
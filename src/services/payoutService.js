@@ -0,0 +1,433 @@
+/**
+ * Payout Service
+ * Weekly STANDARD payouts: each onboarded driver's available balance swept into one Stripe transfer
+ * RIDE payouts: a ride's driver share transferred at capture when driverTransferMode is TRANSFER_ON_CAPTURE
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const emailService = require('./emailService');
+const earningsService = require('./earningsService');
+const ledgerService = require('./ledgerService');
+const configService = require('./configService');
+const { toCents } = require('./paymentService');
+const { createLogger } = require('./errorTrackingService');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const logger = createLogger('Payouts');
+
+const MAX_PAYOUT_ATTEMPTS = 3;
+const RETRY_BACKOFF_MINUTES = 60; // Doubles after each failed attempt
+const PAYOUT_LOCK_SECONDS = 60;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * The most recently completed payout week, Monday 00:00 UTC to Monday 00:00 UTC
+ */
+function getPayoutPeriod(now = new Date()) {
+  const periodEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const daysSinceMonday = (periodEnd.getUTCDay() + 6) % 7;
+  periodEnd.setUTCDate(periodEnd.getUTCDate() - daysSinceMonday);
+
+  return {
+    periodStart: new Date(periodEnd.getTime() - 7 * 24 * 60 * 60 * 1000),
+    periodEnd
+  };
+}
+
+/**
+ * Run fn holding the driver's payout lock, so two payouts can't both read and pay out the same balance
+ * Returns fn's result, or { busy: true } if another payout for the driver is in progress
+ */
+async function withPayoutLock(driverId, fn) {
+  const lockName = `payout:${driverId}`;
+  const token = await redis.acquireLock(lockName, PAYOUT_LOCK_SECONDS);
+  if (!token) return { busy: true };
+
+  try {
+    return await fn();
+  } finally {
+    await redis.releaseLock(lockName, token);
+  }
+}
+
+/**
+ * Find or create a driver's payout for the period.
+ * The amount is the driver's available ledger balance; their AVAILABLE earnings are linked to it.
+ * Returns null if there's nothing to pay
+ */
+async function preparePayout(driverId, { periodStart, periodEnd }) {
+  const key = { driverId_type_periodStart: { driverId, type: 'STANDARD', periodStart } };
+
+  const existing = await prisma.payout.findUnique({ where: key });
+  if (existing) return existing;
+
+  const { available } = await earningsService.getDriverBalance(driverId);
+  const amount = round2(available);
+  if (amount <= 0) return null;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const earnings = await tx.earning.findMany({
+        where: { driverId, status: 'AVAILABLE', payoutId: null }
+      });
+
+      const payout = await tx.payout.create({
+        data: {
+          driverId,
+          amount,
+          netAmount: amount,
+          type: 'STANDARD',
+          status: 'PENDING',
+          periodStart,
+          periodEnd
+        }
+      });
+
+      await tx.earning.updateMany({
+        where: { id: { in: earnings.map(e => e.id) }, payoutId: null },
+        data: { payoutId: payout.id }
+      });
+
+      // Committing the payout draws down the driver's ledger balance
+      await ledgerService.payoutEntry(payout, tx);
+
+      return payout;
+    });
+  } catch (err) {
+    // Another run created it first
+    if (err.code === 'P2002') return prisma.payout.findUnique({ where: key });
+    throw err;
+  }
+}
+
+/**
+ * Transfer a payout to the driver's Connect account
+ * Returns true on success; failures are scheduled for retry
+ */
+async function sendPayout(payout, driver) {
+  const attempts = payout.attempts + 1;
+  const transferGroup = `payout_${payout.id}`;
+
+  try {
+    // An earlier attempt may have reached Stripe before failing on our side
+    const previous = await stripe.transfers.list({ transfer_group: transferGroup, limit: 1 });
+    const transfer = previous.data[0] || await stripe.transfers.create({
+      amount: toCents(payout.netAmount),
+      currency: 'usd',
+      destination: driver.stripeAccountId,
+      transfer_group: transferGroup,
+      metadata: { driverId: driver.id, payoutId: payout.id, type: 'standard' }
+    }, { idempotencyKey: `payout-${payout.id}-${attempts}` });
+
+    await prisma.$transaction([
+      prisma.payout.update({
+        where: { id: payout.id },
+        data: { status: 'COMPLETED', processedAt: new Date(), stripeTransferId: transfer.id, attempts, nextRetryAt: null, failReason: null }
+      }),
+      prisma.earning.updateMany({
+        where: { payoutId: payout.id },
+        data: { status: 'PAID_OUT', paidOutAt: new Date() }
+      })
+    ]);
+
+    return true;
+  } catch (err) {
+    const exhausted = attempts >= MAX_PAYOUT_ATTEMPTS;
+    logger.warn('Weekly payout transfer failed', { payoutId: payout.id, attempts, error: err.message });
+
+    const operations = [
+      prisma.payout.update({
+        where: { id: payout.id },
+        data: {
+          status: 'FAILED',
+          failedAt: new Date(),
+          failReason: err.message,
+          attempts,
+          nextRetryAt: exhausted
+            ? null
+            : new Date(Date.now() + RETRY_BACKOFF_MINUTES * Math.pow(2, attempts - 1) * 60000)
+        }
+      })
+    ];
+
+    // Out of retries: return the balance and release the earnings for next week's sweep
+    if (exhausted) {
+      operations.push(
+        prisma.earning.updateMany({
+          where: { payoutId: payout.id },
+          data: { payoutId: null }
+        }),
+        ledgerService.payoutReversalEntry(payout)
+      );
+    }
+
+    await prisma.$transaction(operations);
+    return false;
+  }
+}
+
+/**
+ * Send the period's earnings statement after a successful payout
+ */
+function sendStatement(payout) {
+  emailService.sendDriverEarningsStatement(payout.driverId, payout.periodStart, payout.periodEnd).catch(err => {
+    logger.warn('Earnings statement email failed', { payoutId: payout.id, error: err.message });
+  });
+}
+
+/**
+ * Pay every onboarded driver for the last completed week and retry failed payouts.
+ * Safe to re-run: a driver has at most one STANDARD payout per period.
+ */
+async function runWeeklyPayouts(now = new Date()) {
+  const period = getPayoutPeriod(now);
+  const summary = { periodStart: period.periodStart, periodEnd: period.periodEnd, paid: 0, failed: 0, retried: 0 };
+
+  // Retries and payouts interrupted before reaching Stripe
+  const outstanding = await prisma.payout.findMany({
+    where: {
+      type: 'STANDARD',
+      OR: [
+        { status: 'PENDING' },
+        { status: 'FAILED', nextRetryAt: { lte: now } }
+      ]
+    },
+    include: { driver: true }
+  });
+
+  for (const payout of outstanding) {
+    summary.retried++;
+    if (await sendPayout(payout, payout.driver)) {
+      summary.paid++;
+      sendStatement(payout);
+    } else {
+      summary.failed++;
+    }
+  }
+
+  const drivers = await prisma.driver.findMany({
+    where: { stripeOnboarded: true, stripeAccountId: { not: null } }
+  });
+
+  for (const driver of drivers) {
+    // A driver with an instant payout in progress is picked up by the next run
+    const result = await withPayoutLock(driver.id, async () => {
+      const payout = await preparePayout(driver.id, period);
+      if (!payout || payout.status !== 'PENDING') return null;
+      return { payout, sent: await sendPayout(payout, driver) };
+    });
+    if (!result || result.busy) continue;
+
+    if (result.sent) {
+      summary.paid++;
+      sendStatement(result.payout);
+    } else {
+      summary.failed++;
+    }
+  }
+
+  if (summary.paid || summary.failed) {
+    logger.info('Weekly payouts run', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Pay a driver's available balance out now, less the instant payout fee.
+ * The payout and its ledger entry are recorded before the transfer; a failed transfer
+ * reverses them and leaves the balance where it was.
+ * Returns { success, payout } or { success: false, error, code, pending }
+ */
+async function sendInstantPayout(driver) {
+  const result = await withPayoutLock(driver.id, async () => {
+    // Pay out the available ledger balance (cleared earnings, tips and adjustments)
+    const { available, pending } = await earningsService.getDriverBalance(driver.id);
+    if (available <= 0) {
+      return {
+        success: false,
+        error: pending > 0 ? 'Your earnings are still clearing' : 'No available balance',
+        code: 'NO_BALANCE',
+        pending
+      };
+    }
+
+    // Instant payout fee and minimum come from PlatformConfig
+    const { instantPayoutFeePercent, instantPayoutMinAmount } = await configService.getConfig();
+    const amount = round2(available);
+    const fee = Math.round(amount * instantPayoutFeePercent) / 100;
+    const netAmount = round2(amount - fee);
+
+    if (netAmount < instantPayoutMinAmount) {
+      return { success: false, error: `Minimum payout is $${instantPayoutMinAmount}`, code: 'BELOW_MINIMUM' };
+    }
+
+    // Record the payout and draw down the ledger balance before any money moves
+    const payout = await prisma.$transaction(async (tx) => {
+      const payout = await tx.payout.create({
+        data: { driverId: driver.id, amount, fee, netAmount, type: 'INSTANT', status: 'PENDING' }
+      });
+
+      await ledgerService.payoutEntry(payout, tx);
+
+      await tx.earning.updateMany({
+        where: { driverId: driver.id, status: 'AVAILABLE', payoutId: null },
+        data: { payoutId: payout.id }
+      });
+
+      return payout;
+    });
+
+    try {
+      const transfer = await stripe.transfers.create({
+        amount: toCents(netAmount),
+        currency: 'usd',
+        destination: driver.stripeAccountId,
+        transfer_group: `payout_${payout.id}`,
+        metadata: { driverId: driver.id, payoutId: payout.id, type: 'instant' }
+      }, { idempotencyKey: `payout-${payout.id}` });
+
+      const [updated] = await prisma.$transaction([
+        prisma.payout.update({
+          where: { id: payout.id },
+          data: { status: 'COMPLETED', processedAt: new Date(), stripeTransferId: transfer.id, attempts: 1 }
+        }),
+        prisma.earning.updateMany({
+          where: { payoutId: payout.id },
+          data: { status: 'PAID_OUT', paidOutAt: new Date() }
+        })
+      ]);
+
+      return { success: true, payout: updated };
+    } catch (err) {
+      logger.warn('Instant payout transfer failed', { payoutId: payout.id, error: err.message });
+
+      // Give the balance back so it can be paid out again
+      await prisma.$transaction([
+        prisma.payout.update({
+          where: { id: payout.id },
+          data: { status: 'FAILED', failedAt: new Date(), failReason: err.message, attempts: 1 }
+        }),
+        prisma.earning.updateMany({
+          where: { payoutId: payout.id },
+          data: { payoutId: null }
+        }),
+        ledgerService.payoutReversalEntry(payout)
+      ]);
+
+      return { success: false, error: 'Payout transfer failed', code: 'TRANSFER_FAILED' };
+    }
+  });
+
+  if (result.busy) {
+    return { success: false, error: 'A payout is already in progress', code: 'PAYOUT_IN_PROGRESS' };
+  }
+  return result;
+}
+
+/**
+ * Transfer a completed ride's driver share to their Connect account right after capture.
+ * Separate charge and transfer: the fare was authorized before a driver was assigned, so it
+ * can't be a destination charge. The platform keeps the ride's platformFee, the equivalent of
+ * application_fee_amount. Drivers who aren't onboarded (or failed transfers) fall back to the
+ * balance and are paid by the weekly or instant payouts.
+ * Returns { transferred, payout } or { transferred: false, reason }
+ */
+async function transferRideEarning(rideId) {
+  const { driverTransferMode } = await configService.getConfig();
+  if (driverTransferMode !== 'TRANSFER_ON_CAPTURE') {
+    return { transferred: false, reason: 'BALANCE_MODE' };
+  }
+
+  const earning = await prisma.earning.findUnique({
+    where: { rideId },
+    include: { driver: true, ride: true }
+  });
+  const { driver, ride } = earning || {};
+
+  if (!earning || ride.status !== 'COMPLETED' || ride.paymentStatus !== 'CAPTURED') {
+    return { transferred: false, reason: 'NOT_CAPTURED' };
+  }
+  if (earning.payoutId || earning.status === 'PAID_OUT') {
+    return { transferred: false, reason: 'ALREADY_PAID' };
+  }
+  if (ride.isDisputed) {
+    return { transferred: false, reason: 'DISPUTED' };
+  }
+  // Wallet credit leaves less on the card charge than the transfer would draw on
+  if (parseFloat(ride.walletAmount) > 0) {
+    return { transferred: false, reason: 'PAID_WITH_CREDIT' };
+  }
+  if (!driver.stripeOnboarded || !driver.stripeAccountId) {
+    return { transferred: false, reason: 'DRIVER_NOT_ONBOARDED' };
+  }
+
+  const amount = round2(parseFloat(earning.netAmount));
+  if (amount <= 0) {
+    return { transferred: false, reason: 'NOTHING_TO_TRANSFER' };
+  }
+
+  let transfer;
+  try {
+    // Tie the transfer to the fare's charge so it only draws on those funds once they settle
+    const paymentIntent = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+
+    transfer = await stripe.transfers.create({
+      amount: toCents(amount),
+      currency: 'usd',
+      destination: driver.stripeAccountId,
+      source_transaction: paymentIntent.latest_charge,
+      transfer_group: `ride_${rideId}`,
+      metadata: { driverId: driver.id, rideId, type: 'ride', applicationFee: parseFloat(earning.platformFee).toFixed(2) }
+    }, { idempotencyKey: `ride-transfer-${rideId}` });
+  } catch (err) {
+    logger.warn('Ride transfer failed; earning left on balance', { rideId, error: err.message });
+    return { transferred: false, reason: 'TRANSFER_FAILED', error: err.message };
+  }
+
+  let payout;
+  try {
+    payout = await prisma.$transaction(async (tx) => {
+      const created = await tx.payout.create({
+        data: {
+          driverId: driver.id,
+          amount,
+          netAmount: amount,
+          type: 'RIDE',
+          status: 'COMPLETED',
+          processedAt: new Date(),
+          stripeTransferId: transfer.id,
+          attempts: 1
+        }
+      });
+
+      // Capture and the payment webhook can both get here; only one may link the earning
+      const { count } = await tx.earning.updateMany({
+        where: { id: earning.id, payoutId: null },
+        data: { status: 'PAID_OUT', paidOutAt: new Date(), payoutId: created.id }
+      });
+      if (count === 0) {
+        throw Object.assign(new Error('Earning already paid out'), { code: 'ALREADY_PAID' });
+      }
+
+      await ledgerService.payoutEntry(created, tx);
+
+      return created;
+    });
+  } catch (err) {
+    if (err.code === 'ALREADY_PAID') return { transferred: false, reason: 'ALREADY_PAID' };
+    throw err;
+  }
+
+  return { transferred: true, payout };
+}
+
+module.exports = {
+  getPayoutPeriod,
+  runWeeklyPayouts,
+  sendInstantPayout,
+  transferRideEarning,
+  MAX_PAYOUT_ATTEMPTS
+};
@@ -0,0 +1,87 @@
+/**
+ * Presence Service
+ * Which drivers are really connected, tracked as heartbeats in Redis so it holds across
+ * instances and restarts. Drivers marked online without a recent heartbeat are taken offline.
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const dispatchService = require('./dispatchService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Presence');
+
+// Sockets heartbeat every HEARTBEAT_INTERVAL_MS; location pings count too
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const PRESENCE_TIMEOUT_SECONDS = 45;
+
+let heartbeatTimer = null;
+
+/**
+ * Driver ids with a socket connected to this instance
+ */
+function localDriverIds(io) {
+  const ids = new Set();
+  for (const socket of io.of('/').sockets.values()) {
+    if (socket.user?.type === 'driver') ids.add(socket.user.id);
+  }
+  return [...ids];
+}
+
+/**
+ * Heartbeat this instance's connected drivers on an interval
+ */
+function startHeartbeat(io) {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(() => {
+    redis.touchDriverPresence(localDriverIds(io)).catch(err => {
+      logger.error('Presence heartbeat failed', { error: err.message });
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+/**
+ * Record a heartbeat for one driver (connect, disconnect)
+ */
+async function touch(driverId) {
+  await redis.touchDriverPresence([driverId]);
+}
+
+/**
+ * Take offline every online driver without a heartbeat in PRESENCE_TIMEOUT_SECONDS,
+ * pulling them from the dispatch pool and declining their open offers
+ */
+async function sweepStaleDrivers(io) {
+  const [online, present] = await Promise.all([
+    prisma.driver.findMany({ where: { isOnline: true }, select: { id: true } }),
+    redis.getPresentDrivers(PRESENCE_TIMEOUT_SECONDS)
+  ]);
+
+  const presentIds = new Set(present);
+  const stale = online.filter(d => !presentIds.has(d.id)).map(d => d.id);
+  if (stale.length === 0) return { offline: 0 };
+
+  await prisma.driver.updateMany({ where: { id: { in: stale } }, data: { isOnline: false } });
+  for (const driverId of stale) {
+    await redis.removeDriverFromPool(driverId);
+    await dispatchService.declineAllForDriver(driverId, 'OFFLINE', io);
+    io.to(`driver:${driverId}`).emit('driver:offline_confirmed', { success: true, reason: 'NO_HEARTBEAT' });
+  }
+
+  logger.info('Stale drivers taken offline', { count: stale.length });
+  return { offline: stale.length };
+}
+
+module.exports = {
+  startHeartbeat,
+  stopHeartbeat,
+  touch,
+  sweepStaleDrivers
+};
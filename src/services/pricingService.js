@@ -0,0 +1,190 @@
+/**
+ * Pricing Service
+ * Versioned fare tables loaded from the database and cached in Redis
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const configService = require('./configService');
+const { PRICING } = require('../utils/pricing');
+
+const CACHE_NAME = 'pricing:active';
+const CACHE_TTL_SECONDS = 300;
+const PUBLISH_ATTEMPTS = 5;
+
+const SERVICE_TYPES = ['VELOX', 'VELOX_XL', 'VELOX_BLACK', 'VELOX_GREEN'];
+const PRICING_FIELDS = ['baseFare', 'perMile', 'perMinute', 'minFare', 'bookingFee'];
+
+/**
+ * Get the fare table currently in effect
+ * Returns { version, effectiveFrom, services }
+ */
+async function getActivePricing() {
+  const cached = await redis.getCache(CACHE_NAME);
+  if (cached) return cached;
+
+  const now = new Date();
+  const [current, next] = await Promise.all([
+    prisma.pricingVersion.findFirst({
+      where: { effectiveFrom: { lte: now } },
+      orderBy: { effectiveFrom: 'desc' }
+    }),
+    prisma.pricingVersion.findFirst({
+      where: { effectiveFrom: { gt: now } },
+      orderBy: { effectiveFrom: 'asc' }
+    })
+  ]);
+
+  const active = current
+    ? { version: current.version, effectiveFrom: current.effectiveFrom, services: current.pricingConfig }
+    : await getBaselinePricing();
+
+  // Don't let the cache outlive the next scheduled version
+  let ttl = CACHE_TTL_SECONDS;
+  if (next) {
+    const secondsUntilNext = Math.ceil((next.effectiveFrom.getTime() - now.getTime()) / 1000);
+    ttl = Math.max(1, Math.min(ttl, secondsUntilNext));
+  }
+
+  await redis.setCache(CACHE_NAME, active, ttl);
+  return active;
+}
+
+/**
+ * Baseline pricing (version 0) before any version has been published
+ */
+async function getBaselinePricing() {
+  const config = await configService.getConfig();
+
+  return {
+    version: 0,
+    effectiveFrom: null,
+    services: config.pricingConfig || PRICING
+  };
+}
+
+/**
+ * Get the fare table for a specific version (for reconciliation)
+ */
+async function getPricingVersion(version) {
+  if (!version) return getBaselinePricing();
+
+  const pricing = await prisma.pricingVersion.findUnique({ where: { version } });
+  if (!pricing) return null;
+
+  return { version: pricing.version, effectiveFrom: pricing.effectiveFrom, services: pricing.pricingConfig };
+}
+
+/**
+ * Validate a fare table
+ * Returns a list of error messages (empty if valid)
+ */
+function validatePricingConfig(pricingConfig) {
+  const errors = [];
+
+  if (!pricingConfig || typeof pricingConfig !== 'object' || Array.isArray(pricingConfig)) {
+    return ['pricingConfig must be an object keyed by service type'];
+  }
+
+  for (const key of Object.keys(pricingConfig)) {
+    if (!SERVICE_TYPES.includes(key)) errors.push(`Unknown service type: ${key}`);
+  }
+
+  for (const serviceType of SERVICE_TYPES) {
+    const pricing = pricingConfig[serviceType];
+    if (!pricing) {
+      errors.push(`Missing pricing for ${serviceType}`);
+      continue;
+    }
+
+    for (const field of PRICING_FIELDS) {
+      const value = pricing[field];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${serviceType}.${field} must be a non-negative number`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate partial per-service overrides (e.g. a market's pricingOverrides)
+ * Returns a list of error messages (empty if valid)
+ */
+function validatePricingOverrides(overrides) {
+  if (overrides === null || overrides === undefined) return [];
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return ['pricingOverrides must be an object keyed by service type'];
+  }
+
+  const errors = [];
+  for (const [serviceType, pricing] of Object.entries(overrides)) {
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      errors.push(`Unknown service type: ${serviceType}`);
+      continue;
+    }
+    for (const [field, value] of Object.entries(pricing || {})) {
+      if (!PRICING_FIELDS.includes(field)) {
+        errors.push(`Unknown pricing field: ${serviceType}.${field}`);
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        errors.push(`${serviceType}.${field} must be a non-negative number`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Publish a new pricing version
+ * Two publishes at once can pick the same version number; the loser retries with the next one.
+ */
+async function publishPricingVersion({ pricingConfig, effectiveFrom, createdBy, note }) {
+  let pricing;
+  for (let attempt = 1; !pricing; attempt++) {
+    try {
+      pricing = await prisma.$transaction(async (tx) => {
+        const latest = await tx.pricingVersion.findFirst({
+          orderBy: { version: 'desc' },
+          select: { version: true }
+        });
+
+        return tx.pricingVersion.create({
+          data: {
+            version: (latest?.version || 0) + 1,
+            pricingConfig,
+            effectiveFrom: effectiveFrom || new Date(),
+            createdBy,
+            note
+          }
+        });
+      });
+    } catch (err) {
+      if (err.code !== 'P2002' || attempt >= PUBLISH_ATTEMPTS) throw err;
+    }
+  }
+
+  await redis.clearCache(CACHE_NAME);
+  return pricing;
+}
+
+/**
+ * List published versions, newest first
+ */
+async function listPricingVersions(limit = 50) {
+  return prisma.pricingVersion.findMany({
+    orderBy: { version: 'desc' },
+    take: limit
+  });
+}
+
+module.exports = {
+  getActivePricing,
+  getPricingVersion,
+  validatePricingConfig,
+  validatePricingOverrides,
+  publishPricingVersion,
+  listPricingVersions,
+  SERVICE_TYPES
+};
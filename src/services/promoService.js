@@ -0,0 +1,365 @@
+/**
+ * Promo Service
+ * Promo code eligibility and targeting, redemption (reserved at request, redeemed at
+ * completion, released on cancellation) and per-promo reporting
+ *
+ * Stacking: one promo per ride, never on business-profile rides. The discount comes off
+ * the fare first; wallet credit then pays towards what's left.
+ */
+
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/prisma');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Promos');
+
+const SEGMENT_WINDOW_DAYS = 30;
+const FREQUENT_RIDER_RIDES = 10;
+const RESERVE_ATTEMPTS = 3;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function normalizeCode(code) {
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Discount a promo gives on a fare
+ */
+function calculateDiscount(promo, fare) {
+  if (promo.type === 'FIXED') {
+    return round2(Math.min(parseFloat(promo.value), fare));
+  }
+
+  let discount = fare * (parseFloat(promo.value) / 100);
+  if (promo.maxDiscount) {
+    discount = Math.min(discount, parseFloat(promo.maxDiscount));
+  }
+  return round2(discount);
+}
+
+/**
+ * Whether a rider falls in a promo's segment
+ */
+async function matchesSegment(promo, userId, now) {
+  if (promo.segment === 'ALL') return true;
+
+  const since = new Date(now.getTime() - SEGMENT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const [recent, total] = await Promise.all([
+    prisma.ride.count({ where: { userId, status: 'COMPLETED', completedAt: { gte: since } } }),
+    prisma.ride.count({ where: { userId, status: 'COMPLETED' } })
+  ]);
+
+  if (promo.segment === 'LAPSED_RIDERS') return total > 0 && recent === 0;
+  if (promo.segment === 'FREQUENT_RIDERS') return recent >= FREQUENT_RIDER_RIDES;
+  return false;
+}
+
+// ===========================================
+// ELIGIBILITY
+// ===========================================
+
+/**
+ * Check a promo code for a ride and work out its discount
+ * Returns { valid, promo, discount } or { valid: false, error, code }
+ */
+async function evaluatePromo(code, { userId, serviceType, marketId, fare, organizationId = null, now = new Date() }) {
+  const invalid = (error, errorCode = 'PROMO_INVALID') => ({ valid: false, error, code: errorCode });
+
+  const promo = await prisma.promoCode.findUnique({ where: { code: normalizeCode(code) } });
+
+  if (!promo || !promo.isActive) {
+    return invalid('Invalid promo code');
+  }
+  if (promo.validFrom > now) {
+    return invalid('This promo code isn\'t active yet', 'PROMO_NOT_STARTED');
+  }
+  if (promo.validUntil && promo.validUntil < now) {
+    return invalid('Promo code expired', 'PROMO_EXPIRED');
+  }
+  if (promo.usageLimit !== null && promo.usageCount >= promo.usageLimit) {
+    return invalid('Promo code usage limit reached', 'PROMO_LIMIT_REACHED');
+  }
+  if (organizationId) {
+    return invalid('Promo codes can\'t be used on business rides', 'PROMO_NOT_ELIGIBLE');
+  }
+
+  if (promo.serviceTypes.length > 0 && !promo.serviceTypes.includes(serviceType)) {
+    return invalid(`This promo code is only valid on ${promo.serviceTypes.join(', ')}`, 'PROMO_NOT_ELIGIBLE');
+  }
+  if (promo.marketIds.length > 0 && !promo.marketIds.includes(marketId)) {
+    return invalid('This promo code isn\'t valid in this city', 'PROMO_NOT_ELIGIBLE');
+  }
+
+  const userUsages = await prisma.promoUsage.count({
+    where: { promoCodeId: promo.id, userId, status: { in: ['RESERVED', 'REDEEMED'] } }
+  });
+  if (userUsages >= promo.perUserLimit) {
+    return invalid('You have already used this promo code', 'PROMO_ALREADY_USED');
+  }
+
+  if (promo.firstRideOnly) {
+    const completedRides = await prisma.ride.count({ where: { userId, status: 'COMPLETED' } });
+    if (completedRides > 0) {
+      return invalid('This promo code is for your first ride only', 'PROMO_NOT_ELIGIBLE');
+    }
+  }
+  if (!await matchesSegment(promo, userId, now)) {
+    return invalid('This promo code isn\'t available on your account', 'PROMO_NOT_ELIGIBLE');
+  }
+
+  if (promo.minRideFare && fare < parseFloat(promo.minRideFare)) {
+    return invalid(`Minimum fare of $${parseFloat(promo.minRideFare).toFixed(2)} required`, 'PROMO_MIN_FARE');
+  }
+
+  return { valid: true, promo, discount: calculateDiscount(promo, fare) };
+}
+
+// ===========================================
+// REDEMPTION
+// ===========================================
+
+/**
+ * Hold one use of a promo for a new ride, atomically against the usage and per-user limits
+ * The per-user count runs in a serializable transaction, so two requests from one rider can't
+ * both see the use as free; the one that loses is retried against the new count.
+ * Returns { success, usage } or { success: false, error, code }
+ */
+async function reserveForRide(promo, { rideId, userId, discount }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const usage = await prisma.$transaction(async (tx) => {
+        const used = await tx.promoUsage.count({
+          where: { promoCodeId: promo.id, userId, status: { in: ['RESERVED', 'REDEEMED'] } }
+        });
+        if (used >= promo.perUserLimit) {
+          throw Object.assign(new Error('You have already used this promo code'), { code: 'PROMO_ALREADY_USED' });
+        }
+
+        const { count } = await tx.promoCode.updateMany({
+          where: {
+            id: promo.id,
+            OR: [
+              { usageLimit: null },
+              { usageCount: { lt: prisma.promoCode.fields.usageLimit } }
+            ]
+          },
+          data: { usageCount: { increment: 1 } }
+        });
+        if (count === 0) {
+          throw Object.assign(new Error('Promo code usage limit reached'), { code: 'PROMO_LIMIT_REACHED' });
+        }
+
+        return tx.promoUsage.create({
+          data: { promoCodeId: promo.id, userId, rideId, discountAmount: discount }
+        });
+      }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+      return { success: true, usage };
+    } catch (err) {
+      if (['PROMO_ALREADY_USED', 'PROMO_LIMIT_REACHED'].includes(err.code)) {
+        return { success: false, error: err.message, code: err.code };
+      }
+      // Serialization failure: a concurrent reservation got there first
+      if (err.code === 'P2034' && attempt < RESERVE_ATTEMPTS) continue;
+      throw err;
+    }
+  }
+}
+
+/**
+ * Confirm a ride's reserved promo once the ride completes, at the final discount
+ */
+async function redeemForRide(rideId) {
+  const ride = await prisma.ride.findUnique({ where: { id: rideId }, select: { promoDiscount: true } });
+  if (!ride) return;
+
+  await prisma.promoUsage.updateMany({
+    where: { rideId, status: 'RESERVED' },
+    data: { status: 'REDEEMED', discountAmount: ride.promoDiscount, redeemedAt: new Date() }
+  });
+}
+
+/**
+ * Give a ride's reserved promo use back (ride cancelled, no driver found or payment failed)
+ */
+async function releaseForRide(rideId) {
+  try {
+    await prisma.$transaction(async (tx) => {
+      const usage = await tx.promoUsage.findUnique({ where: { rideId } });
+      if (!usage) return;
+
+      const { count } = await tx.promoUsage.updateMany({
+        where: { id: usage.id, status: 'RESERVED' },
+        data: { status: 'RELEASED', releasedAt: new Date() }
+      });
+      if (count === 0) return;
+
+      await tx.promoCode.update({
+        where: { id: usage.promoCodeId },
+        data: { usageCount: { decrement: 1 } }
+      });
+    });
+  } catch (err) {
+    logger.error('Releasing promo reservation failed', { rideId, error: err.message });
+  }
+}
+
+// ===========================================
+// ADMIN
+// ===========================================
+
+const PROMO_FIELDS = [
+  'description', 'type', 'value', 'maxDiscount', 'minRideFare', 'usageLimit', 'perUserLimit',
+  'validFrom', 'validUntil', 'serviceTypes', 'marketIds', 'firstRideOnly', 'segment', 'isActive'
+];
+
+function pickPromoFields(data) {
+  const picked = Object.fromEntries(PROMO_FIELDS.filter(f => data[f] !== undefined).map(f => [f, data[f]]));
+  if (picked.validFrom) picked.validFrom = new Date(picked.validFrom);
+  if (picked.validUntil) picked.validUntil = new Date(picked.validUntil);
+  return picked;
+}
+
+function checkPromoRules(promo) {
+  if (promo.type === 'PERCENTAGE' && parseFloat(promo.value) > 100) {
+    return 'A percentage promo can\'t exceed 100%';
+  }
+  if (promo.validFrom && promo.validUntil && new Date(promo.validUntil) <= new Date(promo.validFrom)) {
+    return 'validUntil must be after validFrom';
+  }
+  return null;
+}
+
+/**
+ * Create a promo code
+ * Returns { success, promo } or { success: false, error, code }
+ */
+async function createPromo(data, createdBy) {
+  const fields = pickPromoFields(data);
+  const error = checkPromoRules({ validFrom: new Date(), ...fields });
+  if (error) {
+    return { success: false, error, code: 'INVALID_PROMO' };
+  }
+
+  try {
+    const promo = await prisma.promoCode.create({
+      data: { ...fields, code: normalizeCode(data.code), createdBy }
+    });
+    return { success: true, promo };
+  } catch (err) {
+    if (err.code === 'P2002') {
+      return { success: false, error: 'A promo with this code already exists', code: 'DUPLICATE_CODE' };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Change a promo's terms, targeting or limits (the code itself can't change)
+ * Riders who already reserved it keep the discount they were quoted.
+ */
+async function updatePromo(id, data) {
+  const promo = await prisma.promoCode.findUnique({ where: { id } });
+  if (!promo) {
+    return { success: false, error: 'Promo not found', code: 'NOT_FOUND' };
+  }
+
+  const fields = pickPromoFields(data);
+  const error = checkPromoRules({ ...promo, ...fields });
+  if (error) {
+    return { success: false, error, code: 'INVALID_PROMO' };
+  }
+
+  return { success: true, promo: await prisma.promoCode.update({ where: { id }, data: fields }) };
+}
+
+// ===========================================
+// REPORTING
+// ===========================================
+
+/**
+ * Redemptions and cost per promo; from/to filter on redemption time
+ */
+async function getPromoReport({ from, to } = {}) {
+  const redeemedAt = {};
+  if (from) redeemedAt.gte = from;
+  if (to) redeemedAt.lt = to;
+
+  const [promos, redeemed, reserved, riders] = await Promise.all([
+    prisma.promoCode.findMany({ orderBy: { createdAt: 'desc' } }),
+    prisma.promoUsage.groupBy({
+      by: ['promoCodeId'],
+      where: { status: 'REDEEMED', ...(from || to ? { redeemedAt } : {}) },
+      _count: { _all: true },
+      _sum: { discountAmount: true }
+    }),
+    prisma.promoUsage.groupBy({
+      by: ['promoCodeId'],
+      where: { status: 'RESERVED' },
+      _count: { _all: true }
+    }),
+    prisma.promoUsage.groupBy({
+      by: ['promoCodeId', 'userId'],
+      where: { status: 'REDEEMED', ...(from || to ? { redeemedAt } : {}) }
+    })
+  ]);
+
+  const redeemedByPromo = new Map(redeemed.map(r => [r.promoCodeId, r]));
+  const reservedByPromo = new Map(reserved.map(r => [r.promoCodeId, r._count._all]));
+  const ridersByPromo = new Map();
+  riders.forEach(r => ridersByPromo.set(r.promoCodeId, (ridersByPromo.get(r.promoCodeId) || 0) + 1));
+
+  return promos.map(promo => {
+    const stats = redeemedByPromo.get(promo.id);
+    const redemptions = stats?._count._all || 0;
+    const cost = round2(parseFloat(stats?._sum.discountAmount || 0));
+
+    return {
+      id: promo.id,
+      code: promo.code,
+      isActive: promo.isActive,
+      redemptions,
+      reserved: reservedByPromo.get(promo.id) || 0,
+      uniqueRiders: ridersByPromo.get(promo.id) || 0,
+      cost,
+      averageDiscount: redemptions > 0 ? round2(cost / redemptions) : 0
+    };
+  });
+}
+
+/**
+ * A promo's uses, newest first
+ */
+async function listRedemptions(promoCodeId, { status, limit = 50, offset = 0 } = {}) {
+  const where = { promoCodeId, ...(status && { status }) };
+
+  const [usages, total] = await Promise.all([
+    prisma.promoUsage.findMany({
+      where,
+      orderBy: { usedAt: 'desc' },
+      take: limit,
+      skip: offset,
+      include: {
+        user: { select: { id: true, firstName: true, lastName: true } },
+        ride: { select: { id: true, status: true, serviceType: true, totalFare: true, marketId: true } }
+      }
+    }),
+    prisma.promoUsage.count({ where })
+  ]);
+
+  return { usages, total };
+}
+
+module.exports = {
+  evaluatePromo,
+  calculateDiscount,
+  createPromo,
+  updatePromo,
+  reserveForRide,
+  redeemForRide,
+  releaseForRide,
+  getPromoReport,
+  listRedemptions,
+  normalizeCode
+};
@@ -199,6 +199,13 @@ async function notifyDriverPayoutComplete(driverId, amount) {
   }, { type: 'payout_complete' });
 }
 
+async function notifyDriverTipReceived(driverId, amount) {
+  return sendPush(driverId, 'driver', {
+    title: 'You got a tip! 🙌',
+    body: `Your rider added a $${amount.toFixed(2)} tip`
+  }, { type: 'tip_received' });
+}
+
 async function notifyDriverApproved(driverId) {
   return sendPush(driverId, 'driver', {
     title: 'Welcome to VeloX! 🎉',
@@ -221,5 +228,6 @@ module.exports = {
   notifyDriverNewRequest,
   notifyDriverScheduledReminder,
   notifyDriverPayoutComplete,
+  notifyDriverTipReceived,
   notifyDriverApproved
 };
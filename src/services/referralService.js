@@ -0,0 +1,396 @@
+/**
+ * Referral Service
+ * Personal referral codes, attribution at sign-up, fraud checks and rewards
+ *
+ * RIDER: the referrer gets wallet credit once the referred rider completes (and pays for) a ride.
+ * DRIVER: the referrer gets a bonus on their balance once the referred driver completes
+ * driverReferralTrips trips within driverReferralDays of being approved.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const configService = require('./configService');
+const ledgerService = require('./ledgerService');
+const walletService = require('./walletService');
+const pushService = require('./pushService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Referrals');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Referrer/referee columns and push entity type for each kind of referral
+const PARTIES = {
+  RIDER: { model: 'user', entityType: 'user', referrer: 'referrerUserId', referee: 'refereeUserId' },
+  DRIVER: { model: 'driver', entityType: 'driver', referrer: 'referrerDriverId', referee: 'refereeDriverId' }
+};
+
+function normalizeCode(code) {
+  return code.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function generateCode(firstName) {
+  const prefix = (firstName || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 6) || 'VELOX';
+  const suffix = Array.from(crypto.randomBytes(4), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `${prefix}${suffix}`;
+}
+
+/**
+ * When a driver referee's trips have to be done by (null until they're approved)
+ */
+function getDeadline(referral, refereeDriver) {
+  if (!referral.windowDays || !refereeDriver?.approvedAt) return null;
+  return new Date(refereeDriver.approvedAt.getTime() + referral.windowDays * DAY_MS);
+}
+
+/**
+ * Trips a driver referee has completed that count towards the referral
+ */
+async function countQualifyingTrips(referral, refereeDriver) {
+  if (!refereeDriver?.approvedAt) return 0;
+  return prisma.ride.count({
+    where: {
+      driverId: refereeDriver.id,
+      status: 'COMPLETED',
+      completedAt: { gte: refereeDriver.approvedAt, lte: getDeadline(referral, refereeDriver) }
+    }
+  });
+}
+
+// ===========================================
+// CODES & ATTRIBUTION
+// ===========================================
+
+/**
+ * A rider's or driver's referral code, created the first time it's asked for
+ */
+async function getOrCreateCode(type, id) {
+  const { model } = PARTIES[type];
+  const account = await prisma[model].findUnique({ where: { id }, select: { firstName: true, referralCode: true } });
+  if (account.referralCode) return account.referralCode;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const { referralCode } = await prisma[model].update({
+        where: { id },
+        data: { referralCode: generateCode(account.firstName) },
+        select: { referralCode: true }
+      });
+      return referralCode;
+    } catch (err) {
+      if (err.code !== 'P2002') throw err;
+    }
+  }
+  throw new Error('Could not generate a unique referral code');
+}
+
+/**
+ * The rider or driver a referral code belongs to (riders refer riders, drivers refer drivers)
+ */
+async function findReferrer(type, code) {
+  const { model } = PARTIES[type];
+  const referrer = await prisma[model].findUnique({ where: { referralCode: normalizeCode(code) } });
+  if (!referrer) return null;
+
+  return referrer.status === (type === 'RIDER' ? 'ACTIVE' : 'APPROVED') ? referrer : null;
+}
+
+/**
+ * Record that a new rider or driver signed up with a referrer's code
+ * A phone number that was referred before (a deleted and re-created account) is recorded but rejected.
+ */
+async function attribute(type, referrer, referee) {
+  const { referrer: referrerField, referee: refereeField } = PARTIES[type];
+  if (referrer.id === referee.id) return null;
+
+  const config = await configService.getConfig();
+  const alreadyReferred = await prisma.referral.count({ where: { type, refereePhone: referee.phone } });
+
+  const referral = await prisma.referral.create({
+    data: {
+      type,
+      code: referrer.referralCode,
+      [referrerField]: referrer.id,
+      [refereeField]: referee.id,
+      refereePhone: referee.phone,
+      rewardAmount: type === 'RIDER' ? config.riderReferralReward : config.driverReferralBonus,
+      tripsRequired: type === 'RIDER' ? 1 : config.driverReferralTrips,
+      windowDays: type === 'RIDER' ? null : config.driverReferralDays,
+      ...(alreadyReferred > 0 && { status: 'REJECTED', rejectReason: 'DUPLICATE_PHONE' })
+    }
+  });
+
+  if (referral.status === 'REJECTED') {
+    logger.warn('Referral rejected: phone already referred', { referralId: referral.id, type });
+  }
+  return referral;
+}
+
+// ===========================================
+// FRAUD CHECKS
+// ===========================================
+
+/**
+ * Why a referral shouldn't be rewarded, or null if it looks genuine
+ * The referee mustn't share a push device or card (riders) with the referrer
+ * or with anyone else the referrer has referred. Reused phones are caught at sign-up.
+ */
+async function checkFraud(referral) {
+  const { entityType, referrer: referrerField, referee: refereeField } = PARTIES[referral.type];
+  const referrerId = referral[referrerField];
+  const refereeId = referral[refereeField];
+
+  const otherReferees = await prisma.referral.findMany({
+    where: { [referrerField]: referrerId, id: { not: referral.id }, [refereeField]: { not: null } },
+    select: { [refereeField]: true }
+  });
+  const relatedIds = [referrerId, ...otherReferees.map(r => r[refereeField])];
+
+  const [refereeDevices, relatedDevices] = await Promise.all([
+    prisma.deviceToken.findMany({ where: { entityId: refereeId, entityType }, select: { token: true } }),
+    prisma.deviceToken.findMany({ where: { entityId: { in: relatedIds }, entityType }, select: { token: true } })
+  ]);
+  const relatedTokens = new Set(relatedDevices.map(d => d.token));
+  if (refereeDevices.some(d => relatedTokens.has(d.token))) {
+    return 'SHARED_DEVICE';
+  }
+
+  if (referral.type === 'RIDER') {
+    const [refereeCards, sharedCards] = await Promise.all([
+      prisma.paymentMethod.findMany({ where: { userId: refereeId, fingerprint: { not: null } }, select: { fingerprint: true } }),
+      prisma.paymentMethod.findMany({ where: { userId: { in: relatedIds }, fingerprint: { not: null } }, select: { fingerprint: true } })
+    ]);
+    const relatedFingerprints = new Set(sharedCards.map(c => c.fingerprint));
+    if (refereeCards.some(c => relatedFingerprints.has(c.fingerprint))) {
+      return 'SHARED_PAYMENT_METHOD';
+    }
+  }
+
+  return null;
+}
+
+// ===========================================
+// REWARDS
+// ===========================================
+
+/**
+ * Pay the referrer. Only one caller can claim a referral; the payment is keyed on it too.
+ * Returns { success, referral } or { success: false, error, code }
+ */
+async function reward(referral, { fromStatus = 'PENDING', reviewedBy } = {}) {
+  const { count } = await prisma.referral.updateMany({
+    where: { id: referral.id, status: fromStatus },
+    data: { status: 'REWARDED', rewardedAt: new Date(), reviewedBy }
+  });
+  if (count === 0) {
+    return { success: false, error: 'Referral is no longer awaiting a reward', code: 'INVALID_STATUS' };
+  }
+
+  const amount = parseFloat(referral.rewardAmount);
+  try {
+    if (referral.type === 'RIDER') {
+      await walletService.credit(referral.referrerUserId, amount, {
+        type: 'REFERRAL_REWARD',
+        description: 'Referral reward',
+        idempotencyKey: `referral:${referral.id}`
+      });
+    } else {
+      await ledgerService.recordReferralBonus(referral);
+    }
+  } catch (err) {
+    await prisma.referral.update({
+      where: { id: referral.id },
+      data: { status: fromStatus, rewardedAt: null, reviewedBy: null }
+    });
+    throw err;
+  }
+
+  const { entityType, referrer } = PARTIES[referral.type];
+  pushService.sendPush(referral[referrer], entityType, {
+    title: 'Referral reward earned 🎉',
+    body: referral.type === 'RIDER'
+      ? `$${amount.toFixed(2)} in VeloX credit has been added to your wallet`
+      : `A $${amount.toFixed(2)} referral bonus has been added to your earnings`
+  }, { type: 'referral_reward', referralId: referral.id }).catch(err => {
+    logger.warn('Referral reward push failed', { referralId: referral.id, error: err.message });
+  });
+
+  return { success: true, referral: await prisma.referral.findUnique({ where: { id: referral.id } }) };
+}
+
+/**
+ * Run the fraud checks and reward or reject a referral whose trips are done
+ */
+async function qualify(referral) {
+  const reason = await checkFraud(referral);
+  if (reason) {
+    await prisma.referral.updateMany({
+      where: { id: referral.id, status: 'PENDING' },
+      data: { status: 'REJECTED', rejectReason: reason }
+    });
+    logger.warn('Referral rejected', { referralId: referral.id, reason });
+    return;
+  }
+
+  await reward(referral);
+}
+
+/**
+ * Check the rider's and driver's pending referrals after a completed ride
+ * A rider referral only qualifies on a ride that was paid for.
+ */
+async function onRideCompleted(ride, { paid }) {
+  try {
+    const referrals = await prisma.referral.findMany({
+      where: {
+        status: 'PENDING',
+        OR: [
+          ...(paid ? [{ type: 'RIDER', refereeUserId: ride.userId }] : []),
+          ...(ride.driverId ? [{ type: 'DRIVER', refereeDriverId: ride.driverId }] : [])
+        ]
+      },
+      include: { refereeDriver: { select: { id: true, approvedAt: true } } }
+    });
+
+    for (const referral of referrals) {
+      if (referral.type === 'DRIVER') {
+        const deadline = getDeadline(referral, referral.refereeDriver);
+        if (!deadline || deadline < new Date()) continue;
+        if (await countQualifyingTrips(referral, referral.refereeDriver) < referral.tripsRequired) continue;
+      }
+      await qualify(referral);
+    }
+  } catch (err) {
+    logger.error('Referral check failed', { rideId: ride.id, error: err.message });
+  }
+}
+
+/**
+ * Expire driver referrals whose window has passed
+ */
+async function expireReferrals(now = new Date()) {
+  const pending = await prisma.referral.findMany({
+    where: { type: 'DRIVER', status: 'PENDING', refereeDriver: { approvedAt: { not: null } } },
+    include: { refereeDriver: { select: { id: true, approvedAt: true } } }
+  });
+
+  const expired = pending.filter(referral => getDeadline(referral, referral.refereeDriver) < now);
+  if (expired.length === 0) return { expired: 0 };
+
+  const { count } = await prisma.referral.updateMany({
+    where: { id: { in: expired.map(r => r.id) }, status: 'PENDING' },
+    data: { status: 'EXPIRED' }
+  });
+
+  logger.info(`Expired ${count} driver referrals`);
+  return { expired: count };
+}
+
+// ===========================================
+// PROGRESS & ADMIN
+// ===========================================
+
+/**
+ * A rider's or driver's code, current terms, and how each person they referred is doing
+ */
+async function getProgress(type, id) {
+  const { referrer, referee } = PARTIES[type];
+  const [code, config, referrals] = await Promise.all([
+    getOrCreateCode(type, id),
+    configService.getConfig(),
+    prisma.referral.findMany({
+      where: { [referrer]: id },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        [type === 'RIDER' ? 'refereeUser' : 'refereeDriver']: {
+          select: { id: true, firstName: true, lastName: true, ...(type === 'DRIVER' && { approvedAt: true }) }
+        }
+      }
+    })
+  ]);
+
+  const rows = await Promise.all(referrals.map(async (referral) => {
+    const person = referral.refereeUser || referral.refereeDriver;
+    const tripsCompleted = type === 'RIDER'
+      ? await prisma.ride.count({ where: { userId: referral[referee], status: 'COMPLETED' } })
+      : await countQualifyingTrips(referral, referral.refereeDriver);
+
+    return {
+      id: referral.id,
+      name: person && (person.lastName ? `${person.firstName} ${person.lastName.charAt(0)}.` : person.firstName),
+      status: referral.status,
+      tripsCompleted: Math.min(tripsCompleted, referral.tripsRequired),
+      tripsRequired: referral.tripsRequired,
+      deadline: type === 'DRIVER' ? getDeadline(referral, referral.refereeDriver) : null,
+      rewardAmount: parseFloat(referral.rewardAmount),
+      rewardedAt: referral.rewardedAt,
+      createdAt: referral.createdAt
+    };
+  }));
+
+  const sum = (status) => Math.round(rows.filter(r => r.status === status).reduce((total, r) => total + r.rewardAmount, 0) * 100) / 100;
+
+  return {
+    code,
+    terms: type === 'RIDER'
+      ? { reward: config.riderReferralReward, tripsRequired: 1 }
+      : { reward: config.driverReferralBonus, tripsRequired: config.driverReferralTrips, windowDays: config.driverReferralDays },
+    referrals: rows,
+    earned: sum('REWARDED'),
+    pending: sum('PENDING'),
+    rewardedTo: type === 'RIDER' ? 'WALLET' : 'EARNINGS'
+  };
+}
+
+/**
+ * Referrals for review, newest first
+ */
+async function listReferrals({ type, status, limit = 50, offset = 0 } = {}) {
+  const where = { ...(type && { type }), ...(status && { status }) };
+
+  const [referrals, total] = await Promise.all([
+    prisma.referral.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset,
+      include: {
+        referrerUser: { select: { id: true, firstName: true, lastName: true, phone: true } },
+        refereeUser: { select: { id: true, firstName: true, lastName: true, phone: true } },
+        referrerDriver: { select: { id: true, firstName: true, lastName: true, phone: true } },
+        refereeDriver: { select: { id: true, firstName: true, lastName: true, phone: true } }
+      }
+    }),
+    prisma.referral.count({ where })
+  ]);
+
+  return { referrals, total };
+}
+
+/**
+ * Override a fraud rejection and pay the reward
+ */
+async function approveRejected(referralId, adminId) {
+  const referral = await prisma.referral.findUnique({ where: { id: referralId } });
+  if (!referral) {
+    return { success: false, error: 'Referral not found', code: 'NOT_FOUND' };
+  }
+  if (referral.status !== 'REJECTED') {
+    return { success: false, error: 'Only rejected referrals can be approved', code: 'INVALID_STATUS' };
+  }
+
+  return reward(referral, { fromStatus: 'REJECTED', reviewedBy: adminId });
+}
+
+module.exports = {
+  getOrCreateCode,
+  findReferrer,
+  attribute,
+  checkFraud,
+  onRideCompleted,
+  expireReferrals,
+  getProgress,
+  listReferrals,
+  approveRejected
+};
@@ -0,0 +1,283 @@
+/**
+ * Refund Service
+ * Full and partial ride refunds (to the card or wallet) with driver earning clawback
+ */
+
+const prisma = require('../config/prisma');
+const paymentService = require('./paymentService');
+const emailService = require('./emailService');
+const ledgerService = require('./ledgerService');
+const walletService = require('./walletService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Refunds');
+
+const REFUND_REASONS = [
+  'FARE_DISPUTE', 'ROUTE_ISSUE', 'SERVICE_QUALITY', 'DRIVER_NO_SHOW',
+  'DUPLICATE_CHARGE', 'SAFETY', 'GOODWILL', 'OTHER'
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * What the rider was actually charged for a ride, less any outstanding amount that was never collected
+ */
+function getChargedAmount(ride) {
+  const charged = ride.status === 'CANCELLED'
+    ? parseFloat(ride.cancellationFee)
+    : parseFloat(ride.totalFare) + parseFloat(ride.tip);
+  return round2(charged - parseFloat(ride.outstandingAmount || 0));
+}
+
+/**
+ * Take the refunded share of a driver's earning back, if it hasn't been paid out.
+ * Returns the Earning update and the amount clawed back.
+ */
+function calculateClawback(earning, refundAmount, chargedAmount) {
+  if (!earning || earning.status === 'PAID_OUT' || chargedAmount <= 0) {
+    return { clawback: 0, data: null };
+  }
+
+  const netAmount = parseFloat(earning.netAmount);
+  const tip = parseFloat(earning.tip);
+  const clawback = Math.min(round2((netAmount + tip) * (refundAmount / chargedAmount)), netAmount + tip);
+
+  // Fare share first, then tip
+  const fromNet = Math.min(clawback, netAmount);
+  return {
+    clawback,
+    data: {
+      netAmount: round2(netAmount - fromNet),
+      tip: round2(tip - (clawback - fromNet))
+    }
+  };
+}
+
+/**
+ * Refund a ride in full or in part.
+ * amount defaults to everything not yet refunded. Refunds go back to the card first and
+ * only then to the wallet credit the ride was partly paid with; toWallet credits it all to the wallet.
+ * Returns { success, refund } or { success: false, error, code }
+ */
+async function refundRide({ rideId, amount = null, reason, note, supportTicketId, clawbackEarning = true, toWallet = false, createdBy }) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: {
+      earning: true,
+      tips: { where: { status: 'SUCCEEDED', method: 'SEPARATE_CHARGE' } },
+      fareSplits: { where: { isOrganizer: false, paymentStatus: 'CAPTURED' } }
+    }
+  });
+
+  if (!ride) {
+    return { success: false, error: 'Ride not found', code: 'NOT_FOUND' };
+  }
+
+  if (!['CAPTURED', 'PARTIALLY_REFUNDED'].includes(ride.paymentStatus)) {
+    return { success: false, error: `Ride payment is ${ride.paymentStatus}, nothing to refund`, code: 'NOT_REFUNDABLE' };
+  }
+
+  const chargedAmount = getChargedAmount(ride);
+  const refundable = round2(chargedAmount - parseFloat(ride.refundedAmount));
+  const refundAmount = amount !== null ? round2(amount) : refundable;
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    return {
+      success: false,
+      error: `Refund must be between $0.01 and $${refundable.toFixed(2)}`,
+      code: 'INVALID_AMOUNT'
+    };
+  }
+
+  if (toWallet && ride.organizationId) {
+    return { success: false, error: 'Business rides can only be refunded to the company card', code: 'BUSINESS_RIDE' };
+  }
+
+  const walletAmount = toWallet
+    ? refundAmount
+    : round2(Math.max(0, refundAmount - await getCardRefundable(ride, chargedAmount)));
+  const cardAmount = round2(refundAmount - walletAmount);
+
+  if (supportTicketId) {
+    const ticket = await prisma.supportTicket.findUnique({ where: { id: supportTicketId } });
+    if (!ticket || (ticket.rideId && ticket.rideId !== rideId)) {
+      return { success: false, error: 'Support ticket not found for this ride', code: 'INVALID_TICKET' };
+    }
+  }
+
+  // Reserve the amount before going to Stripe, so two refunds can't both pass the check above
+  let refund;
+  try {
+    refund = await prisma.$transaction(async (tx) => {
+      const reserved = await tx.ride.updateMany({
+        where: { id: rideId, refundedAmount: ride.refundedAmount, paymentStatus: { in: ['CAPTURED', 'PARTIALLY_REFUNDED'] } },
+        data: { refundedAmount: { increment: refundAmount } }
+      });
+      if (reserved.count === 0) {
+        throw Object.assign(new Error('Another refund for this ride is in progress, try again'), { code: 'CONFLICT' });
+      }
+
+      return tx.refund.create({
+        data: { rideId, amount: refundAmount, reason, note, supportTicketId, toWallet, walletAmount, createdBy }
+      });
+    });
+  } catch (err) {
+    if (err.code === 'CONFLICT') return { success: false, error: err.message, code: err.code };
+    throw err;
+  }
+
+  const payment = cardAmount > 0
+    ? await paymentService.refundRidePayment(ride, cardAmount, refund.id)
+    : { success: true, refundIds: [] };
+
+  if (!payment.success) {
+    await releaseRefund(refund, ride, payment);
+    return { success: false, error: payment.error, code: 'REFUND_FAILED' };
+  }
+
+  const updatedRefund = await applyRefund(refund, ride, { stripeRefundIds: payment.refundIds, clawbackEarning, reserved: true });
+  return { success: true, refund: updatedRefund };
+}
+
+/**
+ * What can still be refunded to the card: the charge less what the wallet paid
+ * and what has already gone back to the card
+ */
+async function getCardRefundable(ride, chargedAmount) {
+  const walletRefunds = await prisma.refund.aggregate({
+    where: { rideId: ride.id, status: { in: ['PENDING', 'SUCCEEDED'] } },
+    _sum: { walletAmount: true }
+  });
+  const refundedToCard = parseFloat(ride.refundedAmount) - parseFloat(walletRefunds._sum.walletAmount || 0);
+
+  return round2(chargedAmount - parseFloat(ride.walletAmount) - refundedToCard);
+}
+
+/**
+ * Give back the amount a failed refund reserved on the ride
+ * A ride marked REFUNDED while this one was in flight goes back to PARTIALLY_REFUNDED.
+ */
+async function releaseRefund(refund, ride, payment) {
+  await prisma.$transaction([
+    prisma.refund.update({
+      where: { id: refund.id },
+      data: { status: 'FAILED', failReason: payment.error, stripeRefundIds: payment.refundIds }
+    }),
+    prisma.ride.update({
+      where: { id: ride.id },
+      data: { refundedAmount: { decrement: parseFloat(refund.amount) } }
+    }),
+    prisma.ride.updateMany({
+      where: { id: ride.id, paymentStatus: 'REFUNDED', refundedAmount: { lt: getChargedAmount(ride) } },
+      data: { paymentStatus: 'PARTIALLY_REFUNDED' }
+    })
+  ]);
+}
+
+/**
+ * Book a refund that Stripe has made: mark it SUCCEEDED, post it to the ledger,
+ * update the ride, claw back the driver's share and email an updated receipt.
+ * ride must include earning. reserved means refundRide already added the amount to refundedAmount.
+ */
+async function applyRefund(refund, ride, { stripeRefundIds, clawbackEarning = true, reserved = false }) {
+  const refundAmount = parseFloat(refund.amount);
+  const chargedAmount = getChargedAmount(ride);
+
+  const { clawback, data: earningUpdate } = clawbackEarning
+    ? calculateClawback(ride.earning, refundAmount, chargedAmount)
+    : { clawback: 0, data: null };
+
+  const operations = [
+    prisma.refund.update({
+      where: { id: refund.id },
+      data: { status: 'SUCCEEDED', stripeRefundIds, earningClawback: clawback }
+    }),
+    ledgerService.refundEntry(refund, ride, clawback),
+    // Incremented, and the status set from the stored total, so concurrent refunds add up
+    prisma.ride.update({
+      where: { id: ride.id },
+      data: {
+        ...(!reserved && { refundedAmount: { increment: refundAmount } }),
+        paymentStatus: 'PARTIALLY_REFUNDED'
+      }
+    }),
+    prisma.ride.updateMany({
+      where: { id: ride.id, refundedAmount: { gte: chargedAmount } },
+      data: { paymentStatus: 'REFUNDED' }
+    })
+  ];
+
+  if (earningUpdate && clawback > 0) {
+    operations.push(
+      prisma.earning.update({ where: { id: ride.earning.id }, data: earningUpdate }),
+      prisma.driver.update({
+        where: { id: ride.driverId },
+        data: { totalEarnings: { decrement: clawback } }
+      })
+    );
+  }
+
+  const [updatedRefund] = await prisma.$transaction(operations);
+
+  if (parseFloat(refund.walletAmount) > 0) {
+    await walletService.creditRefund(refund, ride.userId, parseFloat(refund.walletAmount));
+  }
+
+  // Receipt failures shouldn't undo a completed refund
+  emailService.sendRideReceipt(ride.id).catch(err => {
+    logger.warn('Updated receipt email failed', { rideId: ride.id, error: err.message });
+  });
+
+  return updatedRefund;
+}
+
+/**
+ * Record a refund made directly in Stripe (e.g. from the dashboard)
+ * Skips refunds we issued or have already recorded.
+ */
+async function recordExternalRefund(rideId, stripeRefund) {
+  if (stripeRefund.metadata?.refundId || stripeRefund.status !== 'succeeded') return null;
+
+  const known = await prisma.refund.findFirst({
+    where: { stripeRefundIds: { has: stripeRefund.id } }
+  });
+  if (known) return null;
+
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { earning: true }
+  });
+  if (!ride) return null;
+
+  const refund = await prisma.refund.create({
+    data: {
+      rideId,
+      amount: stripeRefund.amount / 100,
+      reason: 'OTHER',
+      note: 'Refunded in Stripe',
+      createdBy: 'stripe'
+    }
+  });
+
+  logger.info('Recorded refund made in Stripe', { rideId, stripeRefundId: stripeRefund.id });
+  return applyRefund(refund, ride, { stripeRefundIds: [stripeRefund.id] });
+}
+
+/**
+ * Refund history for a ride
+ */
+async function listRefunds(rideId) {
+  return prisma.refund.findMany({
+    where: { rideId },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  refundRide,
+  recordExternalRefund,
+  calculateClawback,
+  listRefunds,
+  getChargedAmount,
+  REFUND_REASONS
+};
@@ -0,0 +1,363 @@
+/**
+ * Ride State Service
+ * The ride lifecycle in one place: which status changes are legal, who may make each, what
+ * they stamp on the ride and what follows (notifications, payments, earnings). Each change is a
+ * conditional update, recorded as a RideEvent in the same transaction.
+ */
+
+const prisma = require('../config/prisma');
+const redis = require('../config/redis');
+const routingService = require('./routingService');
+const fareService = require('./fareService');
+const paymentService = require('./paymentService');
+const cancellationService = require('./cancellationService');
+const tipService = require('./tipService');
+const splitFareService = require('./splitFareService');
+const promoService = require('./promoService');
+const referralService = require('./referralService');
+const ledgerService = require('./ledgerService');
+const payoutService = require('./payoutService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('RideState');
+
+const SYSTEM = { type: 'SYSTEM', id: null };
+
+// Legal changes from each status and who may make them; COMPLETED, CANCELLED and NO_DRIVERS are final
+const TRANSITIONS = {
+  REQUESTED: { ACCEPTED: ['DRIVER'], CANCELLED: ['RIDER', 'SYSTEM'], NO_DRIVERS: ['SYSTEM'] },
+  ACCEPTED: { ARRIVING: ['DRIVER'], ARRIVED: ['DRIVER'], CANCELLED: ['RIDER', 'DRIVER', 'SYSTEM'] },
+  ARRIVING: { ARRIVED: ['DRIVER'], CANCELLED: ['RIDER', 'DRIVER', 'SYSTEM'] },
+  ARRIVED: { IN_PROGRESS: ['DRIVER'], CANCELLED: ['RIDER', 'DRIVER', 'SYSTEM'] },
+  IN_PROGRESS: { COMPLETED: ['DRIVER'] },
+  COMPLETED: {},
+  CANCELLED: {},
+  NO_DRIVERS: {}
+};
+
+// Column stamped with the time of the change
+const TIMESTAMPS = {
+  ACCEPTED: 'acceptedAt',
+  ARRIVED: 'arrivedAt',
+  IN_PROGRESS: 'startedAt',
+  COMPLETED: 'completedAt',
+  CANCELLED: 'cancelledAt'
+};
+
+// How ride:cancelled has always named the canceller
+const CANCELLED_BY_CLIENT = { RIDER: 'user', DRIVER: 'driver', SYSTEM: 'system' };
+
+/**
+ * An error for a `within` hook to throw; the change is rolled back and returned as a failure
+ */
+function transitionError(code, message) {
+  return Object.assign(new Error(message), { code, rejected: true });
+}
+
+function failure(code, error) {
+  return { success: false, error, code };
+}
+
+/**
+ * Whether actor may move the ride to status `to` right now
+ */
+function checkTransition(ride, to, actor) {
+  const actors = TRANSITIONS[ride.status][to];
+  if (!actors) {
+    return failure('INVALID_TRANSITION', `Can't move a ${ride.status} ride to ${to}`);
+  }
+  if (!actors.includes(actor.type)) {
+    return failure('NOT_ALLOWED', `Only ${actors.join(' or ')} can move a ride to ${to}`);
+  }
+  // Drivers act on rides assigned to them; accepting is how one gets assigned
+  if (actor.type === 'RIDER' && ride.userId !== actor.id) {
+    return failure('NOT_YOUR_RIDE', 'This is not your ride');
+  }
+  if (actor.type === 'DRIVER' && to !== 'ACCEPTED' && ride.driverId !== actor.id) {
+    return failure('NOT_YOUR_RIDE', 'This is not your ride');
+  }
+  return { success: true };
+}
+
+// ===========================================
+// TRANSITIONS
+// ===========================================
+
+/**
+ * Move a ride to status `to` on behalf of actor ({ type: RIDER | DRIVER | SYSTEM, id })
+ * options: io, reason, data (extra ride fields), metadata (stored on the event),
+ * within(tx) (runs in the same transaction; throw transitionError to abort)
+ * Returns { success, ride, ...side effect results } or { success: false, error, code }
+ */
+async function transition(rideId, to, actor, { io, reason, data = {}, metadata, within } = {}) {
+  const ride = await prisma.ride.findUnique({ where: { id: rideId } });
+  if (!ride) {
+    return failure('RIDE_NOT_FOUND', 'Ride not found');
+  }
+
+  const check = checkTransition(ride, to, actor);
+  if (!check.success) return check;
+
+  const now = new Date();
+  const prepared = await prepare(ride, to, actor, { now, reason });
+
+  let updated;
+  try {
+    updated = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.ride.updateMany({
+        where: { id: rideId, status: ride.status },
+        data: {
+          status: to,
+          ...(TIMESTAMPS[to] && { [TIMESTAMPS[to]]: now }),
+          ...prepared.data,
+          ...data
+        }
+      });
+      if (count === 0) {
+        throw transitionError('RIDE_CHANGED', 'The ride was updated by someone else; refresh and try again');
+      }
+
+      if (within) await within(tx);
+
+      await recordEvent(tx, {
+        rideId,
+        fromStatus: ride.status,
+        toStatus: to,
+        actor,
+        reason,
+        metadata: { ...prepared.metadata, ...metadata }
+      });
+
+      return tx.ride.findUnique({ where: { id: rideId }, include: { driver: true } });
+    });
+  } catch (err) {
+    if (!err.rejected) throw err;
+    return failure(err.code, err.message);
+  }
+
+  logger.info('Ride status changed', { rideId, from: ride.status, to, actor: actor.type });
+
+  const effects = SIDE_EFFECTS[to] ? await SIDE_EFFECTS[to](updated, { io, actor, reason, ...prepared.effects }) : {};
+  return { success: true, ride: updated, ...effects };
+}
+
+/**
+ * Work done before the update: the final fare on completion, the fee on cancellation
+ */
+async function prepare(ride, to, actor, { now, reason }) {
+  if (to === 'COMPLETED') {
+    // Final fare from actual miles and minutes under the configured policy
+    const finalFare = await fareService.calculateFinalFare(ride.id, now);
+    return { data: finalFare, metadata: { totalFare: finalFare.totalFare } };
+  }
+
+  if (to === 'CANCELLED') {
+    const { fee, rule } = actor.type === 'SYSTEM'
+      ? { fee: 0, rule: 'SYSTEM' }
+      : await cancellationService.evaluateCancellation(ride, actor.type, now);
+
+    return {
+      data: { cancelReason: reason, cancelledBy: actor.type, cancellationFee: fee, cancellationRule: rule },
+      metadata: { fee, rule },
+      effects: { fee, rule }
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Write a RideEvent (client is prisma or a transaction)
+ */
+async function recordEvent(client, { rideId, fromStatus = null, toStatus, actor, reason, metadata }) {
+  return client.rideEvent.create({
+    data: {
+      rideId,
+      fromStatus,
+      toStatus,
+      actorType: actor.type,
+      actorId: actor.id,
+      reason,
+      metadata: metadata && Object.keys(metadata).length > 0 ? metadata : undefined
+    }
+  });
+}
+
+/**
+ * A ride's status history, oldest first
+ */
+async function listEvents(rideId) {
+  return prisma.rideEvent.findMany({ where: { rideId }, orderBy: { createdAt: 'asc' } });
+}
+
+// ===========================================
+// SIDE EFFECTS
+// ===========================================
+
+async function afterAccepted(ride, { io }) {
+  const { driver } = ride;
+  await redis.updateRideState(ride.id, { status: 'ACCEPTED', driverId: driver.id });
+
+  // Driving ETA to pickup from the driver's latest known position
+  const location = await redis.getDriverLocation(driver.id) ||
+    (driver.currentLat != null ? { lat: driver.currentLat, lng: driver.currentLng } : null);
+  const eta = location
+    ? await routingService.getEta(location, { lat: ride.pickupLat, lng: ride.pickupLng })
+    : null;
+
+  io.to(`user:${ride.userId}`).emit('ride:accepted', {
+    rideId: ride.id,
+    eta,
+    driver: {
+      id: driver.id,
+      name: `${driver.firstName} ${driver.lastName.charAt(0)}.`,
+      phone: driver.phone,
+      rating: driver.rating,
+      vehicle: { make: driver.vehicleMake, model: driver.vehicleModel, color: driver.vehicleColor, plate: driver.licensePlate },
+      location: { lat: driver.currentLat, lng: driver.currentLng }
+    }
+  });
+
+  return { eta };
+}
+
+async function afterArriving(ride, { io }) {
+  await redis.updateRideState(ride.id, { status: 'ARRIVING' });
+  io.to(`user:${ride.userId}`).emit('ride:driver_arriving', { rideId: ride.id });
+  return {};
+}
+
+async function afterArrived(ride, { io }) {
+  await redis.updateRideState(ride.id, { status: 'ARRIVED' });
+  io.to(`user:${ride.userId}`).emit('ride:driver_arrived', { rideId: ride.id });
+  return {};
+}
+
+async function afterStarted(ride, { io }) {
+  await redis.updateRideState(ride.id, { status: 'IN_PROGRESS' });
+  await redis.clearRideTrail(ride.id);
+  io.to(`user:${ride.userId}`).emit('ride:trip_started', { rideId: ride.id });
+  return {};
+}
+
+/**
+ * Run one completion step; a failure is logged and doesn't stop the steps after it
+ */
+async function completionStep(name, ride, fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    logger.error('Ride completion step failed', { rideId: ride.id, step: name, error: err.message });
+    return null;
+  }
+}
+
+async function afterCompleted(ride, { io }) {
+  // Money first: split shares, then the rest of the fare from the hold placed at request
+  await completionStep('captureShares', ride, () => splitFareService.captureShares(ride.id));
+  const payment = await completionStep('capture', ride, () => paymentService.captureRidePayment(ride.id)) ||
+    { success: false, error: 'Payment capture failed' };
+  if (!payment.success) {
+    paymentService.emitPaymentFailed(io, ride.userId, ride.id, 'capture', payment.error);
+  }
+  if (payment.outstanding > 0) {
+    paymentService.emitPaymentFailed(io, ride.userId, ride.id, 'remainder', payment.remainderError);
+  }
+
+  await completionStep('earning', ride, () => prisma.earning.create({
+    data: {
+      driverId: ride.driverId,
+      rideId: ride.id,
+      grossAmount: ride.totalFare,
+      platformFee: ride.platformFee,
+      netAmount: ride.driverEarnings,
+      tip: ride.tip,
+      status: 'PENDING'
+    }
+  }));
+  if (payment.success) {
+    await completionStep('ledger', ride, () => ledgerService.recordRideCharge(ride.id));
+    await completionStep('transfer', ride, () => payoutService.transferRideEarning(ride.id));
+  }
+  await completionStep('tip', ride, () => tipService.settleCapturedTip(ride.id, payment));
+
+  await completionStep('driverTotals', ride, () => prisma.driver.update({
+    where: { id: ride.driverId },
+    data: { totalRides: { increment: 1 }, totalEarnings: { increment: parseFloat(ride.driverEarnings) } }
+  }));
+  await completionStep('promo', ride, () => promoService.redeemForRide(ride.id));
+  await completionStep('referral', ride, () => referralService.onRideCompleted(ride, { paid: payment.success }));
+  await completionStep('rideState', ride, async () => {
+    await redis.clearRideState(ride.id);
+    await redis.clearRideTrail(ride.id);
+  });
+
+  io.to(`user:${ride.userId}`).emit('ride:completed', {
+    rideId: ride.id,
+    fare: parseFloat(ride.totalFare),
+    upfrontFare: parseFloat(ride.upfrontFare),
+    fareAdjustment: parseFloat(ride.fareAdjustment),
+    fareAdjustmentReason: ride.fareAdjustmentReason,
+    distanceMiles: ride.actualDistanceMiles,
+    durationMinutes: ride.actualDurationMinutes,
+    paymentStatus: payment.success ? 'CAPTURED' : 'FAILED',
+    driver: { id: ride.driver.id, name: `${ride.driver.firstName} ${ride.driver.lastName.charAt(0)}.`, rating: ride.driver.rating }
+  });
+
+  return { payment };
+}
+
+async function afterCancelled(ride, { io, actor, reason, fee, rule }) {
+  // Required here: dispatchService moves rides through this module
+  const dispatchService = require('./dispatchService');
+
+  // Clear Redis state, withdraw open driver offers and give back any promo use
+  await redis.clearRideState(ride.id);
+  await dispatchService.cancelDispatch(ride.id, io);
+  await promoService.releaseForRide(ride.id);
+
+  // Charge the fee from the hold (crediting the driver's share), or release it entirely
+  const settlement = await cancellationService.settleCancellation(ride, fee);
+  if (!settlement.success) {
+    paymentService.emitPaymentFailed(io, ride.userId, ride.id, 'cancellation_fee', settlement.error);
+  }
+  if (settlement.outstanding > 0) {
+    paymentService.emitPaymentFailed(io, ride.userId, ride.id, 'remainder', settlement.remainderError);
+  }
+
+  io.to(`ride:${ride.id}`).emit('ride:cancelled', {
+    rideId: ride.id,
+    cancelledBy: CANCELLED_BY_CLIENT[actor.type],
+    reason,
+    cancellationFee: fee,
+    rule
+  });
+
+  return { fee, rule, settlement };
+}
+
+async function afterNoDrivers(ride, { io }) {
+  await paymentService.releaseRideAuthorization(ride.id);
+  await promoService.releaseForRide(ride.id);
+  io.to(`user:${ride.userId}`).emit('ride:no_drivers', { rideId: ride.id });
+  return {};
+}
+
+const SIDE_EFFECTS = {
+  ACCEPTED: afterAccepted,
+  ARRIVING: afterArriving,
+  ARRIVED: afterArrived,
+  IN_PROGRESS: afterStarted,
+  COMPLETED: afterCompleted,
+  CANCELLED: afterCancelled,
+  NO_DRIVERS: afterNoDrivers
+};
+
+module.exports = {
+  SYSTEM,
+  TRANSITIONS,
+  transition,
+  transitionError,
+  recordEvent,
+  listEvents
+};
@@ -0,0 +1,183 @@
+/**
+ * Routing Service
+ * Road distance, duration and route polylines behind pluggable providers
+ *
+ * ROUTING_PROVIDER: 'osrm', 'valhalla', 'haversine' (default) or 'stub'
+ * ROUTING_URL: base URL of the OSRM/Valhalla server
+ */
+
+const { calculateDistance, calculateDuration } = require('../utils/pricing');
+const { encodePolyline, decodePolyline } = require('../utils/geo');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Routing');
+
+const ROUTING_PROVIDER = process.env.ROUTING_PROVIDER || 'haversine';
+const ROUTING_URL = process.env.ROUTING_URL;
+const ROUTING_TIMEOUT_MS = parseInt(process.env.ROUTING_TIMEOUT_MS || '3000');
+
+const METERS_PER_MILE = 1609.344;
+
+// ===========================================
+// PROVIDERS
+// ===========================================
+
+/**
+ * Straight-line distance with time-of-day speed assumptions (no network)
+ */
+const haversineProvider = {
+  name: 'haversine',
+  async route(waypoints, { departAt }) {
+    let distanceMiles = 0;
+    for (let i = 1; i < waypoints.length; i++) {
+      const prev = waypoints[i - 1];
+      const next = waypoints[i];
+      distanceMiles += calculateDistance(prev.lat, prev.lng, next.lat, next.lng);
+    }
+
+    return {
+      distanceMiles,
+      durationMinutes: calculateDuration(distanceMiles, departAt),
+      polyline: encodePolyline(waypoints)
+    };
+  }
+};
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Applies a fixed road-detour factor and a flat 20 mph.
+ */
+const stubProvider = {
+  name: 'stub',
+  async route(waypoints) {
+    const { distanceMiles: straightLine, polyline } = await haversineProvider.route(waypoints, {});
+    const distanceMiles = straightLine * 1.3;
+
+    return {
+      distanceMiles,
+      durationMinutes: Math.max(1, Math.ceil((distanceMiles / 20) * 60)),
+      polyline
+    };
+  }
+};
+
+/**
+ * OSRM HTTP API (/route/v1/driving)
+ */
+const osrmProvider = {
+  name: 'osrm',
+  async route(waypoints) {
+    const coords = waypoints.map(p => `${p.lng},${p.lat}`).join(';');
+    const url = `${ROUTING_URL}/route/v1/driving/${coords}?overview=full&geometries=polyline`;
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(ROUTING_TIMEOUT_MS) });
+    if (!response.ok) {
+      throw new Error(`OSRM request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const route = data.routes?.[0];
+    if (data.code !== 'Ok' || !route) {
+      throw new Error(`OSRM returned no route: ${data.code}`);
+    }
+
+    return {
+      distanceMiles: route.distance / METERS_PER_MILE,
+      durationMinutes: Math.ceil(route.duration / 60),
+      polyline: route.geometry
+    };
+  }
+};
+
+/**
+ * Valhalla HTTP API (/route)
+ */
+const valhallaProvider = {
+  name: 'valhalla',
+  async route(waypoints) {
+    const response = await fetch(`${ROUTING_URL}/route`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        locations: waypoints.map(p => ({ lat: p.lat, lon: p.lng })),
+        costing: 'auto',
+        units: 'miles'
+      }),
+      signal: AbortSignal.timeout(ROUTING_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Valhalla request failed: ${response.status}`);
+    }
+
+    const { trip } = await response.json();
+    if (!trip?.summary) {
+      throw new Error('Valhalla returned no trip');
+    }
+
+    // Valhalla shapes are precision 6 and split per leg; stitch into one precision 5 line
+    const points = (trip.legs || []).flatMap(leg => decodePolyline(leg.shape, 6));
+
+    return {
+      distanceMiles: trip.summary.length,
+      durationMinutes: Math.ceil(trip.summary.time / 60),
+      polyline: encodePolyline(points)
+    };
+  }
+};
+
+const PROVIDERS = {
+  haversine: haversineProvider,
+  stub: stubProvider,
+  osrm: osrmProvider,
+  valhalla: valhallaProvider
+};
+
+function getProvider() {
+  const provider = PROVIDERS[ROUTING_PROVIDER];
+  if (!provider) {
+    logger.warn(`Unknown routing provider "${ROUTING_PROVIDER}", using haversine`);
+    return haversineProvider;
+  }
+  if ((provider === osrmProvider || provider === valhallaProvider) && !ROUTING_URL) {
+    logger.warn(`ROUTING_URL not set for ${provider.name}, using haversine`);
+    return haversineProvider;
+  }
+  return provider;
+}
+
+// ===========================================
+// PUBLIC API
+// ===========================================
+
+/**
+ * Route through an ordered list of [{ lat, lng }] waypoints
+ * Returns { distanceMiles, durationMinutes, polyline, provider }
+ * Falls back to haversine if the configured provider fails.
+ */
+async function getRoute(waypoints, { departAt = new Date() } = {}) {
+  const provider = getProvider();
+
+  try {
+    const route = await provider.route(waypoints, { departAt });
+    return { ...route, provider: provider.name };
+  } catch (err) {
+    logger.warn(`${provider.name} routing failed, falling back to haversine`, { error: err.message });
+    const route = await haversineProvider.route(waypoints, { departAt });
+    return { ...route, provider: haversineProvider.name };
+  }
+}
+
+/**
+ * Driving ETA in minutes between two points
+ */
+async function getEta(from, to) {
+  const { durationMinutes } = await getRoute([from, to]);
+  return Math.max(1, durationMinutes);
+}
+
+module.exports = {
+  getRoute,
+  getEta,
+  PROVIDERS
+};
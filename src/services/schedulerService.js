@@ -0,0 +1,74 @@
+/**
+ * Scheduler Service
+ * In-process interval jobs guarded by Redis locks so only one instance runs each tick
+ */
+
+const redis = require('../config/redis');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Scheduler');
+
+const jobs = new Map();
+
+/**
+ * Register a job to run every intervalMs
+ * lockSeconds should comfortably exceed the job's run time
+ */
+function registerJob(name, intervalMs, handler, { lockSeconds = 600 } = {}) {
+  jobs.set(name, { name, intervalMs, handler, lockSeconds, timer: null });
+}
+
+/**
+ * Run a job now, unless another instance is already running it
+ * Returns { ran, result } or { ran: false }
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const token = await redis.acquireLock(`job:${name}`, job.lockSeconds);
+  if (!token) {
+    return { ran: false };
+  }
+
+  try {
+    const result = await job.handler();
+    return { ran: true, result };
+  } finally {
+    await redis.releaseLock(`job:${name}`, token);
+  }
+}
+
+/**
+ * Start every registered job's timer
+ */
+function startScheduler() {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+
+    job.timer = setInterval(() => {
+      runJob(job.name).catch(err => {
+        logger.error(`Job ${job.name} failed`, { error: err.message });
+      });
+    }, job.intervalMs);
+    job.timer.unref();
+  }
+
+  console.log(`⏰ Scheduler started (${jobs.size} jobs)`);
+}
+
+function stopScheduler() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+module.exports = {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
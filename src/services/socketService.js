@@ -6,12 +6,14 @@
 const jwt = require('jsonwebtoken');
 const prisma = require('../config/prisma');
 const redis = require('../config/redis');
+const dispatchService = require('./dispatchService');
+const presenceService = require('./presenceService');
+const rideStateService = require('./rideStateService');
+const { createLogger } = require('./errorTrackingService');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const logger = createLogger('Socket');
 
-// Track connected clients
-const connectedUsers = new Map();
-const connectedDrivers = new Map();
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
 function initializeSocketHandlers(io) {
   // Authentication middleware
@@ -33,185 +35,158 @@ function initializeSocketHandlers(io) {
     console.log(`🔌 ${type} connected: ${id}`);
     
     if (type === 'user') {
-      connectedUsers.set(id, socket.id);
       socket.join(`user:${id}`);
     } else if (type === 'driver') {
-      connectedDrivers.set(id, socket.id);
       socket.join(`driver:${id}`);
+      presenceService.touch(id).catch(() => {});
     }
 
     // Driver goes online
     socket.on('driver:online', async (data) => {
       if (type !== 'driver') return;
-      const { lat, lng } = data;
       
-      await prisma.driver.update({
-        where: { id },
-        data: { isOnline: true, currentLat: lat, currentLng: lng, lastLocationUpdate: new Date() }
-      });
-      await redis.updateDriverLocation(id, lat, lng);
-      socket.emit('driver:online_confirmed', { success: true });
+      try {
+        const { lat, lng } = data || {};
+        await prisma.driver.update({
+          where: { id },
+          data: { isOnline: true, currentLat: lat, currentLng: lng, lastLocationUpdate: new Date() }
+        });
+        await redis.updateDriverLocation(id, lat, lng);
+        socket.emit('driver:online_confirmed', { success: true });
+      } catch (err) {
+        logger.warn('Driver online failed', { driverId: id, error: err.message });
+        socket.emit('driver:online_confirmed', { success: false, error: 'Failed to go online' });
+      }
     });
 
     // Driver goes offline
     socket.on('driver:offline', async () => {
       if (type !== 'driver') return;
-      await prisma.driver.update({ where: { id }, data: { isOnline: false } });
-      await redis.removeDriverFromPool(id);
-      socket.emit('driver:offline_confirmed', { success: true });
+      
+      try {
+        await prisma.driver.update({ where: { id }, data: { isOnline: false } });
+        await redis.removeDriverFromPool(id);
+        await dispatchService.declineAllForDriver(id, 'OFFLINE', io);
+        socket.emit('driver:offline_confirmed', { success: true });
+      } catch (err) {
+        logger.warn('Driver offline failed', { driverId: id, error: err.message });
+        socket.emit('driver:offline_confirmed', { success: false, error: 'Failed to go offline' });
+      }
     });
 
     // Driver location update
     socket.on('driver:location', async (data) => {
       if (type !== 'driver') return;
-      const { lat, lng, rideId } = data;
-      
-      await redis.updateDriverLocation(id, lat, lng);
+      const { lat, lng, rideId } = data || {};
       
-      if (rideId) {
-        const rideState = await redis.getRideState(rideId);
-        if (rideState?.userId) {
-          io.to(`user:${rideState.userId}`).emit('driver:location_update', { rideId, lat, lng, updatedAt: Date.now() });
+      try {
+        await redis.updateDriverLocation(id, lat, lng);
+        
+        if (rideId) {
+          const rideState = await redis.getRideState(rideId);
+          
+          // Record the trip trail for final fare calculation
+          if (rideState?.status === 'IN_PROGRESS' && rideState.driverId === id) {
+            await redis.appendRideTrail(rideId, lat, lng);
+          }
+          
+          if (rideState?.userId) {
+            io.to(`user:${rideState.userId}`).emit('driver:location_update', { rideId, lat, lng, updatedAt: Date.now() });
+          }
+          io.to(`ride:${rideId}`).emit('driver:location_update', { rideId, lat, lng, updatedAt: Date.now() });
         }
-        io.to(`ride:${rideId}`).emit('driver:location_update', { rideId, lat, lng, updatedAt: Date.now() });
+      } catch (err) {
+        // The next update retries; a dropped one only costs a point on the trail
+        logger.warn('Driver location update failed', { driverId: id, rideId, error: err.message });
       }
     });
 
     // Driver accepts ride
     socket.on('driver:accept_ride', async (data) => {
       if (type !== 'driver') return;
-      const { rideId } = data;
+      const { rideId } = data || {};
       
       try {
-        const ride = await prisma.ride.findUnique({ where: { id: rideId } });
-        if (!ride || ride.status !== 'REQUESTED') {
-          return socket.emit('ride:accept_failed', { error: 'Ride no longer available' });
+        // Only a driver holding a live offer can take the ride, and only one of them wins
+        const result = await dispatchService.acceptOffer(rideId, id, io);
+        if (!result.success) {
+          return socket.emit('ride:accept_failed', { rideId, error: result.error, reason: result.code });
         }
-        
-        const driver = await prisma.driver.findUnique({
-          where: { id },
-          select: { firstName: true, lastName: true, phone: true, rating: true, vehicleMake: true, vehicleModel: true, vehicleColor: true, licensePlate: true, currentLat: true, currentLng: true }
-        });
-        
-        await prisma.ride.update({
-          where: { id: rideId },
-          data: { driverId: id, status: 'ACCEPTED', acceptedAt: new Date() }
-        });
-        
+        const { ride, eta } = result;
         socket.join(`ride:${rideId}`);
         
-        io.to(`user:${ride.userId}`).emit('ride:accepted', {
-          rideId,
-          driver: {
-            id,
-            name: `${driver.firstName} ${driver.lastName.charAt(0)}.`,
-            phone: driver.phone,
-            rating: driver.rating,
-            vehicle: { make: driver.vehicleMake, model: driver.vehicleModel, color: driver.vehicleColor, plate: driver.licensePlate },
-            location: { lat: driver.currentLat, lng: driver.currentLng }
-          }
-        });
-        
         socket.emit('ride:accept_confirmed', {
           rideId,
           pickup: { address: ride.pickupAddress, lat: ride.pickupLat, lng: ride.pickupLng },
           dropoff: { address: ride.dropoffAddress, lat: ride.dropoffLat, lng: ride.dropoffLng },
+          polyline: ride.routePolyline,
+          eta,
           fare: parseFloat(ride.driverEarnings)
         });
       } catch (err) {
-        socket.emit('ride:accept_failed', { error: 'Failed to accept ride' });
+        logger.warn('Ride accept failed', { driverId: id, rideId, error: err.message });
+        socket.emit('ride:accept_failed', { rideId, error: 'Failed to accept ride', reason: 'ERROR' });
       }
     });
 
-    // Driver arrives at pickup
-    socket.on('driver:arrived', async (data) => {
-      if (type !== 'driver') return;
-      const { rideId } = data;
-      
-      const ride = await prisma.ride.update({
-        where: { id: rideId },
-        data: { status: 'ARRIVED', arrivedAt: new Date() }
-      });
-      
-      io.to(`user:${ride.userId}`).emit('ride:driver_arrived', { rideId });
-    });
-
-    // Driver starts trip
-    socket.on('driver:start_trip', async (data) => {
+    // Driver turns down a ride offer; it moves on to the next driver
+    socket.on('driver:decline_ride', async (data) => {
       if (type !== 'driver') return;
-      const { rideId } = data;
+      const { rideId, reason } = data || {};
       
-      const ride = await prisma.ride.update({
-        where: { id: rideId },
-        data: { status: 'IN_PROGRESS', startedAt: new Date() }
-      });
-      
-      io.to(`user:${ride.userId}`).emit('ride:trip_started', { rideId });
+      try {
+        const declined = await dispatchService.declineOffer(rideId, id, reason ? String(reason).slice(0, 200) : null, io);
+        socket.emit('ride:decline_confirmed', { rideId, success: declined });
+      } catch (err) {
+        logger.warn('Ride decline failed', { driverId: id, rideId, error: err.message });
+        socket.emit('ride:decline_confirmed', { rideId, success: false, error: 'Failed to decline ride' });
+      }
     });
 
-    // Driver completes trip
-    socket.on('driver:complete_trip', async (data) => {
-      if (type !== 'driver') return;
-      const { rideId } = data;
-      
-      const ride = await prisma.ride.update({
-        where: { id: rideId },
-        data: { status: 'COMPLETED', completedAt: new Date() },
-        include: { driver: true }
-      });
-      
-      await prisma.earning.create({
-        data: {
-          driverId: id,
-          rideId,
-          grossAmount: ride.totalFare,
-          platformFee: ride.platformFee,
-          netAmount: ride.driverEarnings,
-          tip: ride.tip,
-          status: 'PENDING'
+    // Driver status updates go through the ride state machine, which checks the driver owns the ride
+    const driverTransition = (event, status, onSuccess) => {
+      socket.on(event, async (data) => {
+        if (type !== 'driver') return;
+        const { rideId } = data || {};
+        
+        try {
+          const result = await rideStateService.transition(rideId, status, { type: 'DRIVER', id }, { io });
+          if (!result.success) {
+            return socket.emit('ride:update_failed', { rideId, status, error: result.error, code: result.code });
+          }
+          if (onSuccess) onSuccess(result);
+        } catch (err) {
+          logger.warn('Ride update failed', { driverId: id, rideId, status, error: err.message });
+          socket.emit('ride:update_failed', { rideId, status, error: 'Failed to update ride', code: 'ERROR' });
         }
       });
-      
-      await prisma.driver.update({
-        where: { id },
-        data: { totalRides: { increment: 1 }, totalEarnings: { increment: parseFloat(ride.driverEarnings) } }
-      });
-      
-      await redis.clearRideState(rideId);
-      
-      io.to(`user:${ride.userId}`).emit('ride:completed', {
-        rideId,
-        fare: parseFloat(ride.totalFare),
-        driver: { id, name: `${ride.driver.firstName} ${ride.driver.lastName.charAt(0)}.`, rating: ride.driver.rating }
-      });
-      
-      socket.emit('ride:complete_confirmed', { rideId, earnings: parseFloat(ride.driverEarnings) });
-      socket.leave(`ride:${rideId}`);
+    };
+    
+    // Driver heads to pickup, arrives, starts and completes the trip
+    driverTransition('driver:en_route', 'ARRIVING');
+    driverTransition('driver:arrived', 'ARRIVED');
+    driverTransition('driver:start_trip', 'IN_PROGRESS');
+    driverTransition('driver:complete_trip', 'COMPLETED', ({ ride }) => {
+      socket.emit('ride:complete_confirmed', { rideId: ride.id, earnings: parseFloat(ride.driverEarnings) });
+      socket.leave(`ride:${ride.id}`);
     });
 
     // User subscribes to ride
     socket.on('ride:subscribe', (data) => {
-      socket.join(`ride:${data.rideId}`);
+      if (data?.rideId) socket.join(`ride:${data.rideId}`);
     });
 
-    // Disconnect
+    // Disconnect - a driver who doesn't reconnect (to any instance) is taken offline by the presence sweep
     socket.on('disconnect', async () => {
       console.log(`🔌 ${type} disconnected: ${id}`);
       
-      if (type === 'user') {
-        connectedUsers.delete(id);
-      } else if (type === 'driver') {
-        connectedDrivers.delete(id);
-        setTimeout(async () => {
-          if (!connectedDrivers.has(id)) {
-            await prisma.driver.update({ where: { id }, data: { isOnline: false } }).catch(() => {});
-            await redis.removeDriverFromPool(id);
-          }
-        }, 30000);
+      if (type === 'driver') {
+        await presenceService.touch(id).catch(() => {});
       }
     });
   });
 
+  presenceService.startHeartbeat(io);
   console.log('✅ Socket.io handlers initialized');
 }
 
@@ -0,0 +1,319 @@
+/**
+ * Split Fare Service
+ * The requesting rider invites other VeloX users by phone; each accepted share is
+ * authorized and captured on that rider's own card, the organizer's hold covers the rest
+ */
+
+const prisma = require('../config/prisma');
+const paymentService = require('./paymentService');
+const pushService = require('./pushService');
+const { createLogger } = require('./errorTrackingService');
+const { formatPhone } = require('../utils/phone');
+
+const logger = createLogger('SplitFare');
+
+const MAX_INVITEES = 5;
+
+// Invites can be sent and answered until the trip ends
+const SPLITTABLE_STATUSES = ['REQUESTED', 'ACCEPTED', 'ARRIVING', 'ARRIVED', 'IN_PROGRESS'];
+
+/**
+ * Divide a fare between the accepted riders, in cents so the shares add up exactly
+ * EVEN: equal shares; CUSTOM: each invitee's sharePercent. The organizer takes the remainder.
+ * Returns Map of split id -> amount
+ */
+function calculateShares(total, splits, mode) {
+  const totalCents = Math.round(parseFloat(total) * 100);
+  const organizer = splits.find(s => s.isOrganizer);
+  const others = splits.filter(s => !s.isOrganizer);
+  const shares = new Map();
+
+  let allocated = 0;
+  for (const split of others) {
+    const cents = mode === 'EVEN'
+      ? Math.floor(totalCents / splits.length)
+      : Math.round(totalCents * (split.sharePercent || 0) / 100);
+    shares.set(split.id, cents / 100);
+    allocated += cents;
+  }
+  shares.set(organizer.id, (totalCents - allocated) / 100);
+
+  return shares;
+}
+
+/**
+ * The share an invitee is expected to pay if everyone still invited accepts
+ */
+function estimateShare(ride, split, splits) {
+  const expected = splits.filter(s => ['INVITED', 'ACCEPTED'].includes(s.status));
+  return calculateShares(ride.totalFare, expected, ride.fareSplitMode).get(split.id);
+}
+
+// ===========================================
+// INVITES
+// ===========================================
+
+/**
+ * Split a ride's fare with other riders, found by phone number
+ * shares (CUSTOM only): { [phone]: percent }; the organizer pays what's left
+ * Returns { success, splits } or { success: false, error, code }
+ */
+async function inviteRiders(rideId, organizerId, { phones, mode, shares: requestedShares = {} }) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { fareSplits: true, user: true }
+  });
+
+  if (!ride || ride.userId !== organizerId) {
+    return { success: false, error: 'Ride not found', code: 'NOT_FOUND' };
+  }
+  if (!SPLITTABLE_STATUSES.includes(ride.status)) {
+    return { success: false, error: `Cannot split a ${ride.status.toLowerCase()} ride`, code: 'INVALID_STATUS' };
+  }
+  if (ride.fareSplitMode) {
+    return { success: false, error: 'This ride\'s fare is already split', code: 'ALREADY_SPLIT' };
+  }
+  if (ride.organizationId) {
+    return { success: false, error: 'Business rides are billed to the company and can\'t be split', code: 'BUSINESS_RIDE' };
+  }
+
+  const uniquePhones = [...new Set(phones.map(formatPhone))];
+  const shares = Object.fromEntries(
+    Object.entries(requestedShares).map(([phone, percent]) => [formatPhone(phone), parseFloat(percent)])
+  );
+  if (uniquePhones.length > MAX_INVITEES) {
+    return { success: false, error: `You can split a fare with up to ${MAX_INVITEES} people`, code: 'TOO_MANY_INVITEES' };
+  }
+
+  const users = await prisma.user.findMany({
+    where: { phone: { in: uniquePhones }, status: 'ACTIVE' }
+  });
+  const missing = uniquePhones.filter(phone => !users.some(u => u.phone === phone));
+  if (missing.length > 0) {
+    return { success: false, error: `No VeloX account for ${missing.join(', ')}`, code: 'USER_NOT_FOUND' };
+  }
+  if (users.some(u => u.id === organizerId)) {
+    return { success: false, error: 'You are already on this ride', code: 'INVALID_INVITEE' };
+  }
+
+  if (mode === 'CUSTOM') {
+    const invalid = uniquePhones.filter(phone => !(shares[phone] > 0));
+    const invitedPercent = uniquePhones.reduce((sum, phone) => sum + (shares[phone] || 0), 0);
+    if (invalid.length > 0 || invitedPercent >= 100) {
+      return {
+        success: false,
+        error: 'Give every invitee a share above 0%, leaving some of the fare for you',
+        code: 'INVALID_SHARES'
+      };
+    }
+  }
+
+  // Claim the ride for splitting in the same transaction, so a double submit can't split it twice
+  let splits;
+  try {
+    splits = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.ride.updateMany({
+        where: { id: rideId, fareSplitMode: null },
+        data: { fareSplitMode: mode }
+      });
+      if (claimed.count === 0) {
+        throw Object.assign(new Error('This ride\'s fare is already split'), { code: 'ALREADY_SPLIT' });
+      }
+
+      const created = [await tx.fareSplit.create({
+        data: {
+          rideId,
+          userId: organizerId,
+          isOrganizer: true,
+          status: 'ACCEPTED',
+          sharePercent: mode === 'CUSTOM' ? 100 - uniquePhones.reduce((sum, phone) => sum + shares[phone], 0) : null,
+          paymentMethodId: ride.paymentMethodId,
+          respondedAt: new Date()
+        }
+      })];
+
+      for (const user of users) {
+        created.push(await tx.fareSplit.create({
+          data: {
+            rideId,
+            userId: user.id,
+            sharePercent: mode === 'CUSTOM' ? shares[user.phone] : null
+          }
+        }));
+      }
+      return created;
+    });
+  } catch (err) {
+    if (err.code === 'ALREADY_SPLIT') return { success: false, error: err.message, code: err.code };
+    throw err;
+  }
+
+  for (const user of users) {
+    pushService.sendPush(user.id, 'user', {
+      title: 'Split a ride? 🚗',
+      body: `${ride.user.firstName} wants to split the fare to ${ride.dropoffAddress}`
+    }, { type: 'fare_split_invite', rideId }).catch(err => {
+      logger.warn('Split invite push failed', { rideId, userId: user.id, error: err.message });
+    });
+  }
+
+  return { success: true, splits };
+}
+
+/**
+ * Accept (with a payment method) or decline a split invite
+ * Accepting places a hold for the rider's expected share.
+ * Returns { success, split } or { success: false, error, code }
+ */
+async function respondToInvite(rideId, userId, { accept, paymentMethodId }) {
+  const split = await prisma.fareSplit.findUnique({
+    where: { rideId_userId: { rideId, userId } },
+    include: { ride: { include: { fareSplits: true } }, user: true }
+  });
+
+  if (!split || split.isOrganizer) {
+    return { success: false, error: 'Split invite not found', code: 'NOT_FOUND' };
+  }
+  if (split.status !== 'INVITED') {
+    return { success: false, error: `Invite already ${split.status.toLowerCase()}`, code: 'ALREADY_RESPONDED' };
+  }
+  if (!SPLITTABLE_STATUSES.includes(split.ride.status)) {
+    return { success: false, error: 'This ride has ended', code: 'INVALID_STATUS' };
+  }
+
+  if (!accept) {
+    const declined = await prisma.fareSplit.update({
+      where: { id: split.id },
+      data: { status: 'DECLINED', respondedAt: new Date() }
+    });
+    return { success: true, split: declined };
+  }
+
+  const paymentMethod = await paymentService.resolvePaymentMethod(userId, paymentMethodId);
+  if (!paymentMethod) {
+    return { success: false, error: 'Add a payment method to split this fare', code: 'PAYMENT_METHOD_REQUIRED' };
+  }
+
+  const share = estimateShare(split.ride, split, split.ride.fareSplits);
+  const authorization = await paymentService.authorizeFareSplit({ ...split, paymentMethod }, share);
+  if (!authorization.success) {
+    return { success: false, error: authorization.error, code: 'PAYMENT_FAILED' };
+  }
+
+  // Only one response wins (a repeated accept with the same card reuses the same hold)
+  const { count } = await prisma.fareSplit.updateMany({
+    where: { id: split.id, status: 'INVITED' },
+    data: {
+      status: 'ACCEPTED',
+      respondedAt: new Date(),
+      paymentMethodId: paymentMethod.id,
+      paymentStatus: 'AUTHORIZED',
+      stripePaymentIntentId: authorization.paymentIntentId
+    }
+  });
+  if (count === 0) {
+    const current = await prisma.fareSplit.findUnique({ where: { id: split.id } });
+    if (current.stripePaymentIntentId !== authorization.paymentIntentId) {
+      await paymentService.cancelFareSplitHold(authorization.paymentIntentId);
+    }
+    return { success: false, error: `Invite already ${current.status.toLowerCase()}`, code: 'ALREADY_RESPONDED' };
+  }
+
+  return {
+    success: true,
+    split: await prisma.fareSplit.findUnique({ where: { id: split.id } }),
+    estimatedShare: share
+  };
+}
+
+/**
+ * Split invites waiting on this rider
+ */
+async function listInvites(userId) {
+  return prisma.fareSplit.findMany({
+    where: { userId, status: 'INVITED', ride: { status: { in: SPLITTABLE_STATUSES } } },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      ride: {
+        select: {
+          id: true,
+          pickupAddress: true,
+          dropoffAddress: true,
+          totalFare: true,
+          fareSplitMode: true,
+          user: { select: { firstName: true } }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * A ride's split, visible to the organizer and everyone invited
+ */
+async function getSplit(rideId, userId) {
+  const splits = await prisma.fareSplit.findMany({
+    where: { rideId },
+    orderBy: [{ isOrganizer: 'desc' }, { createdAt: 'asc' }],
+    include: { user: { select: { id: true, firstName: true, lastName: true } } }
+  });
+
+  if (!splits.some(s => s.userId === userId)) return null;
+  return splits;
+}
+
+// ===========================================
+// CAPTURE
+// ===========================================
+
+/**
+ * Capture each accepted rider's share of the final fare, before the organizer's capture.
+ * Shares that can't be captured fall to the organizer; unanswered invites expire.
+ */
+async function captureShares(rideId) {
+  const ride = await prisma.ride.findUnique({
+    where: { id: rideId },
+    include: { fareSplits: true }
+  });
+  if (!ride?.fareSplitMode) return { captured: 0 };
+
+  await prisma.fareSplit.updateMany({
+    where: { rideId, status: 'INVITED' },
+    data: { status: 'EXPIRED' }
+  });
+
+  const accepted = ride.fareSplits.filter(s => s.status === 'ACCEPTED');
+  const shares = calculateShares(ride.totalFare, accepted, ride.fareSplitMode);
+
+  let captured = 0;
+  for (const split of accepted) {
+    if (split.isOrganizer || split.paymentStatus !== 'AUTHORIZED') continue;
+
+    const result = await paymentService.captureFareSplit(split, shares.get(split.id));
+    await prisma.fareSplit.update({
+      where: { id: split.id },
+      data: result.success
+        ? { amount: result.amount, paymentStatus: result.amount > 0 ? 'CAPTURED' : 'RELEASED' }
+        : { amount: 0, paymentStatus: 'FAILED' }
+    });
+    if (result.success) captured += result.amount;
+  }
+
+  // The organizer pays whatever the others didn't
+  const organizerShare = Math.round((parseFloat(ride.totalFare) - captured) * 100) / 100;
+  await prisma.fareSplit.updateMany({
+    where: { rideId, isOrganizer: true },
+    data: { amount: organizerShare }
+  });
+
+  return { captured: Math.round(captured * 100) / 100 };
+}
+
+module.exports = {
+  inviteRiders,
+  respondToInvite,
+  listInvites,
+  getSplit,
+  captureShares,
+  calculateShares
+};
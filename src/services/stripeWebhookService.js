@@ -0,0 +1,182 @@
+/**
+ * Stripe Webhook Service
+ * Applies Stripe events (payments, transfers, payouts, Connect accounts, invoices) to our records
+ * Handlers must be safe to run more than once: events are retried and can be replayed.
+ */
+
+const prisma = require('../config/prisma');
+const ledgerService = require('./ledgerService');
+const payoutService = require('./payoutService');
+const refundService = require('./refundService');
+const disputeService = require('./disputeService');
+const organizationService = require('./organizationService');
+const { createLogger } = require('./errorTrackingService');
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const logger = createLogger('StripeWebhooks');
+
+/**
+ * Dispatch a verified Stripe event; errors propagate so the event is retried
+ */
+async function handleStripeEvent(event) {
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await handlePaymentSuccess(event.data.object);
+      break;
+      
+    case 'payment_intent.payment_failed':
+      await handlePaymentFailed(event.data.object);
+      break;
+      
+    case 'payment_intent.canceled':
+      await handlePaymentCanceled(event.data.object);
+      break;
+      
+    case 'charge.refunded':
+      await handleChargeRefunded(event.data.object);
+      break;
+      
+    case 'charge.dispute.created':
+      await disputeService.openDispute(event.data.object);
+      break;
+      
+    case 'charge.dispute.updated':
+      await disputeService.syncDispute(event.data.object);
+      break;
+      
+    case 'charge.dispute.closed':
+      await disputeService.closeDispute(event.data.object);
+      break;
+      
+    case 'transfer.created':
+      await handleTransferCreated(event.data.object);
+      break;
+      
+    case 'transfer.reversed':
+      await handleTransferReversed(event.data.object);
+      break;
+      
+    case 'account.updated':
+      await handleAccountUpdated(event.data.object);
+      break;
+      
+    case 'invoice.paid':
+      await organizationService.syncStripeInvoice(event.data.object, 'PAID');
+      break;
+      
+    case 'invoice.voided':
+      await organizationService.syncStripeInvoice(event.data.object, 'VOID');
+      break;
+      
+    default:
+      console.log(`Unhandled event type: ${event.type}`);
+  }
+}
+
+async function handlePaymentSuccess(paymentIntent) {
+  const rideId = paymentIntent.metadata?.rideId;
+  if (!rideId || !isRideFareIntent(paymentIntent)) return;
+  
+  // A late or replayed event mustn't move a refunded or released ride back to CAPTURED
+  const { count } = await prisma.ride.updateMany({
+    where: { id: rideId, stripePaymentIntentId: paymentIntent.id, paymentStatus: { in: ['PENDING', 'AUTHORIZED', 'FAILED'] } },
+    data: { paymentStatus: 'CAPTURED' }
+  });
+  if (count === 0) return;
+  
+  // No-ops if completion already posted the charge and transferred the driver share
+  await ledgerService.recordRideCharge(rideId);
+  await payoutService.transferRideEarning(rideId);
+}
+
+async function handlePaymentFailed(paymentIntent) {
+  const rideId = paymentIntent.metadata?.rideId;
+  if (!rideId || !isRideFareIntent(paymentIntent)) return;
+  
+  // Only a payment that hasn't gone through yet can fail
+  await prisma.ride.updateMany({
+    where: { id: rideId, stripePaymentIntentId: paymentIntent.id, paymentStatus: { in: ['PENDING', 'AUTHORIZED'] } },
+    data: { paymentStatus: 'FAILED' }
+  });
+}
+
+async function handlePaymentCanceled(paymentIntent) {
+  const rideId = paymentIntent.metadata?.rideId;
+  if (!rideId || !isRideFareIntent(paymentIntent)) return;
+  
+  await prisma.ride.updateMany({
+    where: { id: rideId, stripePaymentIntentId: paymentIntent.id, paymentStatus: 'AUTHORIZED' },
+    data: { paymentStatus: 'RELEASED' }
+  });
+}
+
+// Only the main fare intent drives Ride.paymentStatus (not balance charges, tips, etc.)
+function isRideFareIntent(paymentIntent) {
+  const type = paymentIntent.metadata?.type;
+  return !type || type === 'ride_fare';
+}
+
+// Record refunds made in the Stripe dashboard; our own refunds are already booked
+async function handleChargeRefunded(charge) {
+  const rideId = charge.metadata?.rideId;
+  if (!rideId) return;
+  
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+  for (const refund of refunds.data) {
+    await refundService.recordExternalRefund(rideId, refund);
+  }
+}
+
+// A transfer to a Connect account is done once it exists; settles payouts left PROCESSING
+async function handleTransferCreated(transfer) {
+  const driverId = transfer.metadata?.driverId;
+  if (!driverId) return;
+  
+  await prisma.payout.updateMany({
+    where: { stripeTransferId: transfer.id, status: { in: ['PENDING', 'PROCESSING'] } },
+    data: { status: 'COMPLETED', processedAt: new Date() }
+  });
+}
+
+// A fully reversed transfer never reached the driver: fail its payout and give the balance back
+async function handleTransferReversed(transfer) {
+  if (!transfer.reversed) {
+    logger.warn('Partial transfer reversal needs a manual adjustment', {
+      transferId: transfer.id,
+      amountReversed: transfer.amount_reversed / 100
+    });
+    return;
+  }
+  
+  await prisma.$transaction(async (tx) => {
+    const payout = await tx.payout.findFirst({ where: { stripeTransferId: transfer.id } });
+    if (!payout) return;
+    
+    // Replayed events find the payout already failed
+    const { count } = await tx.payout.updateMany({
+      where: { id: payout.id, status: { not: 'FAILED' } },
+      data: { status: 'FAILED', failedAt: new Date(), failReason: 'Transfer reversed', nextRetryAt: null }
+    });
+    if (count === 0) return;
+    
+    await tx.earning.updateMany({
+      where: { payoutId: payout.id },
+      data: { status: 'AVAILABLE', paidOutAt: null, payoutId: null }
+    });
+    await ledgerService.payoutReversalEntry(payout, tx);
+  });
+}
+
+async function handleAccountUpdated(account) {
+  // Update driver Stripe status
+  if (account.charges_enabled && account.payouts_enabled) {
+    await prisma.driver.updateMany({
+      where: { stripeAccountId: account.id },
+      data: { stripeOnboarded: true }
+    });
+  }
+}
+
+module.exports = {
+  handleStripeEvent
+};
@@ -0,0 +1,112 @@
+/**
+ * Surge Pricing Service
+ * Zone-based demand/supply tracking and locked surge quotes
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const redis = require('../config/redis');
+const configService = require('./configService');
+const { calculateSurge, getSurgeZoneId } = require('../utils/pricing');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Surge');
+
+// Rolling window for counting ride requests per zone
+const DEMAND_WINDOW_SECONDS = 10 * 60;
+
+// How long a quoted multiplier stays bookable
+const QUOTE_TTL_SECONDS = 5 * 60;
+
+/**
+ * Load surge settings from PlatformConfig (defaults if not seeded)
+ */
+async function getSurgeSettings() {
+  const config = await configService.getConfig();
+
+  return {
+    surgeEnabled: config.surgeEnabled,
+    maxSurgeMultiplier: config.maxSurgeMultiplier
+  };
+}
+
+/**
+ * Get the current surge multiplier for a pickup location
+ */
+async function getSurgeMultiplier(lat, lng) {
+  const zoneId = getSurgeZoneId(lat, lng);
+  const { surgeEnabled, maxSurgeMultiplier } = await getSurgeSettings();
+
+  if (!surgeEnabled) {
+    return { zoneId, multiplier: 1.0 };
+  }
+
+  const [requestCount, driverCount] = await Promise.all([
+    redis.getZoneRequestCount(zoneId, DEMAND_WINDOW_SECONDS),
+    redis.getZoneDriverCount(zoneId)
+  ]);
+
+  const multiplier = calculateSurge(lat, lng, requestCount, driverCount, maxSurgeMultiplier);
+
+  return { zoneId, multiplier, requestCount, driverCount };
+}
+
+/**
+ * Issue a quote token that locks the multiplier for this rider and zone
+ */
+async function createSurgeQuote(userId, zoneId, multiplier) {
+  const token = uuidv4();
+  const expiresAt = new Date(Date.now() + QUOTE_TTL_SECONDS * 1000);
+
+  await redis.setSurgeQuote(token, { userId, zoneId, multiplier }, QUOTE_TTL_SECONDS);
+
+  return { token, expiresAt };
+}
+
+/**
+ * Resolve the multiplier to charge for a ride request.
+ * A valid quote token wins over the live multiplier. The token is claimed here, so concurrent
+ * requests can't both book with it; a request that doesn't book its ride hands it back with releaseSurgeQuote.
+ */
+async function resolveSurgeForRequest(userId, lat, lng, quoteToken) {
+  const zoneId = getSurgeZoneId(lat, lng);
+
+  if (quoteToken) {
+    const claim = await redis.claimSurgeQuote(quoteToken, userId, zoneId);
+    if (claim) {
+      return { zoneId, multiplier: claim.quote.multiplier, locked: true, quoteToken, claim };
+    }
+  }
+
+  const { multiplier } = await getSurgeMultiplier(lat, lng);
+  return { zoneId, multiplier, locked: false };
+}
+
+/**
+ * Give a claimed quote back when its request was rejected, for the time it had left
+ * Failures are only logged: the rider falls back to the live multiplier.
+ */
+async function releaseSurgeQuote(surge) {
+  if (!surge.locked) return;
+
+  try {
+    await redis.restoreSurgeQuote(surge.quoteToken, surge.claim);
+  } catch (err) {
+    logger.warn('Restoring surge quote failed', { error: err.message });
+  }
+}
+
+/**
+ * Count a ride request towards its zone's demand
+ */
+async function recordRideRequest(zoneId, rideId) {
+  await redis.recordZoneRequest(zoneId, rideId, DEMAND_WINDOW_SECONDS);
+}
+
+module.exports = {
+  getSurgeMultiplier,
+  createSurgeQuote,
+  resolveSurgeForRequest,
+  releaseSurgeQuote,
+  recordRideRequest,
+  QUOTE_TTL_SECONDS
+};
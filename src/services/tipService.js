@@ -0,0 +1,145 @@
+/**
+ * Tip Service
+ * Post-trip tips: one per ride, charged through Stripe within the tip window
+ */
+
+const prisma = require('../config/prisma');
+const paymentService = require('./paymentService');
+const pushService = require('./pushService');
+const ledgerService = require('./ledgerService');
+const configService = require('./configService');
+
+/**
+ * Hours after completion a ride can still be tipped
+ */
+async function getTipWindowHours() {
+  const config = await configService.getConfig();
+  return config.tipWindowHours;
+}
+
+/**
+ * Credit a successful tip to the driver and let them know
+ */
+async function creditDriver(tip) {
+  await prisma.$transaction([
+    prisma.tip.update({ where: { id: tip.id }, data: { status: 'SUCCEEDED' } }),
+    prisma.earning.updateMany({
+      where: { rideId: tip.rideId },
+      data: { tip: { increment: tip.amount } }
+    }),
+    prisma.driver.update({
+      where: { id: tip.driverId },
+      data: { totalEarnings: { increment: tip.amount } }
+    }),
+    ledgerService.tipEntry(tip)
+  ]);
+
+  pushService.notifyDriverTipReceived(tip.driverId, parseFloat(tip.amount)).catch(() => {});
+}
+
+/**
+ * Tip a completed ride.
+ * Added to the capture if the hold is still open, otherwise charged separately.
+ * Returns { success, tip } or { success: false, error, code }
+ */
+async function addTip(rideId, userId, amount) {
+  const ride = await prisma.ride.findUnique({ where: { id: rideId } });
+
+  if (!ride || ride.userId !== userId) {
+    return { success: false, error: 'Ride not found', code: 'NOT_FOUND' };
+  }
+
+  if (ride.status !== 'COMPLETED' || !ride.driverId) {
+    return { success: false, error: 'Can only tip completed rides', code: 'NOT_TIPPABLE' };
+  }
+
+  const windowHours = await getTipWindowHours();
+  if (Date.now() - ride.completedAt.getTime() > windowHours * 3600000) {
+    return { success: false, error: `Tips can only be added within ${windowHours} hours of the ride`, code: 'TIP_WINDOW_CLOSED' };
+  }
+
+  // Claiming Ride.tip is what makes a ride tip-once, even under concurrent requests
+  const claimed = await prisma.ride.updateMany({
+    where: { id: rideId, tip: 0 },
+    data: { tip: amount }
+  });
+
+  if (claimed.count === 0) {
+    return { success: false, error: 'This ride has already been tipped', code: 'ALREADY_TIPPED' };
+  }
+
+  const method = ride.paymentStatus === 'AUTHORIZED' ? 'CAPTURE' : 'SEPARATE_CHARGE';
+
+  const tip = await prisma.tip.create({
+    data: { rideId, userId, driverId: ride.driverId, amount, method }
+  });
+
+  // The completion capture picks up Ride.tip and confirms the tip afterwards
+  if (method === 'CAPTURE') {
+    return { success: true, tip };
+  }
+
+  return chargeSeparately(tip);
+}
+
+/**
+ * Charge a tip as its own payment and credit the driver
+ */
+async function chargeSeparately(tip) {
+  const payment = await paymentService.chargeTip(tip.rideId, tip.amount, tip.id);
+
+  if (!payment.success) {
+    await failTip(tip, payment.error, payment.paymentIntentId);
+    return { success: false, error: payment.error, code: 'PAYMENT_FAILED' };
+  }
+
+  await prisma.tip.update({
+    where: { id: tip.id },
+    data: { method: 'SEPARATE_CHARGE', stripePaymentIntentId: payment.paymentIntentId }
+  });
+  await creditDriver(tip);
+
+  return {
+    success: true,
+    tip: { ...tip, method: 'SEPARATE_CHARGE', status: 'SUCCEEDED', stripePaymentIntentId: payment.paymentIntentId }
+  };
+}
+
+/**
+ * Mark a tip failed and free the ride up for another attempt
+ */
+async function failTip(tip, failReason, stripePaymentIntentId) {
+  await prisma.$transaction([
+    prisma.tip.update({
+      where: { id: tip.id },
+      data: { status: 'FAILED', failReason, stripePaymentIntentId }
+    }),
+    prisma.ride.update({ where: { id: tip.rideId }, data: { tip: 0 } })
+  ]);
+}
+
+/**
+ * Settle a tip that was waiting on the ride's capture
+ * payment is the result of paymentService.captureRidePayment
+ */
+async function settleCapturedTip(rideId, payment) {
+  const tip = await prisma.tip.findFirst({
+    where: { rideId, method: 'CAPTURE', status: 'PENDING' }
+  });
+  if (!tip) return;
+
+  if (!payment.success) {
+    await failTip(tip, 'Ride capture failed');
+  } else if (payment.tip > 0) {
+    await creditDriver(tip);
+  } else {
+    // Tip arrived after the capture read the ride
+    await chargeSeparately(tip);
+  }
+}
+
+module.exports = {
+  getTipWindowHours,
+  addTip,
+  settleCapturedTip
+};
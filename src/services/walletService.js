@@ -0,0 +1,253 @@
+/**
+ * Wallet Service
+ * Rider credit balance: grants, gift cards and refunds in; ride payments out.
+ * Every change is a WalletTransaction posted to the ledger in the same transaction.
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const ledgerService = require('./ledgerService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Wallet');
+
+const MAX_GIFT_CARDS_PER_BATCH = 500;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Apply a signed amount to a rider's wallet
+ * Debits never take the balance below zero. A repeated idempotencyKey returns the original transaction.
+ * Returns { success, transaction } or { success: false, error, code }
+ */
+async function applyTransaction(userId, amount, { type, description, idempotencyKey, rideId, refundId, giftCardId, createdBy }) {
+  amount = round2(amount);
+
+  try {
+    const transaction = await prisma.$transaction(async (tx) => {
+      if (amount < 0) {
+        const { count } = await tx.user.updateMany({
+          where: { id: userId, walletBalance: { gte: -amount } },
+          data: { walletBalance: { decrement: -amount } }
+        });
+        if (count === 0) {
+          throw Object.assign(new Error('Not enough wallet credit'), { code: 'INSUFFICIENT_BALANCE' });
+        }
+      } else {
+        await tx.user.update({
+          where: { id: userId },
+          data: { walletBalance: { increment: amount } }
+        });
+      }
+
+      const { walletBalance } = await tx.user.findUnique({ where: { id: userId }, select: { walletBalance: true } });
+      const created = await tx.walletTransaction.create({
+        data: {
+          userId,
+          type,
+          amount,
+          balanceAfter: walletBalance,
+          description,
+          idempotencyKey,
+          rideId,
+          refundId,
+          giftCardId,
+          createdBy
+        }
+      });
+
+      await ledgerService.walletEntry(created, tx);
+      return created;
+    });
+
+    return { success: true, transaction };
+  } catch (err) {
+    if (err.code === 'INSUFFICIENT_BALANCE') {
+      return { success: false, error: err.message, code: err.code };
+    }
+    if (err.code === 'P2002' && idempotencyKey) {
+      const transaction = await prisma.walletTransaction.findUnique({ where: { idempotencyKey } });
+      return { success: true, transaction, duplicate: true };
+    }
+    throw err;
+  }
+}
+
+// ===========================================
+// BALANCE & HISTORY
+// ===========================================
+
+/**
+ * Current wallet balance
+ */
+async function getBalance(userId) {
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: { walletBalance: true } });
+  return parseFloat(user?.walletBalance || 0);
+}
+
+/**
+ * Wallet transactions, newest first
+ */
+async function listTransactions(userId, { limit = 50, offset = 0 } = {}) {
+  const [transactions, total] = await Promise.all([
+    prisma.walletTransaction.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.walletTransaction.count({ where: { userId } })
+  ]);
+
+  return { transactions, total };
+}
+
+// ===========================================
+// CREDITS
+// ===========================================
+
+/**
+ * Add credit to a rider's wallet (goodwill, referral rewards, refunds)
+ */
+async function credit(userId, amount, options) {
+  if (!(amount > 0)) {
+    return { success: false, error: 'Credit must be positive', code: 'INVALID_AMOUNT' };
+  }
+  return applyTransaction(userId, amount, options);
+}
+
+/**
+ * Take credit back (support revoking a grant); fails if the rider has already spent it
+ */
+async function revoke(userId, amount, { description, createdBy }) {
+  if (!(amount > 0)) {
+    return { success: false, error: 'Amount must be positive', code: 'INVALID_AMOUNT' };
+  }
+  return applyTransaction(userId, -amount, { type: 'REVOKED', description, createdBy });
+}
+
+/**
+ * Redeem a gift card code into the rider's wallet
+ * Returns { success, transaction } or { success: false, error, code }
+ */
+async function redeemGiftCard(userId, code) {
+  const giftCard = await prisma.giftCard.findUnique({ where: { code: normalizeGiftCardCode(code) } });
+
+  if (!giftCard) {
+    return { success: false, error: 'Gift card not found', code: 'NOT_FOUND' };
+  }
+  if (giftCard.redeemedById) {
+    return { success: false, error: 'This gift card has already been redeemed', code: 'ALREADY_REDEEMED' };
+  }
+  if (giftCard.expiresAt && giftCard.expiresAt < new Date()) {
+    return { success: false, error: 'This gift card has expired', code: 'EXPIRED' };
+  }
+
+  // Claim the card first so two riders can't redeem it at once
+  const { count } = await prisma.giftCard.updateMany({
+    where: { id: giftCard.id, redeemedById: null },
+    data: { redeemedById: userId, redeemedAt: new Date() }
+  });
+  if (count === 0) {
+    return { success: false, error: 'This gift card has already been redeemed', code: 'ALREADY_REDEEMED' };
+  }
+
+  return applyTransaction(userId, parseFloat(giftCard.amount), {
+    type: 'GIFT_CARD',
+    description: 'Gift card',
+    idempotencyKey: `gift-card:${giftCard.id}`,
+    giftCardId: giftCard.id
+  });
+}
+
+function normalizeGiftCardCode(code) {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^(VX)?(.{4})(.{4})(.{4})$/, 'VX-$2-$3-$4');
+}
+
+/**
+ * Issue a batch of gift card codes
+ */
+async function createGiftCards({ amount, count = 1, note, expiresAt, createdBy }) {
+  if (count > MAX_GIFT_CARDS_PER_BATCH) {
+    throw new Error(`At most ${MAX_GIFT_CARDS_PER_BATCH} gift cards per batch`);
+  }
+
+  const cards = Array.from({ length: count }, () => ({
+    code: `VX-${crypto.randomBytes(6).toString('hex').toUpperCase().match(/.{4}/g).join('-')}`,
+    amount,
+    note,
+    expiresAt,
+    createdBy
+  }));
+
+  await prisma.giftCard.createMany({ data: cards });
+  return prisma.giftCard.findMany({ where: { code: { in: cards.map(c => c.code) } } });
+}
+
+// ===========================================
+// RIDE PAYMENTS
+// ===========================================
+
+/**
+ * Spend wallet credit towards a ride charge, up to amount
+ * Returns the amount taken from the wallet (0 with no balance)
+ */
+async function payForRide(userId, rideId, amount) {
+  const balance = await getBalance(userId);
+  const walletAmount = round2(Math.min(balance, amount));
+  if (walletAmount <= 0) return 0;
+
+  const result = await applyTransaction(userId, -walletAmount, {
+    type: 'RIDE_PAYMENT',
+    description: 'Ride payment',
+    idempotencyKey: `ride-payment:${rideId}`,
+    rideId
+  });
+
+  // Balance spent elsewhere in the meantime - charge the card for it all
+  if (!result.success) return 0;
+  return -parseFloat(result.transaction.amount);
+}
+
+/**
+ * Give back credit spent on a ride whose card capture then failed
+ */
+async function reverseRidePayment(userId, rideId, walletAmount) {
+  if (walletAmount <= 0) return;
+
+  try {
+    await applyTransaction(userId, walletAmount, {
+      type: 'RIDE_PAYMENT_REVERSAL',
+      description: 'Ride payment returned',
+      idempotencyKey: `ride-payment-reversal:${rideId}`,
+      rideId
+    });
+  } catch (err) {
+    logger.error('Returning wallet credit failed', { userId, rideId, walletAmount, error: err.message });
+  }
+}
+
+/**
+ * Return part of a ride refund to the rider's wallet
+ */
+async function creditRefund(refund, userId, amount) {
+  return applyTransaction(userId, amount, {
+    type: 'REFUND',
+    description: 'Ride refund',
+    idempotencyKey: `refund:${refund.id}`,
+    rideId: refund.rideId,
+    refundId: refund.id
+  });
+}
+
+module.exports = {
+  getBalance,
+  listTransactions,
+  credit,
+  revoke,
+  redeemGiftCard,
+  createGiftCards,
+  payForRide,
+  reverseRidePayment,
+  creditRefund
+};
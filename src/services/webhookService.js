@@ -0,0 +1,189 @@
+/**
+ * Webhook Service
+ * Event store for inbound provider webhooks: dedup on the provider's event ID,
+ * processing with retries, a dead-letter state and admin replay
+ */
+
+const prisma = require('../config/prisma');
+const stripeWebhookService = require('./stripeWebhookService');
+const backgroundCheckService = require('./backgroundCheckService');
+const { createLogger } = require('./errorTrackingService');
+
+const logger = createLogger('Webhooks');
+
+const HANDLERS = {
+  STRIPE: (event) => stripeWebhookService.handleStripeEvent(event),
+  CHECKR: (event) => backgroundCheckService.handleCheckrWebhook(event)
+};
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BACKOFF_SECONDS = 60; // Doubles after each failed attempt
+const STALE_PROCESSING_MINUTES = 10; // A worker that claimed an event this long ago is assumed dead
+const BATCH_SIZE = 50;
+
+/**
+ * Store an inbound event
+ * Returns { event, duplicate } - duplicates (same source and eventId) are not stored again
+ */
+async function recordEvent(source, { eventId, type, payload }) {
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: { source, eventId, type, payload }
+    });
+    return { event, duplicate: false };
+  } catch (err) {
+    if (err.code === 'P2002') {
+      const event = await prisma.webhookEvent.findUnique({
+        where: { source_eventId: { source, eventId } }
+      });
+      return { event, duplicate: true };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Claim and run one event's handler
+ * Returns the event's new status, or null if it wasn't due or another worker has it
+ */
+async function processEvent(id, now = new Date()) {
+  const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MINUTES * 60000);
+
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: {
+      id,
+      OR: [
+        { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+        { status: 'PROCESSING', updatedAt: { lte: staleBefore } }
+      ]
+    },
+    data: { status: 'PROCESSING', attempts: { increment: 1 } }
+  });
+  if (count === 0) return null;
+
+  const event = await prisma.webhookEvent.findUnique({ where: { id } });
+
+  try {
+    await HANDLERS[event.source](event.payload);
+
+    await prisma.webhookEvent.update({
+      where: { id },
+      data: { status: 'PROCESSED', processedAt: new Date(), lastError: null }
+    });
+    return 'PROCESSED';
+  } catch (err) {
+    const dead = event.attempts >= MAX_ATTEMPTS;
+    logger.warn('Webhook event failed', { id, source: event.source, type: event.type, attempts: event.attempts, error: err.message });
+
+    await prisma.webhookEvent.update({
+      where: { id },
+      data: {
+        status: dead ? 'DEAD' : 'FAILED',
+        lastError: err.message,
+        nextAttemptAt: new Date(Date.now() + RETRY_BACKOFF_SECONDS * Math.pow(2, event.attempts - 1) * 1000)
+      }
+    });
+    return dead ? 'DEAD' : 'FAILED';
+  }
+}
+
+/**
+ * Worker pass: process every due event, oldest first
+ */
+async function processDueEvents(now = new Date()) {
+  const staleBefore = new Date(now.getTime() - STALE_PROCESSING_MINUTES * 60000);
+
+  const events = await prisma.webhookEvent.findMany({
+    where: {
+      OR: [
+        { status: { in: ['PENDING', 'FAILED'] }, nextAttemptAt: { lte: now } },
+        { status: 'PROCESSING', updatedAt: { lte: staleBefore } }
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: BATCH_SIZE,
+    select: { id: true }
+  });
+
+  const summary = { processed: 0, failed: 0, dead: 0 };
+  for (const { id } of events) {
+    const status = await processEvent(id, now);
+    if (status === 'PROCESSED') summary.processed++;
+    if (status === 'FAILED') summary.failed++;
+    if (status === 'DEAD') summary.dead++;
+  }
+
+  if (summary.failed || summary.dead) {
+    logger.info('Webhook worker run', summary);
+  }
+
+  return summary;
+}
+
+/**
+ * Process a freshly received event without waiting for the worker
+ */
+function processInBackground(id) {
+  setImmediate(() => {
+    processEvent(id).catch(err => {
+      logger.error('Webhook processing error', { id, error: err.message });
+    });
+  });
+}
+
+/**
+ * Reset a FAILED or DEAD event and process it now
+ */
+async function replayEvent(id) {
+  const event = await prisma.webhookEvent.findUnique({ where: { id } });
+  if (!event) {
+    return { success: false, error: 'Webhook event not found', code: 'NOT_FOUND' };
+  }
+  if (!['FAILED', 'DEAD'].includes(event.status)) {
+    return { success: false, error: `Event is ${event.status}; only FAILED or DEAD events can be replayed`, code: 'NOT_REPLAYABLE' };
+  }
+
+  await prisma.webhookEvent.update({
+    where: { id },
+    data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() }
+  });
+  const status = await processEvent(id);
+
+  return {
+    success: true,
+    event: await prisma.webhookEvent.findUnique({ where: { id } }),
+    status
+  };
+}
+
+/**
+ * Stored events, newest first
+ */
+async function listEvents({ source, status, type, limit = 50, offset = 0 } = {}) {
+  const where = {};
+  if (source) where.source = source;
+  if (status) where.status = status;
+  if (type) where.type = type;
+
+  const [events, total] = await Promise.all([
+    prisma.webhookEvent.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      skip: offset
+    }),
+    prisma.webhookEvent.count({ where })
+  ]);
+
+  return { events, total };
+}
+
+module.exports = {
+  recordEvent,
+  processEvent,
+  processDueEvents,
+  processInBackground,
+  replayEvent,
+  listEvents,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,149 @@
+/**
+ * Geo Utilities
+ * Geofence checks for GeoJSON polygons, encoded polylines
+ */
+
+/**
+ * Ray-casting test for a point inside a linear ring of [lng, lat] pairs
+ */
+function isPointInRing(lat, lng, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    const intersects = (yi > lat) !== (yj > lat) &&
+      lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (intersects) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Check whether a point falls inside a GeoJSON Polygon or MultiPolygon
+ * The first ring of each polygon is the outer boundary, the rest are holes
+ */
+function isPointInPolygon(lat, lng, geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+
+  return polygons.some(([outer, ...holes]) =>
+    Array.isArray(outer) &&
+    isPointInRing(lat, lng, outer) &&
+    !holes.some(hole => isPointInRing(lat, lng, hole))
+  );
+}
+
+/**
+ * Validate a GeoJSON Polygon/MultiPolygon boundary
+ * Returns a list of error messages (empty if valid)
+ */
+function validateBoundary(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return ['boundary must be a GeoJSON Polygon or MultiPolygon'];
+  }
+
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return ['boundary has no coordinates'];
+  }
+
+  const errors = [];
+  for (const polygon of polygons) {
+    for (const ring of polygon || []) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        errors.push('Each ring needs at least 4 positions');
+        continue;
+      }
+      const valid = ring.every(p => Array.isArray(p) &&
+        Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90);
+      if (!valid) errors.push('Positions must be [lng, lat] pairs');
+    }
+  }
+
+  return errors;
+}
+
+// ===========================================
+// ENCODED POLYLINES
+// ===========================================
+
+/**
+ * Encode [{ lat, lng }] points using the Google polyline algorithm
+ * precision 5 is the Google/OSRM default, Valhalla uses 6
+ */
+function encodePolyline(points, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let prevLat = 0;
+  let prevLng = 0;
+  let encoded = '';
+
+  for (const { lat, lng } of points) {
+    const latE = Math.round(lat * factor);
+    const lngE = Math.round(lng * factor);
+    encoded += encodeSignedValue(latE - prevLat) + encodeSignedValue(lngE - prevLng);
+    prevLat = latE;
+    prevLng = lngE;
+  }
+
+  return encoded;
+}
+
+function encodeSignedValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let chunk = '';
+
+  while (v >= 0x20) {
+    chunk += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+
+  return chunk + String.fromCharCode(v + 63);
+}
+
+/**
+ * Decode a polyline string back into [{ lat, lng }] points
+ */
+function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < encoded.length) {
+    const latResult = decodeSignedValue(encoded, index);
+    const lngResult = decodeSignedValue(encoded, latResult.index);
+    lat += latResult.value;
+    lng += lngResult.value;
+    index = lngResult.index;
+    points.push({ lat: lat / factor, lng: lng / factor });
+  }
+
+  return points;
+}
+
+function decodeSignedValue(encoded, startIndex) {
+  let result = 0;
+  let shift = 0;
+  let index = startIndex;
+  let byte;
+
+  do {
+    byte = encoded.charCodeAt(index++) - 63;
+    result |= (byte & 0x1f) << shift;
+    shift += 5;
+  } while (byte >= 0x20);
+
+  return { value: result & 1 ? ~(result >> 1) : result >> 1, index };
+}
+
+module.exports = {
+  isPointInPolygon,
+  validateBoundary,
+  encodePolyline,
+  decodePolyline
+};
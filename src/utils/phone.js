@@ -0,0 +1,20 @@
+/**
+ * Phone Utilities
+ * Normalize phone numbers to the E.164 form stored on User.phone
+ */
+
+function formatPhone(phone) {
+  // Remove all non-digits
+  const digits = phone.replace(/\D/g, '');
+  // Ensure it starts with +1 for US
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  } else if (digits.length === 11 && digits.startsWith('1')) {
+    return `+${digits}`;
+  }
+  return `+${digits}`;
+}
+
+module.exports = {
+  formatPhone
+};
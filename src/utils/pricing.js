@@ -37,9 +37,10 @@ const PRICING = {
 
 /**
  * Calculate fare for a ride
+ * pricingTable defaults to the built-in PRICING; pass the active DB version when available
  */
-function calculateFare(distanceMiles, durationMinutes, serviceType, surgeMultiplier = 1.0) {
-  const pricing = PRICING[serviceType] || PRICING.VELOX;
+function calculateFare(distanceMiles, durationMinutes, serviceType, surgeMultiplier = 1.0, pricingTable = PRICING) {
+  const pricing = pricingTable[serviceType] || pricingTable.VELOX || PRICING.VELOX;
   
   // Calculate base components
   const baseFare = pricing.baseFare;
@@ -132,19 +133,37 @@ function calculateDuration(distanceMiles, timeOfDay = null) {
 
 /**
  * Calculate surge multiplier based on demand
- * Placeholder - in production would analyze real-time data
+ * requestCount and driverCount are the rolling counts for the pickup's surge zone
  */
-function calculateSurge(pickupLat, pickupLng, requestCount = 0, driverCount = 0) {
+function calculateSurge(pickupLat, pickupLng, requestCount = 0, driverCount = 0, maxMultiplier = 3.0) {
+  // No demand, no surge
+  if (requestCount === 0) return 1.0;
+  
   // Simple surge calculation based on supply/demand ratio
-  if (driverCount === 0) return 2.0; // High surge if no drivers
+  if (driverCount === 0) return Math.min(2.0, maxMultiplier); // High surge if no drivers
   
   const ratio = requestCount / driverCount;
   
-  if (ratio <= 1) return 1.0;      // Normal
-  if (ratio <= 2) return 1.25;     // Light surge
-  if (ratio <= 3) return 1.5;      // Moderate surge
-  if (ratio <= 5) return 1.75;     // High surge
-  return 2.0;                       // Very high surge (capped at 2x)
+  let multiplier;
+  if (ratio <= 1) multiplier = 1.0;        // Normal
+  else if (ratio <= 2) multiplier = 1.25;  // Light surge
+  else if (ratio <= 3) multiplier = 1.5;   // Moderate surge
+  else if (ratio <= 5) multiplier = 1.75;  // High surge
+  else multiplier = 2.0;                   // Very high surge
+  
+  return Math.max(1.0, Math.min(multiplier, maxMultiplier));
+}
+
+// Surge zones are square grid cells of this size (~1.4 mi north-south)
+const SURGE_ZONE_SIZE_DEG = 0.02;
+
+/**
+ * Bucket a coordinate into its surge zone ID
+ */
+function getSurgeZoneId(lat, lng) {
+  const latIndex = Math.floor(lat / SURGE_ZONE_SIZE_DEG);
+  const lngIndex = Math.floor(lng / SURGE_ZONE_SIZE_DEG);
+  return `${latIndex}:${lngIndex}`;
 }
 
 /**
@@ -159,6 +178,7 @@ module.exports = {
   calculateDistance,
   calculateDuration,
   calculateSurge,
+  getSurgeZoneId,
   getAllPricing,
   PRICING
 };
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveCommissionPercent } = require('../src/services/configService');
+
+const config = {
+  platformCommissionPercent: 25,
+  serviceCommissionPercents: { VELOX_BLACK: 30 },
+  driverCommissionTiers: [
+    { minRides: 100, commissionPercent: 20 },
+    { minRides: 500, commissionPercent: 15 }
+  ]
+};
+
+test('platform rate applies without overrides', () => {
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX' }), 25);
+});
+
+test('service type override replaces the platform rate', () => {
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX_BLACK' }), 30);
+});
+
+test('market override replaces the service type rate', () => {
+  const market = { commissionPercent: 18 };
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX_BLACK', market }), 18);
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX', market: { commissionPercent: null } }), 25);
+});
+
+test('driver tier uses the highest tier reached and only lowers the rate', () => {
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX', driver: { totalRides: 50 } }), 25);
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX', driver: { totalRides: 150 } }), 20);
+  assert.strictEqual(resolveCommissionPercent(config, { serviceType: 'VELOX', driver: { totalRides: 600 } }), 15);
+  assert.strictEqual(resolveCommissionPercent(config, { market: { commissionPercent: 10 }, driver: { totalRides: 600 } }), 10);
+});
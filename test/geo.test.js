@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodePolyline, decodePolyline, isPointInPolygon } = require('../src/utils/geo');
+
+// Example from Google's polyline algorithm docs
+const GOOGLE_POINTS = [
+  { lat: 38.5, lng: -120.2 },
+  { lat: 40.7, lng: -120.95 },
+  { lat: 43.252, lng: -126.453 }
+];
+const GOOGLE_ENCODED = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+
+test('encodePolyline matches the reference encoding', () => {
+  assert.strictEqual(encodePolyline(GOOGLE_POINTS), GOOGLE_ENCODED);
+});
+
+test('decodePolyline reverses the reference encoding', () => {
+  assert.deepStrictEqual(decodePolyline(GOOGLE_ENCODED), GOOGLE_POINTS);
+});
+
+test('polylines round-trip at precision 6', () => {
+  const points = [{ lat: 40.712776, lng: -74.005974 }, { lat: 40.758896, lng: -73.98513 }];
+  assert.deepStrictEqual(decodePolyline(encodePolyline(points, 6), 6), points);
+});
+
+test('empty polylines', () => {
+  assert.strictEqual(encodePolyline([]), '');
+  assert.deepStrictEqual(decodePolyline(''), []);
+});
+
+// A 10x10 square with a 2x2 hole in the middle, as [lng, lat]
+const SQUARE = {
+  type: 'Polygon',
+  coordinates: [
+    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+    [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+  ]
+};
+
+test('isPointInPolygon inside, outside and in a hole', () => {
+  assert.strictEqual(isPointInPolygon(2, 2, SQUARE), true);
+  assert.strictEqual(isPointInPolygon(12, 2, SQUARE), false);
+  assert.strictEqual(isPointInPolygon(5, 5, SQUARE), false);
+});
+
+test('isPointInPolygon checks every polygon of a MultiPolygon', () => {
+  const multi = {
+    type: 'MultiPolygon',
+    coordinates: [
+      [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]],
+      [[[20, 20], [21, 20], [21, 21], [20, 21], [20, 20]]]
+    ]
+  };
+  assert.strictEqual(isPointInPolygon(20.5, 20.5, multi), true);
+  assert.strictEqual(isPointInPolygon(10, 10, multi), false);
+});
+
+test('isPointInPolygon without a geometry', () => {
+  assert.strictEqual(isPointInPolygon(1, 1, null), false);
+  assert.strictEqual(isPointInPolygon(1, 1, { type: 'Polygon' }), false);
+});
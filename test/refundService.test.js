@@ -0,0 +1,33 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_unit';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateClawback } = require('../src/services/refundService');
+
+test('clawback is the refunded share of the earning', () => {
+  const earning = { status: 'AVAILABLE', netAmount: '16.00', tip: '4.00' };
+  assert.deepStrictEqual(calculateClawback(earning, 12.5, 25), {
+    clawback: 10,
+    data: { netAmount: 6, tip: 4 }
+  });
+});
+
+test('clawback takes the fare share before the tip', () => {
+  const earning = { status: 'PENDING', netAmount: '16.00', tip: '4.00' };
+  assert.deepStrictEqual(calculateClawback(earning, 22.5, 25), {
+    clawback: 18,
+    data: { netAmount: 0, tip: 2 }
+  });
+});
+
+test('clawback never exceeds the earning', () => {
+  const earning = { status: 'AVAILABLE', netAmount: '10.00', tip: '0.00' };
+  assert.strictEqual(calculateClawback(earning, 30, 25).clawback, 10);
+});
+
+test('nothing is clawed back from a paid out or missing earning', () => {
+  const paidOut = { status: 'PAID_OUT', netAmount: '10.00', tip: '0.00' };
+  assert.deepStrictEqual(calculateClawback(paidOut, 5, 25), { clawback: 0, data: null });
+  assert.deepStrictEqual(calculateClawback(null, 5, 25), { clawback: 0, data: null });
+  assert.deepStrictEqual(calculateClawback({ status: 'AVAILABLE', netAmount: '10.00', tip: '0' }, 5, 0), { clawback: 0, data: null });
+});
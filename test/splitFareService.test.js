@@ -0,0 +1,33 @@
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_unit';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateShares } = require('../src/services/splitFareService');
+
+const splits = [
+  { id: 'organizer', isOrganizer: true, sharePercent: 50 },
+  { id: 'a', isOrganizer: false, sharePercent: 30 },
+  { id: 'b', isOrganizer: false, sharePercent: 20 }
+];
+
+test('EVEN gives the organizer the rounding remainder', () => {
+  const shares = calculateShares('10.00', splits, 'EVEN');
+  assert.strictEqual(shares.get('a'), 3.33);
+  assert.strictEqual(shares.get('b'), 3.33);
+  assert.strictEqual(shares.get('organizer'), 3.34);
+});
+
+test('PERCENT splits by share and the organizer covers the rest', () => {
+  const shares = calculateShares(25.55, splits, 'PERCENT');
+  assert.strictEqual(shares.get('a'), 7.67);
+  assert.strictEqual(shares.get('b'), 5.11);
+  assert.strictEqual(shares.get('organizer'), 12.77);
+});
+
+test('shares always add up to the total', () => {
+  for (const mode of ['EVEN', 'PERCENT']) {
+    const shares = calculateShares(17.03, splits, mode);
+    const cents = [...shares.values()].reduce((sum, share) => sum + Math.round(share * 100), 0);
+    assert.strictEqual(cents, 1703);
+  }
+});